@@ -5,15 +5,25 @@
  */
 
 import { initOpenAI } from './initOpenAI.js';
+import { isStreamEnabled, streamChatCompletion, createConsolePrinter } from './chatStream.js';
+import { renderPrompt } from './promptTemplates.js';
 
 async function main() {
-  const completion = await initOpenAI().chat.completions.create({
+  // 系统提示词来自 prompts/sentiment/ 下的模板，LLM_PROMPT_VERSION=sentiment=v2 可切换版本
+  const { messages, prompt } = renderPrompt('sentiment');
+  const params = {
     model: "qwen-plus",  //模型列表：https://help.aliyun.com/zh/model-studio/getting-started/models
     messages: [
-      { role: "system", content: "你是一名舆情分析师，帮我判断产品口碑的正负向，回复请用一个词语：正向 或者 负向" },
+      ...messages,
       { role: "user", content: "这款音乐软件很棒" }
     ],
-  });
+  };
+  const requestOptions = { prompt: prompt.id };
+  // node xxx.js --stream 开启流式输出
+  const completion = isStreamEnabled()
+    ? await streamChatCompletion(initOpenAI(), params, { onDelta: createConsolePrinter(), requestOptions })
+    : await initOpenAI().chat.completions.create(params, requestOptions);
+  console.log(`提示词版本: ${prompt.id}`);
   console.log(JSON.stringify(completion.choices[0].message, null, 2))
 }
 
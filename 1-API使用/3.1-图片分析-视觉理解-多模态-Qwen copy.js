@@ -1,14 +1,21 @@
 /**
  * 图片分析功能 - 多模态对话
  * 使用通义千问API分析图片内容
- * 支持图片URL和文本输入，输出图片分析结果
+ * 支持图片URL、本地图片和文本输入，输出图片分析结果
+ *
+ * 使用方式：
+ *   node "3.1-图片分析-视觉理解-多模态-Qwen copy.js"                        # 默认示例图片
+ *   node "3.1-图片分析-视觉理解-多模态-Qwen copy.js" scan1.jpg scan2.png   # 本地图片，可传多张
  */
 
 import { initOpenAI } from './initOpenAI.js'; // 初始化通义千问兼容OpenAI风格的客户端实例
+import { buildImageContent } from './imageInput.js'; // 本地图片转base64数据URL，过大时自动压缩
 
 async function main() {
-  // 定义图像URL（可以是任意公网可访问的图片）
-  const imageUrl = "https://help-static-aliyun-doc.aliyuncs.com/file-manage-files/zh-CN/20241022/emyrja/dog_and_girl.jpeg";
+  // 图片来源：命令行传入的本地路径或URL，缺省为公网示例图片
+  const images = process.argv.slice(2);
+  if (!images.length) images.push("https://help-static-aliyun-doc.aliyuncs.com/file-manage-files/zh-CN/20241022/emyrja/dog_and_girl.jpeg");
+  const question = images.length > 1 ? "这几张图片分别描绘的是什么景象?" : "图中描绘的是什么景象?";
 
   // 调用通义千问 qwen-vl-plus 模型进行多模态对话（支持图像+文字）
   const response = await initOpenAI().chat.completions.create({
@@ -16,13 +23,8 @@ async function main() {
     messages: [
       {
         role: "user",
-        content: [
-          // 输入的图片内容，类型为 image_url
-          { type: "image_url", image_url: { url: imageUrl } },
-
-          // 对图片提出的问题（图文混合输入）
-          { type: "text", text: "图中描绘的是什么景象?" }
-        ]
+        // 输入的图片内容（一张或多张 image_url）+ 对图片提出的问题（图文混合输入）
+        content: await buildImageContent(images, question)
       }
     ],
   });
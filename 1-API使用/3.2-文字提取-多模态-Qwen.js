@@ -1,41 +1,42 @@
 /**
  * 文字提取功能 - 多模态对话
  * 使用通义千问API提取图片中的文字内容
- * 支持图片URL和文本输入，输出JSON格式的文字数据
+ * 支持图片URL、本地图片和文本输入，按字段定义输出结构化结果，并逐字段校验格式、标记需要人工复核的字段
+ *
+ * 使用方式：
+ *   node 3.2-文字提取-多模态-Qwen.js                # 默认示例车票
+ *   node 3.2-文字提取-多模态-Qwen.js ticket.jpg     # 本地扫描件，过大时自动压缩
  */
 
-import { initOpenAI } from './initOpenAI.js'; // 引入通义千问 OpenAI 兼容 SDK 初始化模块
+import { extractFromImage, TICKET_FIELDS } from './ocrExtractor.js'; // 结构化抽取：生成指令、解析修复JSON、字段校验
 
 async function main() {
-  // 图片地址：此处为一张车票图像，必须是公网可访问的 URL
-  const imageUrl = "https://img.alicdn.com/imgextra/i2/O1CN01ktT8451iQutqReELT_!!6000000004408-0-tps-689-487.jpg";
+  // 图片来源：命令行传入的本地路径（或URL），缺省为公网示例车票图像；多张图片（如正反面）会一起发送
+  const images = process.argv.slice(2);
+  if (!images.length) images.push("https://img.alicdn.com/imgextra/i2/O1CN01ktT8451iQutqReELT_!!6000000004408-0-tps-689-487.jpg");
 
-  // 调用多模态 OCR 模型（专用于图像文字识别及结构化抽取）
-  const response = await initOpenAI().chat.completions.create({
-    model: "qwen-vl-ocr-latest", // 模型名称：通义千问 OCR 多模态模型，适合结构化文档识别
-    messages: [
-      {
-        role: "user",
-        content: [
-          // 图像输入：用于识别的车票图像
-          { type: "image_url", image_url: { url: imageUrl } },
+  // 调用多模态 OCR 模型（qwen-vl-ocr-latest，专用于图像文字识别及结构化抽取）
+  // 字段定义见 TICKET_FIELDS：发票号码、车次、票价、身份证号码等，各自带格式校验
+  const result = await extractFromImage(images, { fields: TICKET_FIELDS });
 
-          // 任务指令：使用自然语言明确指定要提取的字段
-          {
-            type: "text",
-            text: `请提取车票图像中的发票号码、车次、起始站、终点站、发车日期和时间点、座位号、席别类型、票价、身份证号码、购票人姓名。
-要求准确无误地提取上述关键信息，不要遗漏，也不要捏造虚假信息。
-对于模糊或强光遮挡导致无法识别的字符，请用英文问号 ? 替代。
-返回格式请使用 JSON，结构如下：
-{'发票号码':'xxx','车次':'xxx','起始站':'xxx','终点站':'xxx','发车日期和时间点':'xxx','座位号':'xxx','席别类型':'xxx','票价':'xxx','身份证号码':'xxx','购票人姓名':'xxx'}`
-          }
-        ]
-      }
-    ]
+  console.log("模型原始输出:", result.raw);
+  if (result.error) {
+    console.log("解析失败:", result.error);
+    return;
+  }
+  if (result.repaired) console.log("提示: 模型返回的JSON格式不规范，已自动修复");
+
+  // 逐字段输出：值、置信度、错误/提示
+  console.log("------------------------");
+  Object.entries(result.fields).forEach(([name, field]) => {
+    const mark = field.needsReview ? "⚠" : "✔";
+    const notes = [...field.errors, ...field.warnings].join("；");
+    console.log(`${mark} ${name}: ${field.value ?? field.raw}（置信度 ${field.confidence}）${notes ? ` ${notes}` : ""}`);
   });
 
-  // 输出提取结果（控制台打印 JSON 格式）
-  console.log("API响应:", response.choices[0].message.content);
+  console.log("------------------------");
+  console.log("结构化结果:", JSON.stringify(result.values, null, 2));
+  console.log(result.needsReview.length ? `需要人工复核: ${result.needsReview.join("、")}` : "全部字段校验通过");
 }
 
 main(); // 执行主程序
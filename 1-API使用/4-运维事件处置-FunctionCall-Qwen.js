@@ -6,123 +6,74 @@
  * 2、分析方法建议。根据当前告警内容，结合应急预案、运维文档和大语言模型自有知识，形成分析方法的建议；
  * 3、分析内容自动提取。根据用户输入的分析内容需求，调用多种第三方接口获取分析数据，并进行总结；
  * 4、处置方法推荐和执行。根据当前上下文的故障场景理解，结合应急预案和第三方接口，形成推荐处置方案，待用户确认后调用第三方接口进行执行。
+ *
+ * 系统提示词、审批和预案引用整理见 opsAgent.js
  */
 
-import { initOpenAI } from './initOpenAI.js';
+import { isStreamEnabled } from './chatStream.js';
+import { createOpsToolRegistry } from './opsTools.js';
+import { triageAlert, createOpsApprover } from './opsAgent.js';
 
 /**
- * 通过第三方接口获取数据库服务器状态
- * @returns {string} 服务器状态信息的JSON字符串
+ * 工具注册表：监控查询（METRICS_SOURCE，默认模拟序列） + 预案检索（./runbooks） + 处置操作（处置操作执行前需要用户确认）
  */
-function getCurrentStatus() {
-  return JSON.stringify({
-    "连接数": Math.floor(Math.random() * 91) + 10,
-    "CPU使用率": `${(Math.random() * 99 + 1).toFixed(1)}%`,
-    "内存使用率": `${(Math.random() * 90 + 10).toFixed(1)}%`
-  });
-}
-
-const obj = { getCurrentStatus }
-
-/**
- * 定义工具
- */
-const tools = [
-  {
-    type: "function",
-    function: {
-      name: "getCurrentStatus",
-      description: "调用监控系统接口，获取当前数据库服务器性能指标，包括：连接数、CPU使用率、内存使用率",
-      parameters: {
-        type: "object",
-        properties: {},
-      },
-      required: []
-    }
-  }
-]
+const registry = createOpsToolRegistry();
 
 /**
- * 获取模型响应
- * @param {Array} messages - 消息数组
- * @param {Array} tools - 工具定义数组
- * @returns {Promise<Object>} API响应
+ * 处置操作审批
+ * 关键说明：
+ * - 终端交互运行时逐个询问用户是否执行
+ * - 非交互环境（CI、管道）按 OPS_AUTO_APPROVE=yes 决定是否自动批准，默认拒绝
+ * - 所有审批结论写入 logs/ops-audit.jsonl
  */
-async function getResponse(messages, tools) {
-  const openai = initOpenAI();
-  const response = await openai.chat.completions.create({
-    model: "qwen-turbo",
-    messages: messages,
-    tools: tools,
-    tool_choice: "auto"
-  });
-  return response;
-}
+const approve = createOpsApprover({
+  onDecision: (entry) => console.log(`审批结果: ${entry.tool} ${entry.approved ? '已批准' : '已拒绝'}（${entry.approver}）${entry.reason ? '，' + entry.reason : ''}`)
+});
 
 /**
  * 运维事件处置主函数
  */
 async function main() {
-  
-
   // 告警信息
   const query = `告警：数据库连接数超过设定阈值时间：2024-08-03 15:30:00`;
-  const messages = [
-    {
-      role: "system",
-      content: "我是运维分析师，用户会告诉我们告警内容。我会基于告警内容，判断当前的异常情况（告警对象、异常模式）"
-    },
-    {
-      role: "user",
-      content: query
-    }
-  ];
 
   console.log("开始运维事件处置...");
   console.log("告警信息:", query);
   console.log("------------------------");
 
-  // 循环处理对话，直到完成
-  while (true) {
-    const response = await getResponse(messages, tools);
-    const message = response.choices[0].message;
-    messages.push(message);
-
-    console.log("AI响应:", JSON.stringify(message, null, 2));
-    console.log("------------------------");
-
-    // 如果响应完成，退出循环
-    if (response.choices[0].finish_reason === 'stop') {
-      break;
-    }
-
-    // 检查是否需要调用函数
-    if (message.tool_calls && message.tool_calls.length > 0) {
-      const toolCall = message.tool_calls[0];
-      const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments);
-
-      console.log(`调用函数: ${functionName}, 参数:`, functionArgs);
-      const toolResponse = obj[functionName](functionArgs);
-
-      const toolInfo = {
-        role: "tool",
-        tool_call_id: toolCall.id,
-        content: toolResponse
-      };
-
-      console.log("函数返回结果:", toolResponse);
-      console.log("------------------------");
-
-      messages.push(toolInfo);
+  // 循环处理对话：执行每轮全部工具调用，最多6轮、2万token
+  const result = await triageAlert(query, {
+    model: "qwen-turbo",
+    registry,
+    approve,
+    stream: isStreamEnabled(), // node xxx.js --stream 开启流式输出
+    maxTurns: 6,
+    tokenBudget: 20000,
+    onEvent: (event) => {
+      if (event.type === 'response') {
+        console.log("AI响应:", JSON.stringify(event.message, null, 2));
+        console.log("------------------------");
+      } else if (event.type === 'tool_call') {
+        console.log(`调用函数: ${event.toolCall.function.name}, 参数:`, event.toolCall.function.arguments);
+      } else if (event.type === 'tool_result') {
+        console.log("函数返回结果:", event.result.content);
+        console.log("------------------------");
+      }
     }
-  }
+  });
 
-  return messages;
+  console.log("处置结论:");
+  console.log(result.conclusion);
+  console.log("------------------------");
+  console.log(`处置结束，原因: ${result.stopReason}，共${result.turns.length}轮，${result.usage.total_tokens} tokens`);
+  return result;
 }
 
 /**
  * 主函数
  * 运行运维事件处置示例
  */
-main();
\ No newline at end of file
+main().catch(err => {
+  console.error('运维事件处置出错:', err);
+  process.exitCode = 1;
+});
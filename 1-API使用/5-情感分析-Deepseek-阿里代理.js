@@ -1,17 +1,19 @@
 /**
  * 情感分析功能 - DeepSeek模型调用
  * 使用DeepSeek-R1模型进行情感分析和对话
- * 通过阿里云代理调用DeepSeek模型
+ * 通过阿里云代理调用DeepSeek模型（LLM_PROVIDER=deepseek 可切换为DeepSeek官方接口）
+ * deepseek-r1回答较长，默认使用流式输出：思考过程与最终回答分开显示
  */
 
 import { initOpenAI } from './initOpenAI.js';
+import { streamChatCompletion, createConsolePrinter } from './chatStream.js';
 
-const response = await initOpenAI().chat.completions.create({
+const response = await streamChatCompletion(initOpenAI(), {
   model: "deepseek-r1", // 使用 deepseek-r1 模型
   messages: [
     { role: "system", content: "You are a helpful assistant" }, //系统提示词
     { role: "user", content: "你好，你是什么大模型？" } //用户提问词
   ]
-});
+}, { onDelta: createConsolePrinter() }); // 边接收边打印
 
-console.log("AI回复:", response.choices[0].message.content);
+console.log("token用量:", JSON.stringify(response.usage));
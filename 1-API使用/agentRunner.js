@@ -0,0 +1,141 @@
+/**
+ * 通用Function Call智能体循环
+ * 「模型决策 -> 执行工具 -> 结果回传 -> 再次决策」，直到模型不再调用工具
+ *
+ * 关键技术点：
+ * 1. 执行同一轮中的全部tool_calls（默认并行），参数校验和执行由工具注册表负责
+ * 2. 最大轮数、token预算双重保护，避免无限循环
+ * 3. 返回结构化的对话记录（transcript），便于打印、测试和审计
+ */
+
+import { initOpenAI } from './initOpenAI.js';
+import { createToolRegistry } from './toolRegistry.js';
+import { streamChatCompletion, createConsolePrinter } from './chatStream.js';
+
+/**
+ * 累加usage
+ * @param {Object} total - 累计值
+ * @param {Object} [usage] - 本次响应的usage
+ */
+function addUsage(total, usage) {
+  if (!usage) return;
+  total.prompt_tokens += usage.prompt_tokens || 0;
+  total.completion_tokens += usage.completion_tokens || 0;
+  total.total_tokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+}
+
+/**
+ * 运行智能体循环
+ * @param {Object} options
+ * @param {Array} options.messages - 初始消息（会被复制，不修改调用方数组）
+ * @param {Object} [options.registry] - 工具注册表（createToolRegistry），负责生成tools、校验参数并执行
+ * @param {string} [options.model] - 模型名，缺省使用profile默认模型
+ * @param {OpenAI} [options.client] - 客户端，缺省为initOpenAI()
+ * @param {number} [options.maxTurns=8] - 最多请求模型的次数
+ * @param {number} [options.tokenBudget=Infinity] - 累计total_tokens上限
+ * @param {boolean} [options.parallel=true] - 同一轮的多个工具调用是否并行执行
+ * @param {Object} [options.params] - 透传给chat.completions.create的其他参数（如temperature）
+ * @param {Object} [options.requestOptions] - 透传给create的请求选项（如 tag、prompt）
+ * @param {Function} [options.approve] - 有副作用工具的审批回调（见approvalGate.js），未提供时此类工具一律不执行
+ * @param {boolean|Function} [options.stream=false] - 流式模式：true为输出到控制台，也可传入自定义onDelta回调
+ * @param {Function} [options.onEvent] - 过程回调，事件类型：response / tool_call / tool_result
+ * @returns {Promise<Object>} { messages, finalMessage, stopReason, turns, usage }
+ *   finalMessage为模型自行结束时的最后一条回复，max_turns / token_budget 时为null（见finalAnswer）
+ *
+ * stopReason取值：
+ * - stop / length / content_filter：模型自行结束（同finish_reason）
+ * - max_turns：达到最大轮数仍在调用工具
+ * - token_budget：累计token达到预算，本轮的工具调用不再执行
+ */
+export async function runAgent({
+  messages,
+  registry = createToolRegistry(),
+  model,
+  client = initOpenAI(),
+  maxTurns = 8,
+  tokenBudget = Infinity,
+  parallel = true,
+  params = {},
+  requestOptions,
+  stream = false,
+  approve,
+  onEvent = () => {}
+}) {
+  const tools = registry.definitions();
+  const history = [...messages];
+  const turns = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let stopReason = 'max_turns';
+  const onDelta = typeof stream === 'function' ? stream : createConsolePrinter();
+
+  for (let turn = 1; turn <= maxTurns; turn++) {
+    const request = {
+      ...params,
+      model,
+      messages: history,
+      ...(tools.length ? { tools, tool_choice: 'auto' } : {})
+    };
+    const response = stream
+      ? await streamChatCompletion(client, request, { onDelta, requestOptions })
+      : await client.chat.completions.create(request, requestOptions);
+    const { message, finish_reason: finishReason } = response.choices[0];
+    history.push(message);
+    addUsage(usage, response.usage);
+
+    const record = { turn, message, finishReason, usage: response.usage, toolResults: [] };
+    turns.push(record);
+    onEvent({ type: 'response', turn, message, finishReason, usage: response.usage });
+
+    // 没有工具调用即视为完成（部分模型在调用工具时finish_reason也为stop）
+    if (!message.tool_calls?.length) {
+      stopReason = finishReason || 'stop';
+      break;
+    }
+
+    // 预算用尽时不再执行本轮工具（可能含需审批的操作），并补上工具结果，保证返回的messages可继续使用
+    if (usage.total_tokens >= tokenBudget) {
+      stopReason = 'token_budget';
+      message.tool_calls.forEach(toolCall => {
+        history.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify({ error: '累计token已达预算，未执行' }) });
+      });
+      break;
+    }
+
+    const run = async toolCall => {
+      onEvent({ type: 'tool_call', turn, toolCall });
+      const result = await registry.execute(toolCall, { approve });
+      onEvent({ type: 'tool_result', turn, result });
+      return result;
+    };
+    if (parallel) {
+      record.toolResults = await Promise.all(message.tool_calls.map(run));
+    } else {
+      for (const toolCall of message.tool_calls) record.toolResults.push(await run(toolCall));
+    }
+
+    // 工具结果按tool_calls顺序回传，tool_call_id必须与调用请求的ID匹配
+    record.toolResults.forEach(result => {
+      history.push({ role: 'tool', tool_call_id: result.id, content: result.content });
+    });
+  }
+
+  // 提前停止时最后一条助手消息只有tool_calls，不能作为答复
+  const finished = !['max_turns', 'token_budget'].includes(stopReason);
+  const finalMessage = finished ? history.findLast(m => m.role === 'assistant') || null : null;
+  return { messages: history, finalMessage, stopReason, turns, usage };
+}
+
+const EARLY_STOPS = {
+  max_turns: '达到最大轮数，模型仍在调用工具',
+  token_budget: '累计token达到预算'
+};
+
+/**
+ * 取runAgent结果的答复文本；提前停止时返回说明，便于直接打印
+ * @param {Object} result - runAgent的返回值
+ * @returns {string}
+ */
+export function finalAnswer(result) {
+  if (result.finalMessage) return result.finalMessage.content || '';
+  return `（未得到最终答复：${EARLY_STOPS[result.stopReason] || result.stopReason}，共${result.turns.length}轮）`;
+}
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runAgent, finalAnswer } from './agentRunner.js';
+import { createToolRegistry } from './toolRegistry.js';
+
+const toolCall = (id, city) => ({ id, type: 'function', function: { name: 'getWeather', arguments: JSON.stringify({ city }) } });
+const callTools = (...calls) => ({ role: 'assistant', content: null, tool_calls: calls });
+
+/**
+ * 按顺序返回预设响应的客户端，记录每次请求
+ * @param {Array<Object>} messages - 每轮的助手消息
+ * @param {number} [tokensPerTurn=100]
+ */
+function scriptedClient(messages, tokensPerTurn = 100) {
+  const requests = [];
+  const client = {
+    requests,
+    chat: {
+      completions: {
+        create: async request => {
+          requests.push(structuredClone(request));
+          const message = messages[requests.length - 1];
+          return {
+            choices: [{ message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+            usage: { prompt_tokens: tokensPerTurn, completion_tokens: 0, total_tokens: tokensPerTurn }
+          };
+        }
+      }
+    }
+  };
+  return client;
+}
+
+/**
+ * 记录执行顺序的天气工具，北京比上海慢，用于区分并行与串行
+ */
+function weatherRegistry(log) {
+  return createToolRegistry([{
+    name: 'getWeather',
+    description: '查询天气',
+    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+    handler: async ({ city }) => {
+      log.push(`start:${city}`);
+      await new Promise(resolve => setTimeout(resolve, city === '北京' ? 20 : 1));
+      log.push(`end:${city}`);
+      return { city, temperature: 20 };
+    }
+  }]);
+}
+
+const messages = [{ role: 'user', content: '北京和上海天气' }];
+
+test('同一轮的多个工具调用并行执行，结果按tool_calls顺序回传', async () => {
+  const log = [];
+  const client = scriptedClient([callTools(toolCall('c1', '北京'), toolCall('c2', '上海')), { role: 'assistant', content: '都是20度' }]);
+  const result = await runAgent({ messages, client, registry: weatherRegistry(log) });
+  assert.deepEqual(log, ['start:北京', 'start:上海', 'end:上海', 'end:北京']);
+  assert.deepEqual(client.requests[1].messages.slice(-2).map(m => m.tool_call_id), ['c1', 'c2']);
+  assert.equal(result.stopReason, 'stop');
+  assert.equal(finalAnswer(result), '都是20度');
+  assert.deepEqual(result.usage, { prompt_tokens: 200, completion_tokens: 0, total_tokens: 200 });
+  assert.equal(messages.length, 1);
+});
+
+test('parallel为false时依次执行', async () => {
+  const log = [];
+  const client = scriptedClient([callTools(toolCall('c1', '北京'), toolCall('c2', '上海')), { role: 'assistant', content: '好' }]);
+  await runAgent({ messages, client, registry: weatherRegistry(log), parallel: false });
+  assert.deepEqual(log, ['start:北京', 'end:北京', 'start:上海', 'end:上海']);
+});
+
+test('达到最大轮数时没有最终答复', async () => {
+  const client = scriptedClient([callTools(toolCall('c1', '北京')), callTools(toolCall('c2', '上海'))]);
+  const result = await runAgent({ messages, client, registry: weatherRegistry([]), maxTurns: 2 });
+  assert.equal(result.stopReason, 'max_turns');
+  assert.equal(result.finalMessage, null);
+  assert.equal(client.requests.length, 2);
+  assert.match(finalAnswer(result), /未得到最终答复：达到最大轮数/);
+});
+
+test('token预算用尽时不再执行本轮工具，并补上工具结果', async () => {
+  const log = [];
+  const client = scriptedClient([callTools(toolCall('c1', '北京')), callTools(toolCall('c2', '上海'))]);
+  const result = await runAgent({ messages, client, registry: weatherRegistry(log), tokenBudget: 150 });
+  assert.equal(result.stopReason, 'token_budget');
+  assert.deepEqual(log, ['start:北京', 'end:北京']);
+  assert.deepEqual(result.turns.map(turn => turn.toolResults.length), [1, 0]);
+  assert.equal(result.finalMessage, null);
+  assert.deepEqual(result.messages.at(-1), { role: 'tool', tool_call_id: 'c2', content: JSON.stringify({ error: '累计token已达预算，未执行' }) });
+  assert.match(finalAnswer(result), /累计token达到预算，共2轮/);
+});
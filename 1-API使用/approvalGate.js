@@ -0,0 +1,141 @@
+/**
+ * 人工确认（Human-in-the-loop）
+ * 对标记为有副作用（sideEffect: true）的工具，执行前暂停智能体循环，展示待执行的调用和参数，
+ * 经交互式确认或程序化审批后才继续，所有审批结论写入审计日志
+ *
+ * 审批函数约定：
+ *   async (request) => ({ approved: boolean, reason?: string, approver?: string })
+ *   request: { id, name, arguments, description }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * 创建审计日志（JSON Lines格式，每条审批结论一行）
+ * @param {string} file - 日志文件路径
+ * @returns {{ file: string, record: Function, read: Function }}
+ */
+export function createAuditLog(file) {
+  return {
+    file,
+    /**
+     * 追加一条记录（自动补充时间戳）
+     * @param {Object} entry
+     */
+    record(entry) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', 'utf-8');
+    },
+    /**
+     * 读取全部记录
+     * @returns {Array<Object>}
+     */
+    read() {
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+  };
+}
+
+/**
+ * 控制台交互式审批
+ * @param {Object} [options]
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin]
+ * @param {NodeJS.WritableStream} [options.output=process.stdout]
+ * @returns {Function} 审批函数
+ *
+ * 关键说明：
+ * - 同一轮并行的多个工具调用会排队逐个询问，避免提示交错
+ * - 输入 y / yes / 是 表示批准，其他输入视为拒绝，非 n/no/否 的输入作为拒绝原因
+ */
+export function consoleApprover({ input = process.stdin, output = process.stdout } = {}) {
+  let queue = Promise.resolve();
+  let pending = 0;
+  let rl = null;
+  let lines = [];
+  let waiting = null;
+  let ended = false;
+
+  // 自行缓存输入行：管道输入时多行可能一次到达，readline.question会丢失后续行
+  const open = () => {
+    rl = readline.createInterface({ input, terminal: false });
+    rl.on('line', line => (waiting ? waiting(line) : lines.push(line)));
+    rl.on('close', () => { ended = true; waiting?.(''); });
+  };
+  const readLine = () => lines.length || ended
+    ? Promise.resolve(lines.shift() ?? '')
+    : new Promise(resolve => { waiting = line => { waiting = null; resolve(line); }; });
+
+  const ask = async request => {
+    if (!rl) open();
+    output.write('\n⚠️  待确认的处置操作\n');
+    output.write(`  工具: ${request.name}${request.description ? `（${request.description}）` : ''}\n`);
+    output.write(`  参数: ${JSON.stringify(request.arguments)}\n`);
+    output.write('是否执行？(y/N，拒绝时可直接输入原因): ');
+    const answer = (await readLine()).trim();
+    if (/^(y|yes|是)$/i.test(answer)) return { approved: true, approver: 'console' };
+    const reason = /^(n|no|否)?$/i.test(answer) ? '用户拒绝执行' : answer;
+    return { approved: false, reason, approver: 'console' };
+  };
+
+  return request => {
+    pending++;
+    const result = queue.then(() => ask(request)).finally(() => {
+      // 没有排队的审批时关闭输入，避免进程无法退出
+      if (--pending === 0) {
+        rl?.close();
+        rl = null;
+        lines = [];
+        ended = false;
+      }
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * 程序化审批：按固定结论或规则函数审批，适合脚本和CI
+ * @param {boolean|Function} rule - true/false固定结论，或 (request) => boolean|{approved, reason}
+ * @param {string} [approver='auto'] - 写入审计日志的审批人标识
+ * @returns {Function} 审批函数
+ */
+export function autoApprover(rule, approver = 'auto') {
+  return async request => {
+    const decision = typeof rule === 'function' ? await rule(request) : rule;
+    const normalized = typeof decision === 'object' ? decision : { approved: Boolean(decision) };
+    return { reason: normalized.approved ? undefined : '自动审批规则拒绝', approver, ...normalized };
+  };
+}
+
+/**
+ * 组合审批函数与审计日志，得到传给runAgent的approve回调
+ * @param {Object} options
+ * @param {Function} options.approver - 审批函数（consoleApprover / autoApprover / 自定义）
+ * @param {Object} [options.auditLog] - createAuditLog的返回值
+ * @param {Function} [options.onDecision] - 审批完成后的回调，便于打印
+ * @returns {Function} approve回调
+ */
+export function createApprovalGate({ approver, auditLog, onDecision = () => {} }) {
+  return async request => {
+    let decision;
+    try {
+      decision = await approver(request);
+    } catch (err) {
+      decision = { approved: false, reason: `审批失败: ${err.message}`, approver: 'error' };
+    }
+    const entry = {
+      toolCallId: request.id,
+      tool: request.name,
+      arguments: request.arguments,
+      approved: Boolean(decision.approved),
+      approver: decision.approver || 'unknown',
+      reason: decision.reason || null
+    };
+    auditLog?.record(entry);
+    onDecision(entry);
+    return entry;
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * 异步工具函数
+ * 批量调用大模型时使用的并发控制（重试由客户端的resilience中间件负责）
+ */
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 以有限并发依次处理列表，结果顺序与输入一致
+ * @param {Array} items - 待处理列表
+ * @param {number} concurrency - 最大并发数
+ * @param {Function} fn - 处理函数 (item, index) => Promise
+ * @returns {Promise<Array>} 处理结果
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return results;
+}
@@ -0,0 +1,112 @@
+/**
+ * 多轮对话命令行（REPL）
+ * 基于chatSession维护上下文，对话自动保存到 sessions/，可随时恢复
+ */
+
+import readline from 'readline';
+import { createChatSession, createSessionStore, estimateMessagesTokens } from './chatSession.js';
+import { createConsolePrinter } from './chatStream.js';
+import { defaultUsageTracker } from './usageTracker.js';
+
+const HELP = `命令：
+  /new             新建会话
+  /list            列出已保存的会话
+  /resume <id>     恢复会话
+  /history         查看当前会话的历史
+  /compact         立即压缩较早的轮次
+  /usage           查看本次运行的token用量和费用
+  /exit            退出`;
+
+/**
+ * 打印压缩提示
+ * @param {Object} info - createChatSession的onCompact参数
+ */
+export function logCompaction({ strategy, count, tokensBefore, tokensAfter }) {
+  console.log(`（上下文较长，已${strategy === 'trim' ? '裁剪' : '压缩为摘要'} ${count} 条较早的消息：约 ${tokensBefore} → ${tokensAfter} tokens）`);
+}
+
+/**
+ * 启动交互式对话
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - 要恢复的会话id
+ * @param {string} [options.model] - 模型名（恢复会话时缺省沿用原模型）
+ * @param {boolean} [options.stream=false] - 流式输出
+ * @param {'summarize'|'trim'} [options.strategy='summarize'] - 上下文超长时的处理方式
+ * @param {number} [options.contextWindow] - 覆盖模型的上下文窗口
+ * @param {Object} [options.store] - 会话存储
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin]
+ * @returns {Promise<string|null>} 退出时的会话id；当前会话还没有保存（没有完成过一轮对话）时为null
+ */
+export async function runChatRepl({
+  sessionId,
+  model,
+  stream = false,
+  strategy = 'summarize',
+  contextWindow,
+  store = createSessionStore(),
+  input = process.stdin
+} = {}) {
+  const open = id => createChatSession({ id, store, model, strategy, contextWindow, onCompact: logCompaction });
+
+  let session = open(sessionId);
+  // 新建的会话在第一轮对话完成后才保存，之前不显示id，避免给出无法 /resume 的id
+  const saved = () => store.exists(session.id);
+  const describe = () => `会话${saved() ? ` ${session.id}` : ''}（${session.data.model}，${session.data.messages.filter(m => m.role === 'user').length} 轮）`;
+  console.log(`${sessionId ? '已恢复' : '新建'}${describe()}，输入 /help 查看命令`);
+
+  const rl = readline.createInterface({ input, output: process.stdout, terminal: input.isTTY });
+  const prompt = () => input.isTTY && rl.prompt();
+  rl.setPrompt('你> ');
+  prompt();
+
+  for await (const line of rl) {
+    const text = line.trim();
+    if (!text) {
+      prompt();
+      continue;
+    }
+    if (!input.isTTY) console.log(`你> ${text}`);
+
+    try {
+      const [command, arg] = text.split(/\s+/);
+      if (command === '/exit' || command === '/quit') {
+        break;
+      } else if (command === '/help') {
+        console.log(HELP);
+      } else if (command === '/new') {
+        session = open();
+        console.log(`新建${describe()}`);
+      } else if (command === '/list') {
+        const sessions = store.list();
+        if (!sessions.length) console.log('暂无保存的会话');
+        sessions.forEach(s => console.log(`  ${s.id}  ${s.updatedAt.slice(0, 19).replace('T', ' ')}  ${s.model}  ${s.turns}轮  ${s.title}`));
+      } else if (command === '/resume') {
+        if (!arg) throw new Error('用法: /resume <会话id>');
+        session = open(arg);
+        console.log(`已恢复${describe()}`);
+      } else if (command === '/history') {
+        const { summary, summarizedCount, messages } = session.data;
+        if (summary) console.log(`【摘要（覆盖前 ${summarizedCount} 条消息）】\n${summary}`);
+        messages.slice(summarizedCount).forEach(m => console.log(`${m.role === 'user' ? '你' : 'AI'}> ${m.content}`));
+        console.log(`（当前上下文约 ${estimateMessagesTokens(session.context())} tokens）`);
+      } else if (command === '/usage') {
+        console.log(defaultUsageTracker.formatSummary());
+      } else if (command === '/compact') {
+        if (!await session.compact()) console.log('没有可压缩的轮次');
+      } else if (command.startsWith('/')) {
+        console.log(`未知命令: ${command}\n${HELP}`);
+      } else if (stream) {
+        await session.send(text, { onDelta: createConsolePrinter() });
+      } else {
+        const { content } = await session.send(text);
+        console.log(`AI> ${content}`);
+      }
+    } catch (err) {
+      console.error('出错:', err.message);
+    }
+    prompt();
+  }
+
+  rl.close();
+  return saved() ? session.id : null;
+}
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { runChatRepl } from './chatRepl.js';
+import { createSessionStore } from './chatSession.js';
+
+test('没有对话内容时不返回会话id，也不写入sessions', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const store = createSessionStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')) });
+  const logs = [];
+  const log = console.log;
+  console.log = (...args) => logs.push(args.join(' '));
+  try {
+    const id = await runChatRepl({ store, input: Readable.from(['/new\n', '/list\n', '/exit\n']) });
+    assert.equal(id, null);
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(fs.readdirSync(store.dir), []);
+  assert.ok(logs.every(line => !/\d{8}-[0-9a-f]{6}/.test(line)), logs.join('\n'));
+  fs.rmSync(store.dir, { recursive: true });
+});
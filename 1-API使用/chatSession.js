@@ -0,0 +1,245 @@
+/**
+ * 多轮对话会话
+ * 在initOpenAI之上维护对话历史并持久化到磁盘（每个会话一个JSON文件），可按id恢复会话；
+ * 上下文接近模型窗口时，把较早的轮次压缩为摘要（或直接裁剪），保证请求不超长
+ *
+ * 关键说明：
+ * - 磁盘上保留完整历史，summarizedCount之前的消息只以摘要形式进入请求
+ * - 模板中的few-shot示例（system之后的[user]/[assistant]段落）随会话保存，每次请求都放在对话历史之前
+ * - token数按字符估算（中文约1字1token，其他约4字符1token），留出回复所需的余量
+ * - 只在用户消息处切分，保证每轮问答完整
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { initOpenAI } from './initOpenAI.js';
+import { streamChatCompletion } from './chatStream.js';
+import { renderPrompt, DEFAULT_PROMPTS_DIR } from './promptTemplates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SESSIONS_DIR = path.join(__dirname, 'sessions');
+
+// 提示词模板（prompts/）：对话的系统提示词、上下文压缩
+export const CHAT_PROMPT = 'chat-assistant';
+const SUMMARY_PROMPT = 'chat-summary';
+
+// 各模型的上下文窗口（tokens），未列出的按DEFAULT_CONTEXT_WINDOW
+export const CONTEXT_WINDOWS = {
+  'qwen-plus': 131072,
+  'qwen-turbo': 1000000,
+  'qwen-max': 32768,
+  'deepseek-r1': 65536,
+  'deepseek-v3': 65536
+};
+export const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/**
+ * 估算文本的token数
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3000-\u9fff\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 估算消息列表的token数（每条消息额外计4个token的格式开销）
+ * @param {Array<Object>} messages
+ * @returns {number}
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + 4 + estimateTokens(typeof message.content === 'string' ? message.content : JSON.stringify(message.content)), 0);
+}
+
+/**
+ * 创建会话存储
+ * @param {Object} [options]
+ * @param {string} [options.dir=DEFAULT_SESSIONS_DIR] - 存储目录
+ * @param {string} [options.promptsDir=DEFAULT_PROMPTS_DIR] - 新建会话时读取提示词模板的目录
+ * @returns {Object} { dir, create, load, save, exists, list, remove }
+ * 关键说明：create只在内存中新建，第一次save后才写入磁盘、可按id恢复
+ */
+export function createSessionStore({ dir = DEFAULT_SESSIONS_DIR, promptsDir = DEFAULT_PROMPTS_DIR } = {}) {
+  const fileOf = id => {
+    if (!/^[\w-]+$/.test(id)) throw new Error(`会话id不合法: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  return {
+    dir,
+    create({ model = 'qwen-plus', system, prompt = CHAT_PROMPT, title = '' } = {}) {
+      const now = new Date().toISOString();
+      const id = `${now.slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+      // 直接指定system时不使用模板；模板版本在新建时确定，恢复会话沿用
+      const rendered = system ? { messages: [{ role: 'system', content: system }], prompt: { id: 'custom' } } : renderPrompt(prompt, { abKey: id, dir: promptsDir });
+      // 第一段system作为系统提示词，其余段落（few-shot示例）原样保留
+      const leading = rendered.messages[0]?.role === 'system' ? rendered.messages[0].content : '';
+      const examples = rendered.messages.slice(leading ? 1 : 0);
+      return { id, title, model, system: leading, examples, prompt: rendered.prompt.id, createdAt: now, updatedAt: now, summary: '', summarizedCount: 0, messages: [], usage: { prompt_tokens: 0, completion_tokens: 0 } };
+    },
+    load(id) {
+      const file = fileOf(id);
+      if (!fs.existsSync(file)) throw new Error(`会话不存在: ${id}`);
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    },
+    exists(id) {
+      return fs.existsSync(fileOf(id));
+    },
+    save(session) {
+      fs.mkdirSync(dir, { recursive: true });
+      session.updatedAt = new Date().toISOString();
+      fs.writeFileSync(fileOf(session.id), JSON.stringify(session, null, 2), 'utf-8');
+    },
+    // 按最近更新时间倒序
+    list() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const { id, title, model, updatedAt, messages } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+          return { id, title, model, updatedAt, turns: messages.filter(m => m.role === 'user').length };
+        })
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    remove(id) {
+      fs.rmSync(fileOf(id), { force: true });
+    }
+  };
+}
+
+/**
+ * 组装发给模型的上下文：系统提示词 + 模板示例 + 摘要 + 未压缩的消息
+ * @param {Object} session - 会话数据（早期保存的会话没有examples）
+ * @returns {Array<Object>}
+ */
+export function buildContext(session) {
+  const messages = [{ role: "system", content: session.system }, ...(session.examples || [])];
+  if (session.summary) messages.push({ role: "system", content: `以下是之前对话的摘要：\n${session.summary}` });
+  return messages.concat(session.messages.slice(session.summarizedCount).map(({ role, content }) => ({ role, content })));
+}
+
+/**
+ * 计算需要压缩到的位置：从最早的未压缩消息开始，直到剩余部分低于目标token数
+ * @param {Object} session - 会话数据
+ * @param {number} targetTokens - 压缩后上下文的目标token数
+ * @param {number} [keepTurns=2] - 至少保留最近几轮问答
+ * @returns {number} 新的summarizedCount，无需压缩时等于原值
+ */
+export function findCompactionPoint(session, targetTokens, keepTurns = 2) {
+  const userIndexes = session.messages
+    .map((message, i) => message.role === 'user' && i >= session.summarizedCount ? i : -1)
+    .filter(i => i >= 0);
+  const candidates = userIndexes.slice(1, Math.max(1, userIndexes.length - keepTurns + 1));
+  for (const index of candidates) {
+    if (estimateMessagesTokens(buildContext({ ...session, summarizedCount: index })) <= targetTokens) return index;
+  }
+  return candidates.at(-1) ?? session.summarizedCount;
+}
+
+/**
+ * 创建对话会话
+ * @param {Object} [options]
+ * @param {string} [options.id] - 要恢复的会话id，缺省新建
+ * @param {Object} [options.store] - 会话存储，缺省为createSessionStore()
+ * @param {string} [options.model='qwen-plus'] - 新建会话使用的模型（恢复时沿用会话记录的模型，传入则覆盖）
+ * @param {string} [options.system] - 新建会话的系统提示词，缺省使用模板
+ * @param {string} [options.prompt='chat-assistant'] - 新建会话的提示词模板，可带版本
+ * @param {OpenAI} [options.client] - 客户端
+ * @param {number} [options.contextWindow] - 上下文窗口，缺省按CONTEXT_WINDOWS
+ * @param {number} [options.reserveTokens=2048] - 为回复预留的token数
+ * @param {'summarize'|'trim'} [options.strategy='summarize'] - 超长时压缩为摘要或直接裁剪
+ * @param {Function} [options.onCompact] - 压缩后回调 ({ strategy, count, tokensBefore, tokensAfter })
+ * @returns {Object} { id, data, send, compact, context }
+ */
+export function createChatSession({
+  id,
+  store = createSessionStore(),
+  model,
+  system,
+  prompt,
+  client = initOpenAI(),
+  contextWindow,
+  reserveTokens = 2048,
+  strategy = 'summarize',
+  onCompact = () => {}
+} = {}) {
+  const session = id ? store.load(id) : store.create({ model, system, prompt });
+  if (id && model) session.model = model;
+  const windowSize = () => contextWindow || CONTEXT_WINDOWS[session.model] || DEFAULT_CONTEXT_WINDOW;
+
+  /**
+   * 压缩较早的轮次，目标为窗口的一半
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - 压缩后是否保存；send中由本轮成功后统一保存，避免把未得到回复的用户消息写入磁盘
+   * @returns {Promise<boolean>} 是否发生压缩
+   */
+  async function compact({ save = true } = {}) {
+    const tokensBefore = estimateMessagesTokens(buildContext(session));
+    const point = findCompactionPoint(session, Math.floor((windowSize() - reserveTokens) / 2));
+    if (point <= session.summarizedCount) return false;
+
+    const dropped = session.messages.slice(session.summarizedCount, point);
+    if (strategy === 'summarize') {
+      const transcript = dropped.map(m => `${m.role === 'user' ? '用户' : '助手'}：${m.content}`).join('\n');
+      const summaryPrompt = renderPrompt(SUMMARY_PROMPT, { abKey: session.id });
+      const completion = await client.chat.completions.create({
+        model: session.model,
+        messages: [
+          ...summaryPrompt.messages,
+          { role: "user", content: `${session.summary ? `已有摘要：\n${session.summary}\n\n` : ''}新增对话：\n${transcript}` }
+        ]
+      }, { prompt: summaryPrompt.prompt.id });
+      session.summary = completion.choices[0].message.content?.trim() || session.summary;
+    }
+    session.summarizedCount = point;
+    if (save) store.save(session);
+    onCompact({ strategy, count: dropped.length, tokensBefore, tokensAfter: estimateMessagesTokens(buildContext(session)) });
+    return true;
+  }
+
+  /**
+   * 发送一条用户消息并保存
+   * @param {string} text - 用户输入
+   * @param {Object} [options]
+   * @param {Function} [options.onDelta] - 传入时以流式方式请求，回调同streamChatCompletion
+   * @returns {Promise<{content: string, usage: Object, prompt: string}>} prompt为会话使用的模板版本
+   */
+  async function send(text, { onDelta } = {}) {
+    session.messages.push({ role: "user", content: text, at: new Date().toISOString() });
+    let completion;
+    try {
+      if (estimateMessagesTokens(buildContext(session)) > windowSize() - reserveTokens) await compact({ save: false });
+      const request = { model: session.model, messages: buildContext(session) };
+      const requestOptions = { prompt: session.prompt };
+      completion = onDelta
+        ? await streamChatCompletion(client, request, { onDelta, requestOptions })
+        : await client.chat.completions.create(request, requestOptions);
+    } catch (err) {
+      // 压缩或请求失败时撤回本轮用户消息，便于重试
+      session.messages.pop();
+      throw err;
+    }
+
+    if (!session.title) session.title = text.slice(0, 20);
+
+    const content = completion.choices[0].message.content || '';
+    session.messages.push({ role: "assistant", content, at: new Date().toISOString(), prompt: session.prompt });
+    session.usage.prompt_tokens += completion.usage?.prompt_tokens || 0;
+    session.usage.completion_tokens += completion.usage?.completion_tokens || 0;
+    store.save(session);
+    return { content, usage: completion.usage, prompt: session.prompt };
+  }
+
+  return {
+    id: session.id,
+    data: session,
+    send,
+    compact,
+    context: () => buildContext(session)
+  };
+}
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createChatSession, createSessionStore, findCompactionPoint, estimateTokens } from './chatSession.js';
+
+/**
+ * 假的客户端：按顺序返回replies中的结果，Error则抛出；记录每次请求
+ */
+function fakeClient(replies) {
+  const requests = [];
+  const create = async body => {
+    requests.push(body);
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return { choices: [{ message: { content: reply } }], usage: { prompt_tokens: 1, completion_tokens: 1 } };
+  };
+  return { requests, chat: { completions: { create } } };
+}
+
+function tempStore() {
+  return createSessionStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')) });
+}
+
+test('estimateTokens 中文按字计，其他约4字符1个', () => {
+  assert.equal(estimateTokens('你好'), 2);
+  assert.equal(estimateTokens('hello world'), 3);
+  assert.equal(estimateTokens(''), 0);
+});
+
+test('findCompactionPoint 只在用户消息处切分并保留最近的轮次', () => {
+  const messages = ['问1', '答1', '问2', '答2', '问3', '答3'].map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content: content.repeat(50) }));
+  const session = { system: '系统', summary: '', summarizedCount: 0, messages };
+  assert.equal(findCompactionPoint(session, 10, 1), 4);
+  assert.equal(findCompactionPoint(session, 100000, 1), 2);
+});
+
+test('send 保存问答并累计用量', async () => {
+  const store = tempStore();
+  const client = fakeClient(['你好！']);
+  const chat = createChatSession({ store, client, system: '你是助手' });
+  const { content } = await chat.send('你好');
+  assert.equal(content, '你好！');
+  const saved = store.load(chat.id);
+  assert.deepEqual(saved.messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(saved.title, '你好');
+  fs.rmSync(store.dir, { recursive: true });
+});
+
+test('send 压缩上下文失败时撤回本轮用户消息，重试时不会重复发送', async () => {
+  const store = tempStore();
+  const client = fakeClient(['答1', '答2', new Error('摘要请求失败'), '摘要', '答3']);
+  const chat = createChatSession({ store, client, system: '你是助手', contextWindow: 300, reserveTokens: 100 });
+  await chat.send('问1'.repeat(60));
+  await chat.send('问2'.repeat(60));
+
+  await assert.rejects(chat.send('问3'.repeat(60)), /摘要请求失败/);
+  assert.equal(chat.data.messages.length, 4);
+  assert.equal(store.load(chat.id).messages.length, 4);
+
+  await chat.send('问3'.repeat(60));
+  const last = client.requests.at(-1).messages.filter(m => m.role === 'user');
+  assert.equal(last.filter(m => m.content.startsWith('问3')).length, 1);
+  assert.equal(chat.data.summary, '摘要');
+  assert.equal(store.load(chat.id).messages.length, 6);
+  fs.rmSync(store.dir, { recursive: true });
+});
+
+test('模板中的few-shot示例随会话保存并放在对话历史之前', async () => {
+  const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  fs.mkdirSync(path.join(promptsDir, 'chat-assistant'));
+  fs.writeFileSync(path.join(promptsDir, 'chat-assistant', 'v1.md'), '---\ndescription: 测试\n---\n[system]\n只回答一个词。\n[user]\n天空是什么颜色\n[assistant]\n蓝色\n');
+  const store = createSessionStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')), promptsDir });
+  const client = fakeClient(['绿色']);
+  const chat = createChatSession({ store, client });
+  await chat.send('草是什么颜色');
+
+  const expected = [
+    { role: 'system', content: '只回答一个词。' },
+    { role: 'user', content: '天空是什么颜色' },
+    { role: 'assistant', content: '蓝色' },
+    { role: 'user', content: '草是什么颜色' }
+  ];
+  assert.deepEqual(client.requests[0].messages, expected);
+  const resumed = createChatSession({ id: chat.id, store, client });
+  assert.deepEqual(resumed.context().slice(0, 3), expected.slice(0, 3));
+  assert.equal(resumed.data.prompt, 'chat-assistant@v1');
+});
@@ -0,0 +1,116 @@
+/**
+ * 流式对话工具
+ * 以stream模式调用chat.completions，边接收边输出，并把增量（delta）重新组装为完整响应
+ *
+ * 关键技术点：
+ * 1. content与reasoning_content（deepseek-r1的思考过程）分开输出
+ * 2. tool_calls按index累加id、name和arguments片段，组装后与非流式响应结构一致，
+ *    因此Function Call流程无需区分是否流式
+ * 3. 通过stream_options.include_usage获取流式响应的token用量
+ */
+
+/**
+ * 判断是否开启流式模式（命令行 --stream 或环境变量 LLM_STREAM=1）
+ * @returns {boolean}
+ */
+export function isStreamEnabled() {
+  return process.argv.includes('--stream') || process.env.LLM_STREAM === '1';
+}
+
+/**
+ * 把单个chunk的delta合并进累积消息
+ * @param {Object} message - 累积中的消息
+ * @param {Object} delta - chunk.choices[0].delta
+ */
+function mergeDelta(message, delta) {
+  if (delta.role) message.role = delta.role;
+  if (delta.content) message.content = (message.content || '') + delta.content;
+  if (delta.reasoning_content) message.reasoning_content = (message.reasoning_content || '') + delta.reasoning_content;
+
+  (delta.tool_calls || []).forEach(part => {
+    message.tool_calls ??= [];
+    const index = part.index ?? message.tool_calls.length;
+    const call = message.tool_calls[index] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+    if (part.id) call.id = part.id;
+    if (part.type) call.type = part.type;
+    if (part.function?.name) call.function.name += part.function.name;
+    if (part.function?.arguments) call.function.arguments += part.function.arguments;
+  });
+}
+
+/**
+ * 创建控制台输出器：思考过程与回答分段显示
+ * @param {Object} [options]
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - 输出流
+ * @returns {Function} onDelta回调
+ */
+export function createConsolePrinter({ output = process.stdout } = {}) {
+  const dim = output.isTTY ? text => `\x1b[2m${text}\x1b[0m` : text => text;
+  let section = null;
+
+  const enter = (name, title) => {
+    if (section === name) return;
+    output.write(`${section ? '\n' : ''}${title}\n`);
+    section = name;
+  };
+
+  return ({ type, text, toolCall, done }) => {
+    if (type === 'reasoning') {
+      enter('reasoning', '【思考过程】');
+      output.write(dim(text));
+    } else if (type === 'content') {
+      enter('content', '【回答】');
+      output.write(text);
+    } else if (type === 'tool_call') {
+      enter(`tool:${toolCall.index}`, `【工具调用】${toolCall.name}`);
+    } else if (done && section) {
+      output.write('\n');
+      section = null;
+    }
+  };
+}
+
+/**
+ * 以流式方式调用chat.completions.create，并组装为非流式响应结构
+ * @param {OpenAI} client - 客户端
+ * @param {Object} params - 请求参数（同非流式，会自动加上stream和stream_options）
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - 增量回调，参数为 { type: 'reasoning'|'content'|'tool_call', text, toolCall } 或 { done: true }
+ * @param {Object} [options.requestOptions] - 传给create的请求选项（如 tag、prompt）
+ * @returns {Promise<Object>} 与chat.completion相同结构的对象 { id, model, choices: [{ message, finish_reason }], usage }
+ */
+export async function streamChatCompletion(client, params, { onDelta = () => {}, requestOptions } = {}) {
+  const stream = await client.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true, ...params.stream_options }
+  }, requestOptions);
+
+  const message = { role: 'assistant', content: null };
+  const completion = { id: null, object: 'chat.completion', model: params.model, choices: [], usage: null };
+  let finishReason = null;
+
+  for await (const chunk of stream) {
+    completion.id ??= chunk.id;
+    completion.model = chunk.model || completion.model;
+    completion.created ??= chunk.created;
+    if (chunk.usage) completion.usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    const { delta = {} } = choice;
+    const knownCalls = message.tool_calls?.length || 0;
+    mergeDelta(message, delta);
+
+    if (delta.reasoning_content) onDelta({ type: 'reasoning', text: delta.reasoning_content });
+    if (delta.content) onDelta({ type: 'content', text: delta.content });
+    (message.tool_calls || []).slice(knownCalls).forEach((call, i) => {
+      onDelta({ type: 'tool_call', toolCall: { index: knownCalls + i, id: call.id, name: call.function.name } });
+    });
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  onDelta({ done: true });
+  completion.choices.push({ index: 0, message, finish_reason: finishReason });
+  return completion;
+}
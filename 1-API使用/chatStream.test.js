@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { streamChatCompletion, createConsolePrinter } from './chatStream.js';
+
+/**
+ * 把chunk列表作为流返回的客户端，记录请求
+ */
+function streamingClient(chunks) {
+  const requests = [];
+  const create = async (body, options) => {
+    requests.push({ body, options });
+    return { async* [Symbol.asyncIterator]() { yield* chunks; } };
+  };
+  return { requests, chat: { completions: { create } } };
+}
+
+const chunkOf = (delta, finishReason = null) => ({ id: 'chatcmpl-1', model: 'qwen-plus', created: 1, choices: [{ index: 0, delta, finish_reason: finishReason }] });
+
+test('分片的tool_calls按index组装，末尾只有usage的chunk计入用量', async () => {
+  const client = streamingClient([
+    chunkOf({ role: 'assistant', content: '' }),
+    chunkOf({ tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'getWeather', arguments: '' } }] }),
+    chunkOf({ tool_calls: [{ index: 0, function: { arguments: '{"loca' } }] }),
+    chunkOf({ tool_calls: [{ index: 1, id: 'call_b', type: 'function', function: { name: 'getWeather', arguments: '{"location"' } }] }),
+    chunkOf({ tool_calls: [{ index: 0, function: { arguments: 'tion": "大连"}' } }] }),
+    chunkOf({ tool_calls: [{ index: 1, function: { arguments: ': "北京"}' } }] }),
+    chunkOf({}, 'tool_calls'),
+    { id: 'chatcmpl-1', model: 'qwen-plus', choices: [], usage: { prompt_tokens: 20, completion_tokens: 12, total_tokens: 32 } }
+  ]);
+  const events = [];
+  const completion = await streamChatCompletion(client, { model: 'qwen-plus', messages: [] }, { onDelta: event => events.push(event), requestOptions: { tag: 'test' } });
+
+  const { message, finish_reason: finishReason } = completion.choices[0];
+  assert.equal(finishReason, 'tool_calls');
+  assert.equal(message.content, null);
+  assert.deepEqual(message.tool_calls.map(call => [call.id, call.function.name, JSON.parse(call.function.arguments)]), [
+    ['call_a', 'getWeather', { location: '大连' }],
+    ['call_b', 'getWeather', { location: '北京' }]
+  ]);
+  assert.deepEqual(completion.usage, { prompt_tokens: 20, completion_tokens: 12, total_tokens: 32 });
+  assert.equal(completion.id, 'chatcmpl-1');
+
+  // 每个工具调用只通知一次，最后通知结束
+  assert.deepEqual(events.filter(e => e.type === 'tool_call').map(e => e.toolCall), [
+    { index: 0, id: 'call_a', name: 'getWeather' },
+    { index: 1, id: 'call_b', name: 'getWeather' }
+  ]);
+  assert.deepEqual(events.at(-1), { done: true });
+  assert.deepEqual(client.requests[0].body.stream_options, { include_usage: true });
+  assert.deepEqual(client.requests[0].options, { tag: 'test' });
+});
+
+test('content和reasoning_content分别拼接并回调', async () => {
+  const client = streamingClient([
+    chunkOf({ role: 'assistant', reasoning_content: '先想' }),
+    chunkOf({ reasoning_content: '一下' }),
+    chunkOf({ content: '大连' }),
+    chunkOf({ content: '晴' }, 'stop')
+  ]);
+  const events = [];
+  const completion = await streamChatCompletion(client, { model: 'deepseek-r1', messages: [] }, { onDelta: event => events.push(event) });
+  assert.deepEqual(completion.choices[0].message, { role: 'assistant', content: '大连晴', reasoning_content: '先想一下' });
+  assert.equal(completion.usage, null);
+  assert.deepEqual(events.filter(e => e.type).map(e => `${e.type}:${e.text}`), ['reasoning:先想', 'reasoning:一下', 'content:大连', 'content:晴']);
+});
+
+test('createConsolePrinter 分段输出思考过程和回答', () => {
+  let text = '';
+  const print = createConsolePrinter({ output: { isTTY: false, write: chunk => { text += chunk; } } });
+  print({ type: 'reasoning', text: '想' });
+  print({ type: 'content', text: '答' });
+  print({ done: true });
+  assert.equal(text, '【思考过程】\n想\n【回答】\n答\n');
+});
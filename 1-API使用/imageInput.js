@@ -0,0 +1,146 @@
+/**
+ * 多模态图片输入
+ * 把本地文件路径、Buffer转为base64数据URL，过大的图片先缩放/压缩再编码，并支持一次传入多张图片
+ *
+ * 关键说明：
+ * - 公网URL和已有的data URL原样返回，不做下载
+ * - 百炼对单张base64图片有大小限制（编码后约10MB），这里默认把原图压到3MB、长边2048像素以内
+ * - 多张图片放在同一个请求里时，请求体也有上限，默认编码后合计不超过16MB（maxTotalBytes），超出时提前报错并列出各图片大小
+ * - 压缩统一输出JPEG，先降低质量，仍然过大时再逐步缩小尺寸
+ */
+
+import fs from 'fs';
+import { Jimp } from 'jimp';
+
+export const DEFAULT_IMAGE_LIMITS = { maxBytes: 3 * 1024 * 1024, maxSide: 2048, quality: 85, maxTotalBytes: 16 * 1024 * 1024 };
+
+const MIME_BY_EXT = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+// 支持的图片扩展名（用于扫描目录）
+export const IMAGE_EXTENSIONS = Object.keys(MIME_BY_EXT);
+
+// jimp可以解码、用于缩放的格式
+const RESIZABLE_MIMES = ['image/jpeg', 'image/png', 'image/bmp', 'image/gif', 'image/tiff'];
+
+/**
+ * 按文件头识别图片类型
+ * @param {Buffer} buffer - 图片数据
+ * @returns {string|null} MIME类型，无法识别时为null
+ */
+export function detectMime(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (['II*\0', 'MM\0*'].includes(buffer.toString('binary', 0, 4))) return 'image/tiff';
+  return null;
+}
+
+const megabytes = bytes => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+/**
+ * 判断是否为公网URL或data URL（这两种不需要本地编码）
+ * @param {string|Buffer} source - 图片来源
+ * @returns {boolean}
+ */
+export function isRemoteUrl(source) {
+  return typeof source === 'string' && /^(https?:|data:)/i.test(source);
+}
+
+/**
+ * 缩放/压缩图片，使其满足大小和尺寸限制
+ * @param {Buffer} buffer - 原始图片
+ * @param {Object} [options]
+ * @param {string} [options.mime] - 图片类型，缺省按文件头识别
+ * @param {number} [options.maxBytes=3MB] - 最大字节数
+ * @param {number} [options.maxSide=2048] - 长边最大像素
+ * @param {number} [options.quality=85] - JPEG初始质量
+ * @returns {Promise<{buffer: Buffer, mime: string, resized: boolean, width?: number, height?: number}>}
+ */
+export async function prepareImage(buffer, {
+  mime = detectMime(buffer),
+  maxBytes = DEFAULT_IMAGE_LIMITS.maxBytes,
+  maxSide = DEFAULT_IMAGE_LIMITS.maxSide,
+  quality = DEFAULT_IMAGE_LIMITS.quality
+} = {}) {
+  if (!mime) throw new Error('无法识别的图片格式，支持 JPEG / PNG / WEBP / BMP / GIF / TIFF');
+  if (!RESIZABLE_MIMES.includes(mime)) {
+    if (buffer.length > maxBytes) throw new Error(`${mime} 图片超过 ${megabytes(maxBytes)}，且不支持自动压缩，请先转为JPEG或PNG`);
+    return { buffer, mime, resized: false };
+  }
+
+  const image = await Jimp.read(buffer);
+  const { width, height } = image;
+  if (buffer.length <= maxBytes && Math.max(width, height) <= maxSide) return { buffer, mime, resized: false, width, height };
+
+  if (Math.max(width, height) > maxSide) image.scaleToFit({ w: maxSide, h: maxSide });
+  let output = await image.getBuffer('image/jpeg', { quality });
+  // 先降质量，再按0.75倍逐步缩小尺寸
+  for (let q = quality - 15; output.length > maxBytes && q >= 55; q -= 15) {
+    output = await image.getBuffer('image/jpeg', { quality: q });
+  }
+  while (output.length > maxBytes && Math.max(image.width, image.height) > 256) {
+    image.scale(0.75);
+    output = await image.getBuffer('image/jpeg', { quality: 55 });
+  }
+  if (output.length > maxBytes) throw new Error(`图片压缩后仍超过 ${megabytes(maxBytes)}`);
+  return { buffer: output, mime: 'image/jpeg', resized: true, width: image.width, height: image.height };
+}
+
+/**
+ * 把图片来源转为可放入 image_url 的地址
+ * @param {string|Buffer} source - 公网URL、data URL、本地文件路径或Buffer
+ * @param {Object} [options] - 同prepareImage
+ * @returns {Promise<string>} 公网URL原样返回，其余为base64数据URL
+ */
+export async function toImageUrl(source, options = {}) {
+  if (isRemoteUrl(source)) return source;
+
+  let buffer = source;
+  let mime = options.mime;
+  if (typeof source === 'string') {
+    if (!fs.existsSync(source)) throw new Error(`图片文件不存在: ${source}`);
+    buffer = fs.readFileSync(source);
+  } else if (!Buffer.isBuffer(source)) {
+    throw new Error('图片来源应为URL、文件路径或Buffer');
+  }
+
+  // 以文件头为准，避免扩展名与实际格式不符
+  const prepared = await prepareImage(buffer, { ...options, mime: mime || detectMime(buffer) });
+  return `data:${prepared.mime};base64,${prepared.buffer.toString('base64')}`;
+}
+
+/**
+ * 构造多模态消息的content数组（多张图片 + 一段文字）
+ * @param {string|Buffer|Array<string|Buffer>} images - 一张或多张图片
+ * @param {string} text - 文字指令
+ * @param {Object} [options] - 同prepareImage，另支持：
+ * @param {number} [options.maxTotalBytes=16MB] - 全部图片编码后（data URL）的合计上限，公网URL不计入
+ * @returns {Promise<Array<Object>>} [{ type: 'image_url', ... }, ..., { type: 'text', text }]
+ */
+export async function buildImageContent(images, text, { maxTotalBytes = DEFAULT_IMAGE_LIMITS.maxTotalBytes, ...options } = {}) {
+  const sources = Array.isArray(images) ? images : [images];
+  if (!sources.length) throw new Error('至少需要一张图片');
+  const urls = await Promise.all(sources.map(source => toImageUrl(source, options)));
+  const sizes = urls.map(url => url.startsWith('data:') ? url.length : 0);
+  const total = sizes.reduce((a, b) => a + b, 0);
+  if (total > maxTotalBytes) {
+    const names = sources.map((source, i) => `${typeof source === 'string' && !source.startsWith('data:') ? source : `第${i + 1}张`} ${megabytes(sizes[i])}`);
+    throw new Error(`${sources.length}张图片编码后共 ${megabytes(total)}，超过单次请求上限 ${megabytes(maxTotalBytes)}（${names.join('，')}），请减少图片数量或调小 maxBytes`);
+  }
+  return [
+    ...urls.map(url => ({ type: "image_url", image_url: { url } })),
+    { type: "text", text }
+  ];
+}
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMime, isRemoteUrl, buildImageContent } from './imageInput.js';
+
+const dataUrl = size => `data:image/jpeg;base64,${'A'.repeat(size)}`;
+
+test('detectMime 按文件头识别图片类型', () => {
+  assert.equal(detectMime(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0])), 'image/jpeg');
+  assert.equal(detectMime(Buffer.from('RIFF0000WEBPVP8 ')), 'image/webp');
+  assert.equal(detectMime(Buffer.from('not an image')), null);
+  assert.equal(isRemoteUrl('https://example.com/a.png'), true);
+  assert.equal(isRemoteUrl('./a.png'), false);
+});
+
+test('buildImageContent 图片在前、文字在后', async () => {
+  const content = await buildImageContent(['https://example.com/a.png', dataUrl(8)], '描述图片');
+  assert.deepEqual(content.map(part => part.type), ['image_url', 'image_url', 'text']);
+  assert.equal(content[0].image_url.url, 'https://example.com/a.png');
+});
+
+test('buildImageContent 多张图片合计超过上限时报错并列出各图片大小', async () => {
+  const images = [dataUrl(1024 * 1024), dataUrl(1024 * 1024), 'https://example.com/a.png'];
+  await assert.rejects(buildImageContent(images, '提取', { maxTotalBytes: 1.5 * 1024 * 1024 }), err => {
+    assert.match(err.message, /3张图片编码后共 2\.0MB，超过单次请求上限 1\.5MB/);
+    assert.match(err.message, /第1张 1\.0MB，第2张 1\.0MB，https:\/\/example\.com\/a\.png 0\.0MB/);
+    return true;
+  });
+  await buildImageContent(images, '提取', { maxTotalBytes: 3 * 1024 * 1024 });
+});
@@ -1,5 +1,346 @@
-console.log("Hello World, 请直接运行其他文件"); 
+/**
+ * 命令行入口
+ * 把各个demo的能力整理为子命令，输入来自命令行参数、文件或标准输入，便于脚本调用
+ *
+ * 使用方式：
+ *   node index.js                                          # 缺省进入多轮对话（同 chat）
+ *   node index.js sentiment "这款音乐软件很棒" "太卡了" --json
+ *   cat reviews.txt | node index.js sentiment --model deepseek-r1
+ *   node index.js weather 大连的天气怎样
+ *   node index.js ops-triage --file alert.txt --approve
+ *   node index.js vision-describe scan1.jpg scan2.png --prompt 这是什么文件
+ *   node index.js ocr-extract ticket.jpg --json
+ *   node index.js chat --session 20241114-a1b2c3
+ *   node index.js cache clear --model qwen-plus --older-than 1d
+ *   node index.js prompts show sentiment@v2
+ */
 
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { initOpenAI } from './initOpenAI.js';
+import { isStreamEnabled, createConsolePrinter, streamChatCompletion } from './chatStream.js';
+import { classifySentiment } from './sentiment.js';
+import { pickTextColumn } from './sentimentBatch.js';
+import { readTable } from './tableFile.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { finalAnswer } from './agentRunner.js';
+import { askWeather } from './weatherAgent.js';
+import { triageAlert, createOpsApprover } from './opsAgent.js';
+import { buildImageContent } from './imageInput.js';
+import { extractFromImage, TICKET_FIELDS } from './ocrExtractor.js';
+import { createChatSession } from './chatSession.js';
+import { runChatRepl, logCompaction } from './chatRepl.js';
+import { defaultUsageTracker } from './usageTracker.js';
+import { createResponseCache } from './responseCache.js';
+import { listPrompts, renderPrompt } from './promptTemplates.js';
 
+const HELP = `用法: node index.js <命令> [输入...] [选项]
 
+命令：
+  sentiment [文本...]         情感分析；无文本参数时读取 --file（txt每行一条，或CSV/XLSX/JSONL）或标准输入
+  weather [问题]              天气查询智能体
+  ops-triage [告警]           运维事件处置（处置操作需确认，--approve 自动批准）
+  vision-describe <图片...>   图片描述，图片可为本地路径或URL，--prompt 指定问题
+  ocr-extract <图片...>       车票OCR结构化抽取，--fields 指定字段定义JSON
+  chat [消息]                 多轮对话；带消息时只问一轮并输出回复，否则进入交互模式
+  cache [stats|list|clear|prune] [key...]   管理LLM响应缓存（LLM_CACHE=on|record|replay 开启）
+  prompts [list|show <模板[@版本]>]          查看提示词模板及版本
 
+通用选项：
+  --model <模型>     覆盖默认模型
+  --json             以JSON输出结果（不打印过程信息）
+  --file <文件>      从文件读取输入
+  --stream           流式输出（sentiment、ocr-extract 不支持）
+  --usage            结束后把token用量和费用汇总打印到stderr
+  -h, --help         查看帮助
+
+其他选项：
+  --column <列名>            sentiment：表格文件的文本列
+  --concurrency <n>          sentiment：并发数，默认4
+  --prompt <问题>            vision-describe：对图片的提问
+  --fields <文件> --subject <描述>   ocr-extract：字段定义和图像描述
+  --approve                  ops-triage：非交互时自动批准处置操作
+  --session <id> --trim --context-window <n>   chat：恢复会话、裁剪策略、上下文窗口
+  --model <模型> --tag <调用方> --older-than <时长>   cache clear：按模型、调用方、时长（如 12h、7d）筛选`;
+
+/**
+ * 读取标准输入（交互终端时返回空）
+ * @returns {Promise<Buffer>}
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return Buffer.alloc(0);
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 按优先级读取文本输入：命令行参数 > --file > 标准输入
+ * @param {string[]} args - 位置参数
+ * @param {string} [file] - --file
+ * @returns {Promise<string>}
+ */
+async function readText(args, file) {
+  if (args.length) return args.join(' ');
+  if (file) return fs.readFileSync(file, 'utf-8').trim();
+  return (await readStdin()).toString('utf-8').trim();
+}
+
+/**
+ * 读取图片输入：命令行参数 > --file > 标准输入（二进制图片）
+ * @param {string[]} args - 位置参数
+ * @param {string} [file] - --file
+ * @returns {Promise<Array<string|Buffer>>}
+ */
+async function readImages(args, file) {
+  if (args.length) return args;
+  if (file) return [file];
+  const data = await readStdin();
+  return data.length ? [data] : [];
+}
+
+/**
+ * 缺少输入时抛出带用法的错误
+ * @param {*} value - 输入
+ * @param {string} usage - 用法说明
+ */
+function requireInput(value, usage) {
+  if (!value || (Array.isArray(value) && !value.length)) throw new Error(`缺少输入，用法: ${usage}`);
+}
+
+/**
+ * 打印智能体过程事件（--json 时不打印）
+ * @param {Object} event - runAgent事件
+ */
+function logAgentEvent(event) {
+  if (event.type === 'tool_call') {
+    console.log(`调用函数: ${event.toolCall.function.name}, 参数: ${event.toolCall.function.arguments}`);
+  } else if (event.type === 'tool_result') {
+    console.log(`函数返回结果: ${event.result.content}`);
+  }
+}
+
+const summarizeRun = result => ({ stopReason: result.stopReason, turns: result.turns.length, usage: result.usage });
+
+const COMMANDS = {
+  async sentiment(args, options) {
+    let texts = args;
+    if (!texts.length && options.file) {
+      const ext = path.extname(options.file).toLowerCase();
+      if (['.csv', '.xlsx', '.xls', '.jsonl', '.json'].includes(ext)) {
+        const rows = readTable(options.file);
+        const column = pickTextColumn(rows, options.column);
+        texts = rows.map(row => String(row[column] ?? ''));
+      } else {
+        texts = fs.readFileSync(options.file, 'utf-8').split(/\r?\n/);
+      }
+    } else if (!texts.length) {
+      texts = (await readStdin()).toString('utf-8').split(/\r?\n/);
+    }
+    texts = texts.map(text => text.trim()).filter(Boolean);
+    requireInput(texts, 'node index.js sentiment <文本...> | --file reviews.csv | 标准输入每行一条');
+
+    const client = initOpenAI();
+    const results = await mapWithConcurrency(texts, Number(options.concurrency), async text => {
+      try {
+        const { label, raw, prompt } = await classifySentiment(text, { client, model: options.model });
+        return { text, label, raw, prompt };
+      } catch (err) {
+        return { text, label: null, error: err.message };
+      }
+    });
+    if (options.json) return results;
+    results.forEach(r => console.log(`${r.label || '失败'}\t${r.text}${r.error ? `\t${r.error}` : ''}`));
+  },
+
+  async weather(args, options) {
+    const query = await readText(args, options.file);
+    requireInput(query, 'node index.js weather <问题>');
+    const result = await askWeather(query, {
+      model: options.model,
+      stream: options.stream,
+      onEvent: options.json ? undefined : logAgentEvent
+    });
+    if (options.json) return { answer: finalAnswer(result), prompt: result.prompt, ...summarizeRun(result) };
+    // 流式输出时答复已打印，提前停止时仍需输出说明
+    if (!options.stream || !result.finalMessage) console.log(finalAnswer(result));
+  },
+
+  async 'ops-triage'(args, options) {
+    const alert = await readText(args, options.file);
+    requireInput(alert, 'node index.js ops-triage <告警内容>');
+    const approvals = [];
+    const approve = createOpsApprover({
+      // 输入来自标准输入或以JSON输出时无法交互确认
+      interactive: Boolean(process.stdin.isTTY) && !options.json && !options.approve,
+      autoApprove: options.approve || undefined,
+      approverName: options.approve ? 'cli:--approve' : undefined,
+      onDecision: entry => {
+        approvals.push(entry);
+        if (!options.json) console.log(`审批结果: ${entry.tool} ${entry.approved ? '已批准' : '已拒绝'}（${entry.approver}）`);
+      }
+    });
+    const result = await triageAlert(alert, {
+      model: options.model,
+      approve,
+      stream: options.stream,
+      onEvent: options.json ? undefined : logAgentEvent
+    });
+    if (options.json) return { conclusion: result.conclusion, references: result.references, approvals, prompt: result.prompt, ...summarizeRun(result) };
+    console.log('处置结论:');
+    console.log(result.conclusion);
+  },
+
+  async 'vision-describe'(args, options) {
+    const images = await readImages(args, options.file);
+    requireInput(images, 'node index.js vision-describe <图片路径或URL...> [--prompt 问题]');
+    const question = options.prompt || (images.length > 1 ? "这几张图片分别描绘的是什么景象?" : "图中描绘的是什么景象?");
+    const request = {
+      model: options.model || 'qwen-vl-plus',
+      messages: [{ role: "user", content: await buildImageContent(images, question) }]
+    };
+    const client = initOpenAI();
+    if (options.stream && !options.json) {
+      await streamChatCompletion(client, request, { onDelta: createConsolePrinter() });
+      return;
+    }
+    const completion = await client.chat.completions.create(request);
+    const content = completion.choices[0].message.content;
+    if (options.json) return { content, usage: completion.usage };
+    console.log(content);
+  },
+
+  async 'ocr-extract'(args, options) {
+    const images = await readImages(args, options.file);
+    requireInput(images, 'node index.js ocr-extract <图片路径或URL...> [--fields 字段定义.json]');
+    const fields = options.fields ? JSON.parse(fs.readFileSync(options.fields, 'utf-8')) : TICKET_FIELDS;
+    const result = await extractFromImage(images, { fields, subject: options.subject, model: options.model });
+    if (options.json) return result;
+    if (result.error) throw new Error(result.error);
+    Object.entries(result.fields).forEach(([name, field]) => {
+      const notes = [...field.errors, ...field.warnings].join('；');
+      console.log(`${field.needsReview ? '⚠' : '✔'} ${name}: ${field.value ?? field.raw}（置信度 ${field.confidence}）${notes ? ` ${notes}` : ''}`);
+    });
+    if (result.needsReview.length) console.log(`需要人工复核: ${result.needsReview.join('、')}`);
+  },
+
+  async chat(args, options) {
+    const strategy = options.trim ? 'trim' : 'summarize';
+    const contextWindow = options['context-window'] ? Number(options['context-window']) : undefined;
+    // 带消息参数（或--file）时只问一轮，否则进入交互模式
+    const message = args.length || options.file ? await readText(args, options.file) : '';
+    if (!message) {
+      if (options.json) throw new Error('--json 需要配合消息参数使用，如 node index.js chat "你好" --json');
+      const id = await runChatRepl({ sessionId: options.session, model: options.model, stream: options.stream, strategy, contextWindow });
+      console.log(id ? `对话已保存，恢复请运行: node index.js chat --session ${id}` : '没有对话内容，未保存会话');
+      return;
+    }
+
+    const session = createChatSession({
+      id: options.session,
+      model: options.model,
+      strategy,
+      contextWindow,
+      onCompact: options.json ? undefined : logCompaction
+    });
+    const onDelta = options.stream && !options.json ? createConsolePrinter() : undefined;
+    const { content, usage, prompt } = await session.send(message, { onDelta });
+    if (options.json) return { session: session.id, content, usage, prompt };
+    if (!onDelta) console.log(content);
+    console.log(`（会话 ${session.id}，继续对话请加 --session ${session.id}）`);
+  },
+
+  async cache([action = 'stats', ...keys], options) {
+    const cache = createResponseCache({ mode: 'on' });
+    if (action === 'stats') {
+      const stats = cache.stats();
+      if (options.json) return stats;
+      console.log(`缓存目录: ${stats.dir}`);
+      console.log(`共 ${stats.entries} 条（已过期 ${stats.expired} 条），${(stats.bytes / 1024).toFixed(1)} KB，过期时间 ${stats.ttlMs / 3600000} 小时`);
+      Object.entries(stats.byModel).forEach(([model, count]) => console.log(`  ${model}: ${count}`));
+    } else if (action === 'list') {
+      const entries = cache.list();
+      if (options.json) return entries;
+      if (!entries.length) console.log('暂无缓存');
+      entries.forEach(e => console.log(`${e.key.slice(0, 12)}  ${e.createdAt.slice(0, 19).replace('T', ' ')}  ${e.model}${e.stream ? '(stream)' : ''}  ${e.tag}${e.expired ? '  [已过期]' : ''}  ${e.preview}`));
+    } else if (action === 'clear' || action === 'prune') {
+      const removed = action === 'prune'
+        ? cache.prune()
+        : cache.clear({ keys, model: options.model, tag: options.tag, olderThan: options['older-than'] });
+      if (options.json) return { removed };
+      console.log(`已删除 ${removed} 条缓存`);
+    } else {
+      throw new Error(`未知的cache操作: ${action}，可选: stats、list、clear、prune`);
+    }
+  },
+
+  async prompts([action = 'list', ref], options) {
+    if (action === 'list') {
+      const prompts = listPrompts();
+      if (options.json) return prompts;
+      prompts.forEach(({ name, versions, defaultVersion }) => {
+        console.log(`${name}（默认 ${defaultVersion}）`);
+        versions.forEach(v => console.log(`  ${v.version}  ${v.status.padEnd(9)}  ${v.description}${v.changes ? `\n              改动: ${v.changes}` : ''}`));
+      });
+    } else if (action === 'show') {
+      requireInput(ref, 'node index.js prompts show <模板[@版本]>');
+      const rendered = renderPrompt(ref);
+      if (options.json) return rendered;
+      console.log(`${rendered.prompt.id}（hash ${rendered.prompt.hash}）`);
+      rendered.messages.forEach(m => console.log(`[${m.role}]\n${m.content}\n`));
+    } else {
+      throw new Error(`未知的prompts操作: ${action}，可选: list、show`);
+    }
+  }
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      file: { type: 'string' },
+      stream: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      usage: { type: 'boolean', default: false },
+      column: { type: 'string' },
+      concurrency: { type: 'string', default: '4' },
+      prompt: { type: 'string' },
+      fields: { type: 'string' },
+      subject: { type: 'string' },
+      approve: { type: 'boolean', default: false },
+      session: { type: 'string' },
+      trim: { type: 'boolean', default: false },
+      'context-window': { type: 'string' },
+      tag: { type: 'string' },
+      'older-than': { type: 'string' }
+    }
+  });
+
+  const [command = 'chat', ...args] = positionals;
+  if (values.help) {
+    console.log(HELP);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`未知命令: ${command}\n\n${HELP}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = { ...values, stream: !values.json && (values.stream || isStreamEnabled()) };
+  const output = await COMMANDS[command](args, options);
+  if (values.json) console.log(JSON.stringify(output, null, 2));
+  if (values.usage) console.error(defaultUsageTracker.formatSummary());
+}
+
+main().catch(err => {
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ error: err.message }, null, 2));
+  } else {
+    console.error('出错:', err.message);
+  }
+  process.exitCode = 1;
+});
@@ -1,12 +1,234 @@
+/**
+ * LLM客户端工厂
+ * 基于命名的服务商配置（profile）创建OpenAI兼容客户端
+ *
+ * 内置profile：
+ * - dashscope：阿里云百炼（默认），也可通过DASHSCOPE_BASE_URL指向预发代理
+ * - deepseek：DeepSeek官方接口
+ * - local：本地OpenAI兼容服务（如Ollama、vLLM）
+ * - mock：本地模拟服务，用于离线运行和测试
+ *
+ * 选择方式（优先级从高到低）：
+ * 1. 调用时传入：initOpenAI('deepseek') 或 initOpenAI({ provider: 'local', timeout: 5000 })
+ * 2. 环境变量：LLM_PROVIDER=mock
+ * 3. 默认：dashscope
+ *
+ * 中间件：chat.completions.create 经过一组中间件 (next, context) => (body, requestOptions) => Promise，
+ * 可在请求前后做统计、重试、缓存等处理；缺省包含重试/限流/备用模型（resilience.js）和用量统计（usageTracker.js），
+ * 开启 LLM_CACHE 时还会经过响应缓存（responseCache.js）
+ */
+
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { defaultUsageTracker, defaultCallerTag, installExitReport } from './usageTracker.js';
+import { createResilienceMiddleware } from './resilience.js';
+import { createResponseCache } from './responseCache.js';
 
 dotenv.config();// 加载环境变量
 
-export const initOpenAI = () => { 
-    return new OpenAI({
-      //到阿里云百炼领取apikey https://bailian.console.aliyun.com/?tab=model#/api-key
-        apiKey: process.env.DASHSCOPE_API_KEY,
-        baseURL: process.env.DASHSCOPE_BASE_URL
-    });
-}
\ No newline at end of file
+export const DEFAULT_PROVIDER = 'dashscope';
+
+/**
+ * 服务商配置表
+ * 关键字段：
+ * - apiKeyEnv / baseURLEnv / headersEnv: 从哪个环境变量读取密钥、地址和额外请求头（JSON）
+ * - apiKey / baseURL: 环境变量缺省时的兜底值
+ * - defaultModel: 请求未指定model时使用的模型
+ * - models: 模型名映射，使同一脚本的model参数可在不同服务商下运行；'*' 表示其余模型统一映射
+ * - timeout / headers: 传给OpenAI SDK的请求参数
+ * - maxRetries: 临时错误（429、超时、5xx）的重试次数，由resilience中间件执行
+ * - fallbacks: 备用模型链，当前模型重试用尽后依次切换；默认不切换，避免悄悄换成其他模型回答，需要时用 LLM_FALLBACKS（JSON）或调用方传入开启
+ * - rateLimits: 按模型的并发数/每分钟请求数限制，'*' 表示其余模型
+ */
+const PROVIDERS = {
+  dashscope: {
+    //到阿里云百炼领取apikey https://bailian.console.aliyun.com/?tab=model#/api-key
+    apiKeyEnv: 'DASHSCOPE_API_KEY',
+    baseURLEnv: 'DASHSCOPE_BASE_URL',
+    headersEnv: 'DASHSCOPE_HEADERS',
+    baseURL: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
+    defaultModel: 'qwen-plus',
+    models: {},
+    timeout: 60 * 1000,
+    maxRetries: 2,
+    fallbacks: {},
+    rateLimits: { '*': { concurrency: 8 } },
+    headers: {}
+  },
+  deepseek: {
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    baseURLEnv: 'DEEPSEEK_BASE_URL',
+    headersEnv: 'DEEPSEEK_HEADERS',
+    baseURL: 'https://api.deepseek.com/v1',
+    defaultModel: 'deepseek-chat',
+    models: {
+      'deepseek-r1': 'deepseek-reasoner',
+      'deepseek-v3': 'deepseek-chat',
+      '*': 'deepseek-chat'
+    },
+    timeout: 120 * 1000, // 推理模型输出较长
+    maxRetries: 2,
+    fallbacks: {},
+    rateLimits: { '*': { concurrency: 8 } },
+    headers: {}
+  },
+  local: {
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    baseURLEnv: 'LOCAL_LLM_BASE_URL',
+    headersEnv: 'LOCAL_LLM_HEADERS',
+    apiKey: 'local',
+    baseURL: 'http://127.0.0.1:11434/v1', // Ollama默认地址
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'qwen2.5:7b',
+    models: { '*': process.env.LOCAL_LLM_MODEL || 'qwen2.5:7b' },
+    timeout: 300 * 1000, // 本地推理速度较慢
+    maxRetries: 0,
+    fallbacks: {},
+    rateLimits: { '*': { concurrency: 1 } }, // 本地服务通常一次只处理一个请求
+    headers: {}
+  },
+  mock: {
+    apiKeyEnv: 'MOCK_LLM_API_KEY',
+    baseURLEnv: 'MOCK_LLM_BASE_URL',
+    apiKey: 'mock',
+    baseURL: `http://127.0.0.1:${process.env.MOCK_LLM_PORT || 11435}/v1`,
+    defaultModel: 'qwen-plus',
+    models: {},
+    timeout: 10 * 1000,
+    maxRetries: 0,
+    fallbacks: {},
+    rateLimits: {},
+    headers: { 'x-mock-llm': '1' }
+  }
+};
+
+/**
+ * 注册或覆盖一个服务商配置（如团队内部的预发代理）
+ * @param {string} name - profile名称
+ * @param {Object} profile - 配置，字段同PROVIDERS，未提供的字段不做继承
+ */
+export function registerProvider(name, profile) {
+  PROVIDERS[name] = { models: {}, headers: {}, fallbacks: {}, rateLimits: {}, ...profile };
+}
+
+/**
+ * 列出所有可用的profile名称
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * 读取JSON格式的环境变量（请求头、备用模型链等）
+ * @param {string} envName - 环境变量名
+ * @returns {Object} 解析后的对象，未配置时为空对象
+ */
+function readJsonEnv(envName) {
+  const raw = envName && process.env[envName];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`环境变量${envName}不是合法的JSON: ${raw}`);
+  }
+}
+
+/**
+ * 解析最终生效的profile（服务商配置 + 环境变量 + 调用方覆盖）
+ * @param {string|Object} [options] - profile名称，或 { provider, apiKey, baseURL, defaultModel, models, timeout, maxRetries, fallbacks, rateLimits, headers }
+ * @returns {Object} 生效的profile
+ */
+export function resolveProfile(options = {}) {
+  const overrides = typeof options === 'string' ? { provider: options } : { ...options };
+  const name = overrides.provider || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const base = PROVIDERS[name];
+  if (!base) {
+    throw new Error(`未知的LLM服务商: ${name}，可选值: ${listProviders().join(', ')}`);
+  }
+  delete overrides.provider;
+
+  return {
+    ...base,
+    name,
+    apiKey: (base.apiKeyEnv && process.env[base.apiKeyEnv]) || base.apiKey,
+    baseURL: (base.baseURLEnv && process.env[base.baseURLEnv]) || base.baseURL,
+    ...overrides,
+    models: { ...base.models, ...overrides.models },
+    fallbacks: { ...base.fallbacks, ...readJsonEnv('LLM_FALLBACKS'), ...overrides.fallbacks },
+    rateLimits: { ...base.rateLimits, ...overrides.rateLimits },
+    headers: { ...base.headers, ...readJsonEnv(base.headersEnv), ...overrides.headers }
+  };
+}
+
+/**
+ * 将脚本中写的模型名映射为当前服务商的实际模型名
+ * @param {Object} profile - 生效的profile
+ * @param {string} [model] - 请求中的模型名
+ * @returns {string} 实际使用的模型名
+ */
+export function resolveModel(profile, model) {
+  if (!model) return profile.defaultModel;
+  return profile.models[model] || profile.models['*'] || model;
+}
+
+/**
+ * 创建OpenAI兼容客户端
+ * @param {string|Object} [options] - profile名称或配置覆盖，见resolveProfile；另支持以下客户端选项
+ * @param {string} [options.tag] - 调用方标签，用于用量统计，缺省为脚本文件名（单次请求可在requestOptions中传tag覆盖）
+ *   单次请求还可在requestOptions中传 prompt（提示词模板版本，如 sentiment@v1），随用量、重试和缓存记录
+ * @param {Array<Function>} [options.middleware] - 额外的中间件，按数组顺序由外到内包装
+ * @param {Object|false} [options.cache] - 响应缓存选项 { mode, dir, ttl }，见createResponseCache（缺省取LLM_CACHE等环境变量），false表示关闭
+ * @param {Object|false} [options.resilience] - 重试/限流选项，见createResilienceMiddleware（缺省取profile的maxRetries、fallbacks、rateLimits），false表示关闭
+ * @param {Object|false} [options.usageTracker=defaultUsageTracker] - 用量记录器，false表示不记录
+ * @returns {OpenAI} 客户端实例，附带 profile、tag、cache 属性
+ *
+ * 关键说明：
+ * - chat.completions.create 会自动补全默认模型并按profile映射模型名（映射在最内层，中间件看到的是脚本中的模型名）
+ * - 中间件顺序（由外到内）：options.middleware → 响应缓存 → 重试/限流/备用模型 → 用量统计，每次尝试都单独记录用量，命中缓存不计用量
+ * - 启用resilience时SDK自身不再重试，避免重试次数叠加
+ * - 各demo无需修改即可切换到其他服务商：LLM_PROVIDER=mock node xxx.js
+ */
+export const initOpenAI = (options) => {
+  const {
+    tag = defaultCallerTag(),
+    middleware = [],
+    cache = {},
+    resilience = {},
+    usageTracker = defaultUsageTracker,
+    ...profileOptions
+  } = typeof options === 'string' ? { provider: options } : options || {};
+  const profile = resolveProfile(profileOptions);
+  const client = new OpenAI({
+    apiKey: profile.apiKey,
+    baseURL: profile.baseURL,
+    timeout: profile.timeout,
+    maxRetries: resilience ? 0 : profile.maxRetries,
+    defaultHeaders: profile.headers
+  });
+
+  const completions = client.chat.completions;
+  const create = completions.create.bind(completions);
+  // tag、prompt只在中间件之间传递，不发给SDK
+  const core = (body, { tag: _tag, prompt: _prompt, ...requestOptions } = {}) =>
+    create({ ...body, model: resolveModel(profile, body.model) }, requestOptions);
+  const responseCache = cache && createResponseCache(cache);
+  const chain = [
+    ...middleware,
+    responseCache && responseCache.mode !== 'off' && responseCache.middleware,
+    resilience && createResilienceMiddleware({
+      retries: profile.maxRetries,
+      fallbacks: profile.fallbacks,
+      rateLimits: profile.rateLimits,
+      ...resilience
+    }),
+    usageTracker && usageTracker.middleware
+  ].filter(Boolean);
+  const handler = chain.reduceRight((next, wrap) => wrap(next, { profile, tag }), core);
+  completions.create = (body, requestOptions) => handler({ ...body, model: body.model || profile.defaultModel }, requestOptions);
+
+  if (usageTracker) installExitReport(usageTracker);
+  client.profile = profile;
+  client.tag = tag;
+  client.cache = responseCache || null;
+  return client;
+}
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveProfile, resolveModel, listProviders, registerProvider, DEFAULT_PROVIDER } from './initOpenAI.js';
+
+const ENV_NAMES = ['LLM_PROVIDER', 'LLM_FALLBACKS', 'DASHSCOPE_API_KEY', 'DASHSCOPE_BASE_URL', 'DASHSCOPE_HEADERS', 'DEEPSEEK_API_KEY', 'DEEPSEEK_BASE_URL'];
+
+/**
+ * 在指定的环境变量下执行（其余相关变量清空），结束后恢复
+ */
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+  ENV_NAMES.forEach(name => delete process.env[name]);
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    ENV_NAMES.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+test('内置profile及缺省服务商', () => withEnv({}, () => {
+  assert.deepEqual(listProviders().slice(0, 4), ['dashscope', 'deepseek', 'local', 'mock']);
+  const profile = resolveProfile();
+  assert.equal(profile.name, DEFAULT_PROVIDER);
+  assert.equal(profile.baseURL, 'https://dashscope.aliyuncs.com/compatible-mode/v1');
+  assert.equal(resolveProfile('deepseek').baseURL, 'https://api.deepseek.com/v1');
+  assert.equal(resolveProfile('local').apiKey, 'local');
+  assert.equal(resolveProfile('mock').headers['x-mock-llm'], '1');
+}));
+
+test('LLM_PROVIDER选择服务商，密钥、地址和请求头从环境变量读取，调用方覆盖优先', () => withEnv({
+  LLM_PROVIDER: 'deepseek',
+  DEEPSEEK_API_KEY: 'sk-test',
+  DEEPSEEK_BASE_URL: 'https://proxy.example.com/v1',
+  DASHSCOPE_HEADERS: '{"x-team":"ai"}'
+}, () => {
+  const profile = resolveProfile();
+  assert.deepEqual([profile.name, profile.apiKey, profile.baseURL], ['deepseek', 'sk-test', 'https://proxy.example.com/v1']);
+  assert.deepEqual(resolveProfile('dashscope').headers, { 'x-team': 'ai' });
+  const overridden = resolveProfile({ provider: 'dashscope', timeout: 5000, models: { 'qwen-plus': 'qwen-max' } });
+  assert.deepEqual([overridden.name, overridden.timeout, overridden.models['qwen-plus']], ['dashscope', 5000, 'qwen-max']);
+  assert.equal('provider' in overridden, false);
+}));
+
+test('未知的服务商和不合法的JSON环境变量报错', () => withEnv({}, () => {
+  assert.throws(() => resolveProfile('openrouter'), /未知的LLM服务商: openrouter，可选值: dashscope, deepseek/);
+  assert.throws(() => withEnv({ LLM_PROVIDER: 'nope' }, () => resolveProfile()), /未知的LLM服务商: nope/);
+  assert.throws(() => withEnv({ DASHSCOPE_HEADERS: '{bad' }, () => resolveProfile('dashscope')), /DASHSCOPE_HEADERS不是合法的JSON/);
+}));
+
+test('resolveModel 按profile映射模型名', () => withEnv({}, () => {
+  const dashscope = resolveProfile('dashscope');
+  assert.equal(resolveModel(dashscope, 'qwen-max'), 'qwen-max');
+  assert.equal(resolveModel(dashscope), 'qwen-plus');
+
+  const deepseek = resolveProfile('deepseek');
+  assert.equal(resolveModel(deepseek, 'deepseek-r1'), 'deepseek-reasoner');
+  assert.equal(resolveModel(deepseek, 'qwen-plus'), 'deepseek-chat');
+  assert.equal(resolveModel(deepseek), 'deepseek-chat');
+
+  const local = resolveProfile('local');
+  assert.equal(resolveModel(local, 'qwen-plus'), local.defaultModel);
+  assert.equal(resolveModel(resolveProfile('mock'), 'qwen-vl-ocr-latest'), 'qwen-vl-ocr-latest');
+}));
+
+test('registerProvider 注册的profile可按名称使用', () => withEnv({}, () => {
+  registerProvider('staging', { baseURL: 'https://staging.example.com/v1', apiKey: 'k', defaultModel: 'qwen-turbo', models: { '*': 'qwen-turbo' } });
+  const profile = resolveProfile('staging');
+  assert.deepEqual([profile.name, profile.baseURL, resolveModel(profile, 'qwen-max')], ['staging', 'https://staging.example.com/v1', 'qwen-turbo']);
+  assert.deepEqual(profile.fallbacks, {});
+}));
@@ -0,0 +1,290 @@
+/**
+ * 监控指标数据源
+ * 为运维智能体提供可按时间窗口查询的指标序列，替代随机数
+ *
+ * 数据源接口（provider）：
+ * - name: 数据源名称
+ * - now: 「当前时间」，模拟和回放场景下为告警发生的时间
+ * - query(metric, start, end, stepMinutes): 返回 [{ time, value }]，按步长取平均
+ *
+ * 内置实现：
+ * 1. createSimulatedProvider：按日内业务曲线 + 确定性噪声生成序列，可叠加突增事件（默认 2024-08-03 15:30 连接数突增）
+ * 2. createFileProvider：读取CSV/JSON文件回放真实导出的监控数据
+ *
+ * 通过环境变量 METRICS_SOURCE 选择：simulated（默认）或 file:<路径>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 指标定义
+ */
+export const METRICS = {
+  connections: { label: '连接数', unit: '', threshold: 400 },
+  cpu: { label: 'CPU使用率', unit: '%', threshold: 80 },
+  memory: { label: '内存使用率', unit: '%', threshold: 90 }
+};
+
+/**
+ * 默认模拟场景：与demo告警一致，2024-08-03 15:30 前后连接数突增
+ */
+export const DEFAULT_SCENARIO = {
+  now: '2024-08-03 15:30:00',
+  incidents: [
+    { metric: 'connections', start: '2024-08-03 15:18:00', peakAt: '2024-08-03 15:28:00', end: '2024-08-03 16:00:00', delta: 290 },
+    { metric: 'cpu', start: '2024-08-03 15:20:00', peakAt: '2024-08-03 15:30:00', end: '2024-08-03 15:55:00', delta: 22 },
+    { metric: 'memory', start: '2024-08-03 15:18:00', peakAt: '2024-08-03 15:32:00', end: '2024-08-03 16:00:00', delta: 10 }
+  ]
+};
+
+/**
+ * 解析时间，未带时区的时间按北京时间（+08:00）处理
+ * @param {string|number|Date} value - 如 "2024-08-03 15:30:00"
+ * @returns {Date}
+ */
+export function parseTime(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(/([zZ]|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text}+08:00`);
+  if (Number.isNaN(date.getTime())) throw new Error(`无法解析的时间: ${value}`);
+  return date;
+}
+
+/**
+ * 按北京时间格式化为 "YYYY-MM-DD HH:mm:ss"
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatTime(date) {
+  return new Date(date.getTime() + 8 * 60 * MINUTE).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * 确定性伪随机：同一指标同一分钟总是得到相同的值，范围[-1, 1]
+ * @param {string} key - 指标名
+ * @param {number} minute - 分钟时间戳
+ * @param {number} seed - 随机种子
+ * @returns {number}
+ */
+function noise(key, minute, seed) {
+  let h = seed ^ minute;
+  for (const ch of key) h = Math.imul(h ^ ch.charCodeAt(0), 2654435761);
+  h = Math.imul(h ^ (h >>> 15), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return ((h ^ (h >>> 16)) >>> 0) / 2147483647.5 - 1;
+}
+
+/**
+ * 把分钟级数据按步长聚合为平均值
+ * @param {Array<{time: Date, value: number}>} points - 按时间排序的数据点
+ * @param {number} stepMinutes - 步长
+ * @returns {Array<{time: string, value: number}>}
+ */
+function aggregate(points, stepMinutes) {
+  const buckets = new Map();
+  points.forEach(({ time, value }) => {
+    const key = Math.floor(time.getTime() / (stepMinutes * MINUTE)) * stepMinutes * MINUTE;
+    const bucket = buckets.get(key) || { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count++;
+    buckets.set(key, bucket);
+  });
+  return [...buckets.entries()].map(([key, { sum, count }]) => ({
+    time: formatTime(new Date(key)),
+    value: Number((sum / count).toFixed(1))
+  }));
+}
+
+/**
+ * 校验查询参数
+ * @param {string} metric - 指标名
+ * @param {Date} start - 开始时间
+ * @param {Date} end - 结束时间
+ */
+function assertQuery(metric, start, end) {
+  if (!METRICS[metric]) throw new Error(`未知指标: ${metric}，可选值: ${Object.keys(METRICS).join(', ')}`);
+  if (end < start) throw new Error('结束时间早于开始时间');
+}
+
+/**
+ * 创建模拟数据源
+ * @param {Object} [options]
+ * @param {Object} [options.scenario=DEFAULT_SCENARIO] - 场景：now（当前时间）和incidents（突增事件）
+ * @param {number} [options.seed=20240803] - 噪声种子
+ * @returns {Object} 数据源
+ */
+export function createSimulatedProvider({ scenario = DEFAULT_SCENARIO, seed = 20240803 } = {}) {
+  const incidents = (scenario.incidents || []).map(item => ({
+    ...item,
+    start: parseTime(item.start).getTime(),
+    peakAt: parseTime(item.peakAt).getTime(),
+    end: parseTime(item.end).getTime()
+  }));
+
+  // 日内业务曲线：凌晨3点最低，下午3点最高，取值[0, 1]
+  const businessFactor = time => {
+    const hour = (time.getUTCHours() + 8) % 24 + time.getUTCMinutes() / 60;
+    return 0.5 - 0.5 * Math.cos(2 * Math.PI * (hour - 3) / 24);
+  };
+
+  // 突增事件：start到peakAt线性上升，peakAt到end线性回落
+  const incidentDelta = (metric, ms) => incidents
+    .filter(item => item.metric === metric && ms >= item.start && ms <= item.end)
+    .reduce((sum, item) => sum + item.delta * (ms <= item.peakAt
+      ? (ms - item.start) / Math.max(item.peakAt - item.start, 1)
+      : (item.end - ms) / Math.max(item.end - item.peakAt, 1)), 0);
+
+  const valueAt = (metric, time) => {
+    const ms = time.getTime();
+    const minute = Math.floor(ms / MINUTE);
+    const factor = businessFactor(time);
+    const base = {
+      connections: 120 + 80 * factor + 12 * noise(metric, minute, seed),
+      cpu: 25 + 20 * factor + 4 * noise(metric, minute, seed),
+      memory: 55 + 8 * factor + 1.5 * noise(metric, minute, seed)
+    }[metric];
+    const value = base + incidentDelta(metric, ms);
+    return metric === 'connections' ? Math.round(value) : Math.min(99.9, Number(value.toFixed(1)));
+  };
+
+  return {
+    name: 'simulated',
+    now: parseTime(scenario.now || Date.now()),
+    query(metric, start, end, stepMinutes = 1) {
+      start = parseTime(start);
+      end = parseTime(end);
+      assertQuery(metric, start, end);
+      const points = [];
+      for (let ms = Math.ceil(start.getTime() / MINUTE) * MINUTE; ms <= end.getTime(); ms += MINUTE) {
+        points.push({ time: new Date(ms), value: valueAt(metric, new Date(ms)) });
+      }
+      return aggregate(points, stepMinutes);
+    }
+  };
+}
+
+/**
+ * 读取CSV（首行为表头，列：time,connections,cpu,memory）
+ * @param {string} text - CSV内容
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(',').map(col => col.trim());
+  return lines.filter(Boolean).map(line => {
+    const cells = line.split(',');
+    return Object.fromEntries(columns.map((col, i) => [col, cells[i]?.trim()]));
+  });
+}
+
+/**
+ * 创建文件数据源（回放导出的监控数据）
+ * @param {Object} options
+ * @param {string} options.file - CSV或JSON文件路径，每行/每项包含time及各指标列
+ * @param {string} [options.now] - 「当前时间」，缺省为文件中最后一个时间点
+ * @returns {Object} 数据源
+ */
+export function createFileProvider({ file, now }) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const rows = (file.endsWith('.json') ? JSON.parse(text) : parseCsv(text))
+    .map(row => ({ ...row, time: parseTime(row.time) }))
+    .sort((a, b) => a.time - b.time);
+  if (!rows.length) throw new Error(`监控数据文件为空: ${file}`);
+
+  return {
+    name: `file:${path.basename(file)}`,
+    now: now ? parseTime(now) : rows.at(-1).time,
+    query(metric, start, end, stepMinutes = 1) {
+      start = parseTime(start);
+      end = parseTime(end);
+      assertQuery(metric, start, end);
+      const points = rows
+        .filter(row => row.time >= start && row.time <= end && row[metric] !== undefined && row[metric] !== '')
+        .map(row => ({ time: row.time, value: Number(String(row[metric]).replace('%', '')) }));
+      return aggregate(points, stepMinutes);
+    }
+  };
+}
+
+/**
+ * 按配置创建数据源
+ * @param {string} [source] - simulated 或 file:<路径>（相对路径基于本目录），缺省读取 METRICS_SOURCE
+ * @returns {Object} 数据源
+ */
+export function createMetricsProvider(source = process.env.METRICS_SOURCE || 'simulated') {
+  if (source === 'simulated') return createSimulatedProvider();
+  if (source.startsWith('file:')) {
+    return createFileProvider({ file: path.resolve(__dirname, source.slice(5)), now: process.env.METRICS_NOW });
+  }
+  throw new Error(`未知的监控数据源: ${source}，可选值: simulated、file:<路径>`);
+}
+
+/**
+ * 计算序列的统计值
+ * @param {Array<{value: number}>} series
+ * @returns {{ min: number, max: number, avg: number, count: number }|null}
+ */
+export function summarize(series) {
+  if (!series.length) return null;
+  const values = series.map(point => point.value);
+  const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return { min: Math.min(...values), max: Math.max(...values), avg: Number(avg.toFixed(1)), count: values.length };
+}
+
+/**
+ * 对比指标与历史基线（前N天同一时段）
+ * @param {Object} provider - 数据源
+ * @param {Object} options
+ * @param {string} options.metric - 指标名
+ * @param {string|Date} options.time - 对比时间点（窗口结束时间）
+ * @param {number} [options.windowMinutes=30] - 窗口长度
+ * @param {number} [options.baselineDays=7] - 基线取前几天
+ * @returns {Object} { metric, window, current, baseline, changeRatio, exceedsThreshold, verdict }
+ */
+export function compareToBaseline(provider, { metric, time, windowMinutes = 30, baselineDays = 7 }) {
+  const end = parseTime(time);
+  const start = new Date(end.getTime() - windowMinutes * MINUTE);
+  const current = summarize(provider.query(metric, start, end));
+  if (!current) throw new Error(`${formatTime(start)} ~ ${formatTime(end)} 没有 ${metric} 数据`);
+
+  const history = [];
+  for (let day = 1; day <= baselineDays; day++) {
+    const offset = day * 24 * 60 * MINUTE;
+    const stats = summarize(provider.query(metric, new Date(start - offset), new Date(end - offset)));
+    if (stats) history.push(stats);
+  }
+  const baseline = history.length ? {
+    avg: Number((history.reduce((sum, s) => sum + s.avg, 0) / history.length).toFixed(1)),
+    max: Math.max(...history.map(s => s.max)),
+    days: history.length
+  } : null;
+
+  const changeRatio = baseline?.avg ? Number(((current.avg - baseline.avg) / baseline.avg).toFixed(2)) : null;
+  const { threshold, label } = METRICS[metric];
+  const exceedsThreshold = current.max >= threshold;
+  let verdict = '无可用基线';
+  if (baseline) {
+    if (current.max > baseline.max * 1.5) verdict = `${label}显著高于历史同期（窗口最大值为基线最大值的${(current.max / baseline.max).toFixed(1)}倍）`;
+    else if (changeRatio > 0.2) verdict = `${label}高于历史同期`;
+    else verdict = `${label}与历史同期基本一致`;
+  }
+
+  return {
+    metric,
+    label,
+    window: { start: formatTime(start), end: formatTime(end), minutes: windowMinutes },
+    current,
+    baseline,
+    changeRatio,
+    threshold,
+    exceedsThreshold,
+    verdict
+  };
+}
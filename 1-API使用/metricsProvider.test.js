@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseTime, formatTime, createFileProvider, createSimulatedProvider, compareToBaseline } from './metricsProvider.js';
+
+// 固定场景：8月2日为基线，8月3日15:00~15:30连接数升高；其中一行为UTC时间，行顺序打乱
+const CSV = `time,connections,cpu,memory
+2024-08-03 15:20:00,150,70%,62
+2024-08-02 15:10:00,100,40%,60
+2024-08-03T07:25:00Z,125,60%,
+2024-08-02 15:20:00,100,42%,
+2024-08-03 15:10:00,100,50%,61
+`;
+
+function withCsv(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+  const file = path.join(dir, 'db.csv');
+  fs.writeFileSync(file, CSV);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test('parseTime 未带时区的时间按北京时间，带时区的按原时区', () => {
+  assert.equal(parseTime('2024-08-03 15:30:00').toISOString(), '2024-08-03T07:30:00.000Z');
+  assert.equal(parseTime('2024-08-03T07:30:00Z').toISOString(), '2024-08-03T07:30:00.000Z');
+  assert.equal(parseTime('2024-08-03 09:30:00+0200').toISOString(), '2024-08-03T07:30:00.000Z');
+  assert.equal(formatTime(parseTime('2024-08-03 15:30:00')), '2024-08-03 15:30:00');
+  assert.throws(() => parseTime('昨天下午'), /无法解析的时间/);
+});
+
+test('createFileProvider 读取CSV，按时间排序、去掉百分号并跳过空值', () => withCsv(file => {
+  const provider = createFileProvider({ file });
+  assert.equal(formatTime(provider.now), '2024-08-03 15:25:00');
+  assert.deepEqual(provider.query('cpu', '2024-08-03 15:00:00', '2024-08-03 15:30:00').map(p => [p.time, p.value]), [
+    ['2024-08-03 15:10:00', 50], ['2024-08-03 15:20:00', 70], ['2024-08-03 15:25:00', 60]
+  ]);
+  assert.deepEqual(provider.query('connections', '2024-08-03 15:00:00', '2024-08-03 15:30:00', 30), [{ time: '2024-08-03 15:00:00', value: 125 }]);
+  assert.equal(provider.query('memory', '2024-08-03 15:00:00', '2024-08-03 15:30:00').length, 2);
+  assert.throws(() => provider.query('disk', '2024-08-03 15:00:00', '2024-08-03 15:30:00'), /未知指标: disk/);
+}));
+
+test('compareToBaseline 与前几天同一时段对比', () => withCsv(file => {
+  const provider = createFileProvider({ file });
+  const result = compareToBaseline(provider, { metric: 'connections', time: '2024-08-03 15:30:00', baselineDays: 2 });
+  assert.deepEqual(result.window, { start: '2024-08-03 15:00:00', end: '2024-08-03 15:30:00', minutes: 30 });
+  assert.deepEqual(result.current, { min: 100, max: 150, avg: 125, count: 3 });
+  assert.deepEqual(result.baseline, { avg: 100, max: 100, days: 1 });
+  assert.equal(result.changeRatio, 0.25);
+  assert.equal(result.exceedsThreshold, false);
+  assert.equal(result.verdict, '连接数高于历史同期');
+
+  const noBaseline = compareToBaseline(provider, { metric: 'cpu', time: '2024-08-02 15:30:00' });
+  assert.equal(noBaseline.baseline, null);
+  assert.equal(noBaseline.verdict, '无可用基线');
+  assert.throws(() => compareToBaseline(provider, { metric: 'cpu', time: '2024-08-01 15:30:00' }), /没有 cpu 数据/);
+}));
+
+test('默认模拟场景：告警时连接数显著高于历史同期，上午正常', () => {
+  const provider = createSimulatedProvider();
+  const incident = compareToBaseline(provider, { metric: 'connections', time: provider.now });
+  assert.equal(incident.exceedsThreshold, true);
+  assert.match(incident.verdict, /连接数显著高于历史同期/);
+  assert.equal(incident.baseline.days, 7);
+
+  const morning = compareToBaseline(provider, { metric: 'connections', time: '2024-08-03 10:00:00' });
+  assert.equal(morning.verdict, '连接数与历史同期基本一致');
+  // 同一时间点总是得到相同的值
+  assert.deepEqual(provider.query('cpu', '2024-08-03 15:00:00', '2024-08-03 15:05:00'), createSimulatedProvider().query('cpu', '2024-08-03 15:00:00', '2024-08-03 15:05:00'));
+});
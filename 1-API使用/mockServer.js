@@ -0,0 +1,382 @@
+/**
+ * 本地模拟LLM服务
+ * 实现OpenAI兼容的 /v1/chat/completions 接口，按fixture回放固定响应，用于离线运行和CI
+ *
+ * 关键技术点：
+ * 1. fixture按「消息列表 + 工具名」匹配，支持 "*" 通配（如随机的工具返回值、较长的系统提示词），
+ *    可选按model匹配，指定了model的fixture优先
+ * 2. 支持tool_calls响应、多模态content数组、SSE流式输出
+ * 3. 未命中时返回404，并在控制台打印可直接粘贴的fixture骨架
+ *
+ * 使用方式：
+ *   node mockServer.js                      # 默认端口11435，读取 ./fixtures
+ *   LLM_PROVIDER=mock node 2-天气-FunctionCall-Qwen.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+export const DEFAULT_PORT = Number(process.env.MOCK_LLM_PORT || 11435);
+
+// 固定的创建时间，保证响应可复现（2024-08-03 15:30:00 +08:00）
+const FIXED_CREATED = 1722670200;
+
+/**
+ * 计算短哈希
+ * @param {string} text - 输入文本
+ * @param {number} [length=16] - 截取长度
+ * @returns {string}
+ */
+function shortHash(text, length = 16) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, length);
+}
+
+/**
+ * 将多模态content数组归一化为文本
+ * 关键说明：
+ * - 文本片段原样保留
+ * - 图片片段转为 [image:URL]，base64数据URL转为 [image:data:<mime>;sha256=<hash>]，避免key过长
+ * @param {string|Array|null} content - 消息内容
+ * @returns {string}
+ */
+export function normalizeContent(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content);
+  return content.map(part => {
+    if (part.type === 'text') return part.text;
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url || '';
+      if (url.startsWith('data:')) {
+        const mime = url.slice(5, url.indexOf(';'));
+        return `[image:data:${mime};sha256=${shortHash(url, 12)}]`;
+      }
+      return `[image:${url}]`;
+    }
+    return `[${part.type}]`;
+  }).join('\n');
+}
+
+/**
+ * 解析工具参数字符串，解析失败时保留原文
+ * @param {string|Object} args - 工具参数
+ * @returns {Object|string}
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') return args ?? {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * 将请求归一化为用于匹配的结构（忽略id等非确定字段）
+ * @param {Object} body - chat.completions 请求体
+ * @returns {{messages: Array, tools: string[], model: string}}
+ */
+export function normalizeRequest(body) {
+  const messages = (body.messages || []).map(message => {
+    const normalized = { role: message.role, content: normalizeContent(message.content) };
+    if (message.tool_calls?.length) {
+      normalized.tool_calls = message.tool_calls.map(call => ({
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      }));
+    }
+    return normalized;
+  });
+  const tools = (body.tools || []).map(tool => tool.function?.name).filter(Boolean).sort();
+  return { messages, tools, model: body.model };
+}
+
+/**
+ * 计算请求指纹（fixture的key）
+ * @param {Object} body - chat.completions 请求体
+ * @returns {string}
+ */
+export function fingerprint(body) {
+  const { messages, tools } = normalizeRequest(body);
+  return shortHash(JSON.stringify({ messages, tools }));
+}
+
+/**
+ * 判断fixture中的期望值是否匹配实际值
+ * 关键说明：
+ * - "*" 匹配任意值；字符串中的 * 作为通配符
+ * - 对象/数组逐项比较；实际值为JSON字符串时先解析再比较
+ * @param {*} expected - fixture中的值
+ * @param {*} actual - 归一化后的请求值
+ * @returns {boolean}
+ */
+function matchValue(expected, actual) {
+  if (expected === '*') return true;
+  if (typeof expected === 'string') {
+    if (typeof actual !== 'string') return false;
+    if (!expected.includes('*')) return expected === actual;
+    const pattern = expected.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[\\s\\S]*');
+    return new RegExp(`^${pattern}$`).test(actual);
+  }
+  if (expected && typeof expected === 'object') {
+    if (typeof actual === 'string') actual = parseArguments(actual);
+    if (!actual || typeof actual !== 'object') return false;
+    if (Array.isArray(expected)) {
+      return Array.isArray(actual) && expected.length === actual.length
+        && expected.every((item, i) => matchValue(item, actual[i]));
+    }
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].every(key => matchValue(expected[key], actual[key]));
+  }
+  return expected === actual;
+}
+
+/**
+ * 判断fixture是否匹配请求
+ * @param {Object} fixture - fixture定义
+ * @param {Object} normalized - normalizeRequest的结果
+ * @returns {boolean} request中没有messages的fixture（如embeddings、只有工具的fixture）不匹配任何对话请求
+ */
+export function matchFixture(fixture, normalized) {
+  const { request = {} } = fixture;
+  if (!Array.isArray(request.messages)) return false;
+  if (request.model && !matchValue(request.model, normalized.model)) return false;
+  if (request.tools && !matchValue([...request.tools].sort(), normalized.tools)) return false;
+  if (request.messages.length !== normalized.messages.length) return false;
+  return request.messages.every((expected, i) => {
+    const actual = normalized.messages[i];
+    return matchValue(expected.role, actual.role)
+      && matchValue(expected.content ?? '', actual.content)
+      && matchValue(expected.tool_calls, actual.tool_calls);
+  });
+}
+
+/**
+ * 读取fixture目录下所有JSON文件
+ * @param {string} dir - fixture目录
+ * @returns {Array} fixture列表（每项附带来源文件名）
+ */
+export function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .flatMap(file => {
+      const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      return (Array.isArray(content) ? content : [content]).map((fixture, i) => ({
+        name: fixture.name || `${file}#${i}`,
+        source: file,
+        ...fixture
+      }));
+    });
+}
+
+/**
+ * 估算token数（仅用于模拟usage，约2个字符1个token）
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 2);
+}
+
+/**
+ * 根据fixture构造完整的chat.completion响应
+ * @param {Object} fixture - 命中的fixture
+ * @param {Object} body - 请求体
+ * @param {string} key - 请求指纹
+ * @returns {Object} chat.completion对象
+ */
+export function buildCompletion(fixture, body, key) {
+  const reply = fixture.response || {};
+  const message = { role: 'assistant', content: reply.content ?? null };
+  if (reply.reasoning_content) message.reasoning_content = reply.reasoning_content;
+  if (reply.tool_calls?.length) {
+    message.tool_calls = reply.tool_calls.map((call, i) => ({
+      id: `call_${key.slice(0, 8)}_${i}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+      }
+    }));
+  }
+
+  const promptText = JSON.stringify(normalizeRequest(body).messages);
+  const completionText = (reply.reasoning_content || '') + (message.content || '') + JSON.stringify(message.tool_calls || '');
+  const usage = reply.usage || {
+    prompt_tokens: estimateTokens(promptText),
+    completion_tokens: estimateTokens(completionText),
+  };
+  usage.total_tokens ??= usage.prompt_tokens + usage.completion_tokens;
+
+  return {
+    id: `chatcmpl-mock-${key}`,
+    object: 'chat.completion',
+    created: FIXED_CREATED,
+    model: body.model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: reply.finish_reason || (message.tool_calls ? 'tool_calls' : 'stop')
+    }],
+    usage
+  };
+}
+
+/**
+ * 将完整响应拆分为流式chunk序列（chat.completion.chunk）
+ * @param {Object} completion - buildCompletion的结果
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=4] - 每个chunk的字符数
+ * @param {boolean} [options.includeUsage=false] - 是否追加usage chunk（对应stream_options.include_usage）
+ * @returns {Array<Object>} chunk列表
+ */
+export function completionToChunks(completion, { chunkSize = 4, includeUsage = false } = {}) {
+  const { message, finish_reason } = completion.choices[0];
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+  const chunk = (delta, finishReason = null) => ({ ...base, choices: [{ index: 0, delta, finish_reason: finishReason }] });
+  const split = text => text.match(new RegExp(`[\\s\\S]{1,${chunkSize}}`, 'g')) || [];
+
+  const chunks = [chunk({ role: 'assistant', content: '' })];
+  split(message.reasoning_content || '').forEach(piece => chunks.push(chunk({ reasoning_content: piece })));
+  split(message.content || '').forEach(piece => chunks.push(chunk({ content: piece })));
+  (message.tool_calls || []).forEach((call, index) => {
+    chunks.push(chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] }));
+    split(call.function.arguments).forEach(piece => {
+      chunks.push(chunk({ tool_calls: [{ index, function: { arguments: piece } }] }));
+    });
+  });
+  chunks.push(chunk({}, finish_reason));
+  if (includeUsage) chunks.push({ ...base, choices: [], usage: completion.usage });
+  return chunks;
+}
+
+/**
+ * 生成未命中请求的fixture骨架，便于补充fixture
+ * @param {Object} normalized - normalizeRequest的结果
+ * @returns {Object}
+ */
+function fixtureSkeleton(normalized) {
+  return {
+    name: 'TODO',
+    request: { tools: normalized.tools.length ? normalized.tools : undefined, messages: normalized.messages },
+    response: { content: 'TODO' }
+  };
+}
+
+/**
+ * 发送OpenAI格式的错误响应
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ * @param {Object} [extra] - 附加字段
+ */
+function sendError(res, status, message, extra = {}) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ error: { message, type: 'mock_error', ...extra } }));
+}
+
+/**
+ * 启动模拟服务
+ * @param {Object} [options]
+ * @param {number} [options.port] - 端口，0表示随机端口
+ * @param {string} [options.fixturesDir] - fixture目录
+ * @param {number} [options.chunkDelayMs=0] - 流式输出时每个chunk的间隔
+ * @param {boolean} [options.quiet=false] - 是否关闭请求日志
+ * @returns {Promise<{url: string, server: http.Server, stats: Object, close: Function}>}
+ */
+export async function startMockServer({
+  port = DEFAULT_PORT,
+  fixturesDir = process.env.MOCK_LLM_FIXTURES || DEFAULT_FIXTURES_DIR,
+  chunkDelayMs = Number(process.env.MOCK_LLM_CHUNK_DELAY_MS || 0),
+  quiet = false
+} = {}) {
+  const fixtures = loadFixtures(fixturesDir);
+  const stats = { requests: 0, hits: 0, misses: [] };
+  const log = (...args) => quiet || console.log('[mock-llm]', ...args);
+
+  const server = http.createServer(async (req, res) => {
+    const url = req.url.replace(/\/+$/, '');
+
+    if (req.method === 'GET' && url.endsWith('/models')) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ object: 'list', data: [{ id: 'mock', object: 'model', owned_by: 'mock' }] }));
+      return;
+    }
+    if (req.method !== 'POST' || !url.endsWith('/chat/completions')) {
+      sendError(res, 404, `不支持的接口: ${req.method} ${req.url}`);
+      return;
+    }
+
+    let body;
+    try {
+      const raw = [];
+      for await (const chunk of req) raw.push(chunk);
+      body = JSON.parse(Buffer.concat(raw).toString('utf-8'));
+    } catch (err) {
+      sendError(res, 400, `请求体不是合法的JSON: ${err.message}`);
+      return;
+    }
+
+    stats.requests++;
+    const key = fingerprint(body);
+    const normalized = normalizeRequest(body);
+    // 指定了model的fixture优先，便于为不同模型准备不同响应
+    const fixture = fixtures.find(f => f.request?.model && matchFixture(f, normalized))
+      || fixtures.find(f => !f.request?.model && matchFixture(f, normalized));
+
+    if (!fixture) {
+      stats.misses.push({ key, request: normalized });
+      log(`未命中fixture key=${key}，可参考以下骨架补充：\n${JSON.stringify(fixtureSkeleton(normalized), null, 2)}`);
+      sendError(res, 404, `没有匹配的fixture (key=${key})`, { code: 'fixture_not_found', key });
+      return;
+    }
+
+    stats.hits++;
+    log(`命中fixture ${fixture.name} (${fixture.source}) key=${key}${body.stream ? ' [stream]' : ''}`);
+    const completion = buildCompletion(fixture, body, key);
+    const headers = { 'x-mock-fixture': encodeURIComponent(fixture.name), 'x-mock-key': key };
+
+    if (!body.stream) {
+      res.writeHead(200, { ...headers, 'content-type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(completion));
+      return;
+    }
+
+    res.writeHead(200, { ...headers, 'content-type': 'text/event-stream; charset=utf-8', 'cache-control': 'no-cache' });
+    const chunks = completionToChunks(completion, { includeUsage: Boolean(body.stream_options?.include_usage) });
+    for (const chunk of chunks) {
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      if (chunkDelayMs) await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+    }
+    res.end('data: [DONE]\n\n');
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const address = server.address();
+  const baseURL = `http://127.0.0.1:${address.port}/v1`;
+  log(`已启动 ${baseURL}，加载fixture ${fixtures.length} 条`);
+
+  return {
+    url: baseURL,
+    server,
+    stats,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// 直接运行时启动服务
+if (process.argv[1] === __filename) {
+  startMockServer().catch(err => {
+    console.error('模拟服务启动失败:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { matchFixture, normalizeRequest, normalizeContent, fingerprint, startMockServer } from './mockServer.js';
+
+const body = {
+  model: 'qwen-plus',
+  messages: [
+    { role: 'system', content: '你是一名舆情分析师，请判断正负向' },
+    { role: 'user', content: '手机续航很好' }
+  ]
+};
+
+test('matchFixture 支持 * 通配和按model匹配', () => {
+  const normalized = normalizeRequest(body);
+  assert.equal(matchFixture({ request: { messages: [{ role: 'system', content: '*' }, { role: 'user', content: '手机*' }] } }, normalized), true);
+  assert.equal(matchFixture({ request: { messages: [{ role: 'system', content: '*' }, { role: 'user', content: '电脑*' }] } }, normalized), false);
+  assert.equal(matchFixture({ request: { model: 'qwen-max', messages: [{ role: 'system', content: '*' }, { role: 'user', content: '*' }] } }, normalized), false);
+  assert.equal(matchFixture({ request: { messages: [{ role: 'user', content: '*' }] } }, normalized), false);
+});
+
+test('matchFixture 比较工具调用参数', () => {
+  const normalized = normalizeRequest({
+    messages: [{ role: 'assistant', content: null, tool_calls: [{ function: { name: 'get_weather', arguments: '{"city":"杭州"}' } }] }],
+    tools: [{ function: { name: 'get_weather' } }]
+  });
+  const fixture = city => ({ request: { tools: ['get_weather'], messages: [{ role: 'assistant', tool_calls: [{ name: 'get_weather', arguments: { city } }] }] } });
+  assert.equal(matchFixture(fixture('杭州'), normalized), true);
+  assert.equal(matchFixture(fixture('北京'), normalized), false);
+});
+
+test('matchFixture 遇到没有messages的fixture视为未命中', () => {
+  const normalized = normalizeRequest(body);
+  assert.equal(matchFixture({ request: { model: 'text-embedding-v3' } }, normalized), false);
+  assert.equal(matchFixture({ request: { tools: [] } }, normalized), false);
+  assert.equal(matchFixture({}, normalized), false);
+});
+
+test('normalizeContent 把图片片段换成短标记', () => {
+  const text = normalizeContent([
+    { type: 'text', text: '提取车票信息' },
+    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+  ]);
+  assert.match(text, /^提取车票信息\n\[image:data:image\/png;sha256=[0-9a-f]{12}\]$/);
+  assert.equal(fingerprint(body), fingerprint({ ...body, temperature: 0.5 }));
+});
+
+test('模拟服务遇到没有messages的fixture时返回404而不是中断请求', async () => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  fs.writeFileSync(path.join(fixturesDir, 'embedding.json'), JSON.stringify({ request: { model: 'text-embedding-v3' }, response: { content: '' } }));
+  const mock = await startMockServer({ port: 0, quiet: true, fixturesDir });
+  try {
+    const response = await fetch(`${mock.url}/chat/completions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 404);
+  } finally {
+    await mock.close();
+    fs.rmSync(fixturesDir, { recursive: true });
+  }
+});
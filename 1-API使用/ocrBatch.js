@@ -0,0 +1,269 @@
+/**
+ * 批量票据OCR
+ * 遍历目录中的车票、收据图片，逐张调用 ocrExtractor 抽取字段，写入XLSX（每张图片一行），
+ * 失败和低置信度的条目单独列在「待复核」工作表
+ *
+ * 使用方式：
+ *   node ocrBatch.js scans/
+ *   node ocrBatch.js scans/ --output output/tickets.xlsx --concurrency 2 --fields receipt-fields.json
+ *
+ * 参数：
+ *   --output       输出XLSX，缺省为 output/<目录名>.ocr.xlsx
+ *   --checkpoint   进度文件，缺省为输出文件旁的 .checkpoint.jsonl
+ *   --fields       字段定义JSON文件（[{ name, type, required }]），缺省为车票字段
+ *   --subject      图像描述，用于生成提取指令，默认「车票图像」
+ *   --concurrency  并发数，默认2
+ *   --retries      单张遇到临时错误（429、超时、5xx）时的重试次数，默认2，由客户端的重试中间件执行
+ *   --model        模型名，默认qwen-vl-ocr-latest
+ *   --fresh        忽略已有进度，重新处理全部图片
+ *
+ * 关键说明：
+ * - 每处理完一张图片就向进度文件追加一行，中断后重新运行同一命令会跳过已完成的图片（文件修改过会重新处理）
+ * - 上次失败的图片在续跑时会重新处理
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { initOpenAI } from './initOpenAI.js';
+import { extractFromImage, TICKET_FIELDS } from './ocrExtractor.js';
+import { IMAGE_EXTENSIONS } from './imageInput.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { writeWorkbook } from './tableFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SHEETS = { results: '提取结果', review: '待复核' };
+
+/**
+ * 递归列出目录中的图片文件
+ * @param {string} dir - 目录
+ * @returns {string[]} 相对dir的路径，按名称排序
+ */
+export function listImages(dir) {
+  const files = [];
+  const walk = current => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) files.push(path.relative(dir, full));
+    });
+  };
+  walk(dir);
+  return files.sort((a, b) => a.localeCompare(b, 'zh-CN'));
+}
+
+/**
+ * 创建进度文件（JSONL，每行一张图片的处理结果）
+ * @param {string} file - 进度文件路径
+ * @returns {Object} { file, load, append, reset }
+ */
+export function createCheckpoint(file) {
+  return {
+    file,
+    // 同一文件以最后一条记录为准；进程在写入中途被终止时，最后一行可能不完整，丢弃并从文件中截掉，该图片会重新处理
+    load() {
+      if (!fs.existsSync(file)) return new Map();
+      const content = fs.readFileSync(file, 'utf-8');
+      const lines = content.split('\n');
+      const entries = [];
+      lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+          // 手工编辑后末尾缺少换行时补上，保证追加的记录另起一行
+          if (i === lines.length - 1) fs.appendFileSync(file, '\n', 'utf-8');
+        } catch (err) {
+          if (i < lines.length - 1) throw new Error(`进度文件 ${file} 第${i + 1}行不是合法的JSON: ${err.message}`);
+          console.warn(`进度文件最后一行不完整，已丢弃: ${line.slice(0, 80)}`);
+          fs.writeFileSync(file, content.slice(0, content.length - line.length), 'utf-8');
+        }
+      });
+      return new Map(entries.map(entry => [entry.file, entry]));
+    },
+    append(entry) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf-8');
+    },
+    reset() {
+      fs.rmSync(file, { force: true });
+    }
+  };
+}
+
+/**
+ * 处理单张图片
+ * @param {string} dir - 根目录
+ * @param {string} file - 相对路径
+ * @param {Object} options - { fields, subject, client, model }
+ * @returns {Promise<Object>} 进度记录 { file, mtimeMs, status: ok|review|failed, values, fields, needsReview, error }
+ */
+async function processImage(dir, file, { fields, subject, client, model }) {
+  const fullPath = path.join(dir, file);
+  const entry = { file, mtimeMs: fs.statSync(fullPath).mtimeMs, processedAt: new Date().toISOString() };
+  try {
+    const result = await extractFromImage(fullPath, { fields, subject, client, model });
+    Object.assign(entry, {
+      status: result.error ? 'failed' : result.needsReview.length ? 'review' : 'ok',
+      values: result.values,
+      fields: Object.fromEntries(Object.entries(result.fields).map(([name, field]) => [name, {
+        raw: field.raw, confidence: field.confidence, errors: field.errors, warnings: field.warnings
+      }])),
+      needsReview: result.needsReview,
+      error: result.error || null
+    });
+  } catch (err) {
+    Object.assign(entry, { status: 'failed', values: {}, fields: {}, needsReview: [], error: err.message });
+  }
+  return entry;
+}
+
+/**
+ * 运行批量OCR，已完成且未修改的图片直接复用进度记录
+ * @param {string} dir - 图片目录
+ * @param {Object} options
+ * @param {Object} options.checkpoint - createCheckpoint的结果
+ * @param {Array<Object>} [options.fields=TICKET_FIELDS] - 字段定义
+ * @param {string} [options.subject] - 图像描述
+ * @param {number} [options.concurrency=2] - 并发数
+ * @param {number} [options.retries=2] - 临时错误的重试次数，用于缺省创建的客户端（传入client时以client的配置为准）
+ * @param {string} [options.model] - 模型名
+ * @param {OpenAI} [options.client] - 客户端
+ * @param {Function} [options.onProgress] - 进度回调 (entry, done, total)
+ * @returns {Promise<{entries: Array<Object>, skipped: number}>} entries按文件名排序
+ */
+export async function runOcrBatch(dir, {
+  checkpoint,
+  fields = TICKET_FIELDS,
+  subject,
+  concurrency = 2,
+  retries = 2,
+  model,
+  client = initOpenAI({ maxRetries: retries }),
+  onProgress = () => {}
+}) {
+  const files = listImages(dir);
+  const previous = checkpoint.load();
+  const isDone = file => {
+    const entry = previous.get(file);
+    return entry && entry.status !== 'failed' && entry.mtimeMs === fs.statSync(path.join(dir, file)).mtimeMs;
+  };
+  const pending = files.filter(file => !isDone(file));
+
+  let done = files.length - pending.length;
+  const processed = await mapWithConcurrency(pending, concurrency, async file => {
+    const entry = await processImage(dir, file, { fields, subject, client, model });
+    checkpoint.append(entry);
+    onProgress(entry, ++done, files.length);
+    return entry;
+  });
+
+  const byFile = new Map(processed.map(entry => [entry.file, entry]));
+  return {
+    entries: files.map(file => byFile.get(file) || previous.get(file)),
+    skipped: files.length - pending.length
+  };
+}
+
+/**
+ * 把处理结果整理为两个工作表的行数据
+ * @param {Array<Object>} entries - 进度记录
+ * @param {Array<Object>} fields - 字段定义
+ * @returns {Object} { [SHEETS.results]: rows, [SHEETS.review]: rows }
+ */
+export function buildWorkbookRows(entries, fields) {
+  const statusText = { ok: '成功', review: '待复核', failed: '失败' };
+  const results = entries.map(entry => {
+    const confidences = Object.values(entry.fields || {}).map(field => field.confidence);
+    return {
+      文件: entry.file,
+      状态: statusText[entry.status],
+      ...Object.fromEntries(fields.map(({ name }) => [name, entry.values?.[name] ?? ''])),
+      最低置信度: confidences.length ? Math.min(...confidences) : '',
+      需复核字段: (entry.needsReview || []).join('、'),
+      错误信息: entry.error || ''
+    };
+  });
+
+  const review = [];
+  entries.forEach(entry => {
+    if (entry.status === 'failed') {
+      review.push({ 文件: entry.file, 类型: '失败', 字段: '', 识别值: '', 置信度: '', 问题: entry.error || '' });
+      return;
+    }
+    (entry.needsReview || []).forEach(name => {
+      const field = entry.fields[name];
+      review.push({
+        文件: entry.file,
+        类型: '低置信度',
+        字段: name,
+        识别值: field.raw,
+        置信度: field.confidence,
+        问题: [...field.errors, ...field.warnings].join('；')
+      });
+    });
+  });
+
+  return { [SHEETS.results]: results, [SHEETS.review]: review };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string' },
+      checkpoint: { type: 'string' },
+      fields: { type: 'string' },
+      subject: { type: 'string' },
+      concurrency: { type: 'string', default: '2' },
+      retries: { type: 'string', default: '2' },
+      model: { type: 'string', default: 'qwen-vl-ocr-latest' },
+      fresh: { type: 'boolean', default: false }
+    }
+  });
+  const dir = positionals[0];
+  if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    console.error('用法: node ocrBatch.js <图片目录> [--output 输出.xlsx] [--fields 字段定义.json] [--concurrency 2] [--fresh]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const output = values.output || path.join(__dirname, 'output', `${path.basename(path.resolve(dir))}.ocr.xlsx`);
+  const checkpoint = createCheckpoint(values.checkpoint || output.replace(/\.xlsx$/i, '') + '.checkpoint.jsonl');
+  if (values.fresh) checkpoint.reset();
+  const fields = values.fields ? JSON.parse(fs.readFileSync(values.fields, 'utf-8')) : TICKET_FIELDS;
+
+  const { entries, skipped } = await runOcrBatch(dir, {
+    checkpoint,
+    fields,
+    subject: values.subject,
+    concurrency: Number(values.concurrency),
+    retries: Number(values.retries),
+    model: values.model,
+    onProgress: (entry, done, total) => console.log(`[${done}/${total}] ${entry.file}: ${entry.status}${entry.error ? `（${entry.error}）` : ''}`)
+  });
+  if (!entries.length) {
+    console.log(`目录中没有图片: ${dir}`);
+    return;
+  }
+  if (skipped) console.log(`从进度文件恢复 ${skipped} 张，进度文件: ${checkpoint.file}`);
+
+  const sheets = buildWorkbookRows(entries, fields);
+  writeWorkbook(output, sheets, {
+    headers: { [SHEETS.review]: ['文件', '类型', '字段', '识别值', '置信度', '问题'] }
+  });
+
+  const count = status => entries.filter(entry => entry.status === status).length;
+  console.log('------------------------');
+  console.log(`共 ${entries.length} 张：成功 ${count('ok')}，待复核 ${count('review')}，失败 ${count('failed')}`);
+  console.log(`输出文件: ${output}`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error('批量OCR出错:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCheckpoint } from './ocrBatch.js';
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-')), 'progress.checkpoint.jsonl');
+}
+
+test('createCheckpoint 同一文件以最后一条记录为准', () => {
+  const checkpoint = createCheckpoint(tempFile());
+  checkpoint.append({ file: 'a.jpg', status: 'failed' });
+  checkpoint.append({ file: 'b.jpg', status: 'ok' });
+  checkpoint.append({ file: 'a.jpg', status: 'ok' });
+  const entries = checkpoint.load();
+  assert.equal(entries.size, 2);
+  assert.equal(entries.get('a.jpg').status, 'ok');
+  fs.rmSync(path.dirname(checkpoint.file), { recursive: true });
+});
+
+test('createCheckpoint 丢弃写了一半的最后一行，之后可以继续追加和恢复', () => {
+  const checkpoint = createCheckpoint(tempFile());
+  checkpoint.append({ file: 'a.jpg', status: 'ok' });
+  fs.appendFileSync(checkpoint.file, '{"file":"b.jpg","sta');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual([...checkpoint.load().keys()], ['a.jpg']);
+  } finally {
+    console.warn = warn;
+  }
+  checkpoint.append({ file: 'b.jpg', status: 'ok' });
+  assert.deepEqual([...checkpoint.load().keys()], ['a.jpg', 'b.jpg']);
+  fs.rmSync(path.dirname(checkpoint.file), { recursive: true });
+});
+
+test('createCheckpoint 中间行损坏时报错并指出行号', () => {
+  const checkpoint = createCheckpoint(tempFile());
+  fs.writeFileSync(checkpoint.file, '{"file":"a.jpg"}\nnot json\n{"file":"b.jpg"}\n');
+  assert.throws(() => checkpoint.load(), /第2行/);
+  fs.rmSync(path.dirname(checkpoint.file), { recursive: true });
+});
@@ -0,0 +1,291 @@
+/**
+ * OCR结构化抽取
+ * 按字段定义生成提取指令，解析并修复模型返回的JSON，逐字段做类型和格式校验，
+ * 输出字段级置信度、错误信息和人工复核标记
+ *
+ * 关键说明：
+ * - qwen-vl-ocr不返回置信度，这里的置信度由校验结果估算：格式通过为1，
+ *   JSON经过修复、身份证号已脱敏等情况适当降低，含「?」或校验失败的字段降到0.3以下并标记复核
+ * - 含无法识别字符「?」的字段不再做格式校验，直接交给人工复核
+ */
+
+import { initOpenAI } from './initOpenAI.js';
+import { buildImageContent } from './imageInput.js';
+
+// 无法识别的字符（提示词要求模型用英文问号替代，兼容全角）
+const UNREADABLE_PATTERN = /[?？]/;
+
+// 低于该置信度的字段需要人工复核
+export const REVIEW_THRESHOLD = 0.8;
+
+const ID_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const ID_CHECK_CODES = '10X98765432';
+
+/**
+ * 检查年月日是否为合法日期
+ * @param {number} year
+ * @param {number} month - 1~12
+ * @param {number} day
+ * @returns {boolean}
+ */
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * 校验18位身份证号（GB 11643-1999 校验码 + 出生日期）
+ * @param {string} id - 身份证号
+ * @returns {{valid: boolean, masked: boolean, error?: string}} masked表示号码中间被*脱敏，只能校验格式
+ */
+export function checkIdNumber(id) {
+  const value = String(id).toUpperCase();
+  if (/^\d{6,10}\*+\d{3}[\dX]$/.test(value) && value.length === 18) return { valid: true, masked: true };
+  if (!/^\d{17}[\dX]$/.test(value)) return { valid: false, masked: false, error: '应为18位，前17位为数字，末位为数字或X' };
+  if (!isValidDate(Number(value.slice(6, 10)), Number(value.slice(10, 12)), Number(value.slice(12, 14)))) {
+    return { valid: false, masked: false, error: `出生日期 ${value.slice(6, 14)} 不合法` };
+  }
+  const sum = ID_WEIGHTS.reduce((acc, weight, i) => acc + weight * Number(value[i]), 0);
+  const expected = ID_CHECK_CODES[sum % 11];
+  if (value[17] !== expected) return { valid: false, masked: false, error: `校验码应为 ${expected}，实际为 ${value[17]}` };
+  return { valid: true, masked: false };
+}
+
+/**
+ * 字段类型：parse返回 { value: 归一化后的值 } 或 { error: 错误说明 }，可带 confidence 覆盖默认置信度
+ */
+export const FIELD_TYPES = {
+  text: {
+    parse: raw => ({ value: raw })
+  },
+  digits: {
+    parse: raw => {
+      const value = raw.replace(/\s/g, '');
+      return /^\d+$/.test(value) ? { value } : { error: '应为纯数字' };
+    }
+  },
+  trainNumber: {
+    parse: raw => {
+      const value = raw.replace(/\s/g, '').toUpperCase();
+      return /^[GDCZTKSYL]?\d{1,4}$/.test(value) ? { value } : { error: '车次格式应为字母+数字，如G1948' };
+    }
+  },
+  datetime: {
+    // 兼容「2024年11月14日11:46开」「2024-11-14 11:46」「2024/11/14 11:46」
+    parse: raw => {
+      const match = raw.match(/^(\d{4})\s*[年\-/.]\s*(\d{1,2})\s*[月\-/.]\s*(\d{1,2})\s*日?\s*(\d{1,2})\s*[:：时]\s*(\d{2})\s*分?\s*开?$/);
+      if (!match) return { error: '日期时间格式应为 YYYY年MM月DD日HH:mm' };
+      const [year, month, day, hour, minute] = match.slice(1).map(Number);
+      if (!isValidDate(year, month, day) || hour > 23 || minute > 59) return { error: `日期时间不合法: ${raw}` };
+      const pad = n => String(n).padStart(2, '0');
+      return { value: `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}` };
+    }
+  },
+  price: {
+    parse: raw => {
+      const match = raw.replace(/[\s,]/g, '').match(/^[¥￥]?(\d+(?:\.\d{1,2})?)元?$/);
+      if (!match) return { error: '票价格式应为金额，如 ¥337.50' };
+      const value = Number(match[1]);
+      return value > 0 ? { value } : { error: '票价应大于0' };
+    }
+  },
+  idNumber: {
+    parse: raw => {
+      const value = raw.replace(/\s/g, '').toUpperCase();
+      const result = checkIdNumber(value);
+      if (!result.valid) return { error: `身份证号码${result.error}` };
+      // 脱敏号码无法校验校验码，置信度降低但不要求复核
+      return result.masked ? { value, confidence: REVIEW_THRESHOLD, warning: '号码已脱敏，无法校验校验码' } : { value };
+    }
+  },
+  seat: {
+    parse: raw => {
+      const value = raw.replace(/\s/g, '');
+      return /^\d{1,2}车\d{1,3}[A-F]?号?$|^无座$/i.test(value) ? { value } : { error: '座位号格式应为「04车12A号」' };
+    }
+  }
+};
+
+// 车票字段定义（3.2 示例中的车票图像）
+export const TICKET_FIELDS = [
+  { name: '发票号码', type: 'digits' },
+  { name: '车次', type: 'trainNumber' },
+  { name: '起始站', type: 'text' },
+  { name: '终点站', type: 'text' },
+  { name: '发车日期和时间点', type: 'datetime' },
+  { name: '座位号', type: 'seat' },
+  { name: '席别类型', type: 'text' },
+  { name: '票价', type: 'price' },
+  { name: '身份证号码', type: 'idNumber' },
+  { name: '购票人姓名', type: 'text' }
+];
+
+/**
+ * 按字段定义生成提取指令
+ * @param {Array<Object>} fields - 字段定义 { name, type, required }
+ * @param {Object} [options]
+ * @param {string} [options.subject='车票图像'] - 图像描述
+ * @returns {string}
+ */
+export function buildExtractionPrompt(fields, { subject = '车票图像' } = {}) {
+  const template = JSON.stringify(Object.fromEntries(fields.map(field => [field.name, 'xxx'])));
+  return `请提取${subject}中的${fields.map(field => field.name).join('、')}。
+要求准确无误地提取上述关键信息，不要遗漏，也不要捏造虚假信息。
+对于模糊或强光遮挡导致无法识别的字符，请用英文问号 ? 替代。
+只返回一个JSON对象，键名和字符串都使用双引号，结构如下：
+${template}`;
+}
+
+// 字符串的起始引号 → 可作为结束的引号；中文引号和单引号的字符串修复时按JSON字符串重新转义
+const STRING_QUOTES = { '"': '"', '“': '”"', "'": "'’", '‘': "’'" };
+
+/**
+ * 修复模型输出的非标准JSON，只改动字符串之外的内容，字符串中的引号、冒号、逗号原样保留
+ * @param {string} text - 从 { 到 } 的JSON文本
+ * @returns {string}
+ */
+function repairJson(text) {
+  let output = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch in STRING_QUOTES) {
+      let j = i + 1;
+      while (j < text.length && !STRING_QUOTES[ch].includes(text[j])) j += ch === '"' && text[j] === '\\' ? 2 : 1;
+      const inner = text.slice(i + 1, j);
+      output += ch === '"' ? `"${inner}"` : JSON.stringify(inner);
+      i = j + 1;
+      continue;
+    }
+    if (ch === '}' || ch === ']') {
+      output = output.replace(/,\s*$/, ''); // 末尾多余的逗号
+      output += ch;
+      i++;
+      continue;
+    }
+    const word = text.slice(i).match(/^[^\s"'“”‘’{}[\],:：，]+/)?.[0];
+    if (word) {
+      // 紧跟冒号且位于 { 或 , 之后的是未加引号的键名
+      const isKey = /^\s*[:：]/.test(text.slice(i + word.length)) && /[{,]\s*$/.test(output);
+      output += isKey ? JSON.stringify(word) : word;
+      i += word.length;
+      continue;
+    }
+    output += ch === '：' ? ':' : ch === '，' ? ',' : ch;
+    i++;
+  }
+  return output;
+}
+
+/**
+ * 解析模型返回的JSON，必要时做修复
+ * 关键说明：
+ * - 去掉```json代码块，截取第一个 { 到最后一个 } 之间的内容
+ * - 修复单引号和中文引号的字符串、字符串外的中文冒号和逗号、末尾多余逗号、未加引号的键名（见repairJson）
+ * @param {string} text - 模型输出
+ * @returns {{data: Object, repaired: boolean}}
+ * @throws {Error} 修复后仍无法解析时抛出
+ */
+export function parseModelJson(text) {
+  const content = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error(`模型输出中没有JSON对象: ${content.slice(0, 80)}`);
+  const body = content.slice(start, end + 1);
+
+  try {
+    return { data: JSON.parse(body), repaired: false };
+  } catch {
+    try {
+      return { data: JSON.parse(repairJson(body)), repaired: true };
+    } catch (err) {
+      throw new Error(`模型输出的JSON无法解析: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * 逐字段校验抽取结果
+ * @param {Object} data - 解析后的JSON
+ * @param {Array<Object>} fields - 字段定义
+ * @param {Object} [options]
+ * @param {boolean} [options.repaired=false] - JSON是否经过修复（所有字段置信度下调0.1）
+ * @returns {Object} { values, fields: { [name]: { raw, value, confidence, errors, needsReview } }, valid, needsReview }
+ */
+export function validateExtraction(data, fields, { repaired = false } = {}) {
+  const results = {};
+  fields.forEach(({ name, type = 'text', required = true }) => {
+    const raw = data?.[name] === undefined || data[name] === null ? '' : String(data[name]).trim();
+    const result = { raw, value: null, confidence: 1, errors: [], warnings: [], needsReview: false };
+
+    if (!raw) {
+      if (required) result.errors.push('缺少该字段');
+      result.confidence = 0;
+    } else if (UNREADABLE_PATTERN.test(raw)) {
+      result.errors.push(`包含无法识别的字符: ${raw}`);
+      result.confidence = 0.3;
+    } else {
+      const fieldType = FIELD_TYPES[type];
+      if (!fieldType) throw new Error(`字段 ${name} 的类型不受支持: ${type}，可用类型: ${Object.keys(FIELD_TYPES).join(', ')}`);
+      const parsed = fieldType.parse(raw);
+      if (parsed.error) {
+        result.errors.push(parsed.error);
+        result.confidence = 0.2;
+      } else {
+        result.value = parsed.value;
+        result.confidence = parsed.confidence ?? 1;
+        if (parsed.warning) result.warnings.push(parsed.warning);
+      }
+    }
+
+    if (repaired && result.confidence > 0) result.confidence = Number((result.confidence - 0.1).toFixed(2));
+    result.needsReview = result.errors.length > 0 || result.confidence < REVIEW_THRESHOLD;
+    results[name] = result;
+  });
+
+  const extra = Object.keys(data || {}).filter(key => !fields.some(field => field.name === key));
+  return {
+    values: Object.fromEntries(Object.entries(results).map(([name, result]) => [name, result.value])),
+    fields: results,
+    extraKeys: extra,
+    valid: Object.values(results).every(result => result.errors.length === 0),
+    needsReview: Object.entries(results).filter(([, result]) => result.needsReview).map(([name]) => name)
+  };
+}
+
+/**
+ * 从图像中抽取结构化字段
+ * @param {string|Buffer|Array<string|Buffer>} image - 公网URL、本地文件路径或Buffer，多张图片（如正反面）时传数组
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.fields=TICKET_FIELDS] - 字段定义
+ * @param {string} [options.subject] - 图像描述，用于生成提取指令
+ * @param {OpenAI} [options.client] - 客户端，缺省为initOpenAI()
+ * @param {string} [options.model='qwen-vl-ocr-latest'] - 模型名
+ * @returns {Promise<Object>} validateExtraction的结果，另含 raw、repaired、usage；JSON无法解析时 valid=false 并带 error
+ */
+export async function extractFromImage(image, {
+  fields = TICKET_FIELDS,
+  subject,
+  client = initOpenAI(),
+  model = 'qwen-vl-ocr-latest'
+} = {}) {
+  const completion = await client.chat.completions.create({
+    model,
+    messages: [
+      {
+        role: "user",
+        content: await buildImageContent(image, buildExtractionPrompt(fields, { subject }))
+      }
+    ]
+  });
+  const raw = completion.choices[0].message.content || '';
+
+  let parsed;
+  try {
+    parsed = parseModelJson(raw);
+  } catch (err) {
+    const result = validateExtraction({}, fields);
+    return { ...result, valid: false, needsReview: fields.map(field => field.name), error: err.message, raw, repaired: false, usage: completion.usage };
+  }
+  return { ...validateExtraction(parsed.data, fields, { repaired: parsed.repaired }), raw, repaired: parsed.repaired, usage: completion.usage };
+}
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkIdNumber, parseModelJson, validateExtraction, TICKET_FIELDS, REVIEW_THRESHOLD } from './ocrExtractor.js';
+
+test('checkIdNumber 校验格式、出生日期和校验码，脱敏号码只校验格式', () => {
+  assert.deepEqual(checkIdNumber('11010519491231002x'), { valid: true, masked: false });
+  assert.match(checkIdNumber('110105194912310021').error, /校验码应为 X，实际为 1/);
+  assert.match(checkIdNumber('110105194902300021').error, /出生日期 19490230 不合法/);
+  assert.match(checkIdNumber('1101051949123').error, /应为18位/);
+  assert.deepEqual(checkIdNumber('1101051949****002X'), { valid: true, masked: true });
+});
+
+test('parseModelJson 标准JSON不做修复', () => {
+  assert.deepEqual(parseModelJson('```json\n{"车次": "G1948"}\n```'), { data: { 车次: 'G1948' }, repaired: false });
+  assert.throws(() => parseModelJson('无法识别'), /没有JSON对象/);
+  assert.throws(() => parseModelJson('{"车次": G1948 G1949}'), /无法解析/);
+});
+
+test('parseModelJson 修复单引号、中文标点、末尾逗号和未加引号的键名', () => {
+  assert.deepEqual(parseModelJson("{'车次': 'G1948', 座位号：“04车12A号”，}"), { data: { 车次: 'G1948', 座位号: '04车12A号' }, repaired: true });
+});
+
+test('parseModelJson 修复时不改动字符串中的内容', () => {
+  const { data, repaired } = parseModelJson(`{"购票人姓名": "O'Brien", "备注": "改签, 车次: G12，原票'作废'", 终点站: '上海',}`);
+  assert.equal(repaired, true);
+  assert.deepEqual(data, { 购票人姓名: "O'Brien", 备注: "改签, 车次: G12，原票'作废'", 终点站: '上海' });
+  assert.deepEqual(parseModelJson('{"备注": "引号\\"内", x: 1,}').data, { 备注: '引号"内', x: 1 });
+});
+
+test('validateExtraction 逐字段归一化并标出需要复核的字段', () => {
+  const result = validateExtraction({
+    发票号码: '2432 0000',
+    车次: 'g1948',
+    起始站: '北京南',
+    终点站: '上?',
+    发车日期和时间点: '2024年11月14日11:46开',
+    座位号: '04车12A号',
+    席别类型: '二等座',
+    票价: '¥337.50',
+    身份证号码: '1101051949****002X',
+    多余字段: 1
+  }, TICKET_FIELDS);
+  assert.equal(result.values.发票号码, '24320000');
+  assert.equal(result.values.车次, 'G1948');
+  assert.equal(result.values.发车日期和时间点, '2024-11-14 11:46');
+  assert.equal(result.values.票价, 337.5);
+  assert.equal(result.fields.身份证号码.confidence, REVIEW_THRESHOLD);
+  assert.deepEqual(result.fields.身份证号码.warnings, ['号码已脱敏，无法校验校验码']);
+  assert.equal(result.fields.终点站.confidence, 0.3);
+  assert.deepEqual(result.fields.购票人姓名.errors, ['缺少该字段']);
+  assert.deepEqual(result.extraKeys, ['多余字段']);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.needsReview, ['终点站', '购票人姓名']);
+});
+
+test('validateExtraction JSON经过修复时置信度下调', () => {
+  const fields = [{ name: '车次', type: 'trainNumber' }, { name: '备注', required: false }];
+  const result = validateExtraction({ 车次: 'G1948' }, fields, { repaired: true });
+  assert.equal(result.fields.车次.confidence, 0.9);
+  assert.equal(result.fields.备注.confidence, 0);
+  assert.equal(result.valid, true);
+  assert.throws(() => validateExtraction({ 车次: 'x' }, [{ name: '车次', type: 'plate' }]), /类型不受支持: plate/);
+});
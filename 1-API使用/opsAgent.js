@@ -0,0 +1,91 @@
+/**
+ * 运维事件处置智能体
+ * 封装运维分析师提示词（prompts/ops-analyst）、处置审批和预案引用整理，供运维demo和命令行复用
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runAgent, finalAnswer } from './agentRunner.js';
+import { createOpsToolRegistry } from './opsTools.js';
+import { collectRunbookReferences, appendRunbookReferences } from './runbookStore.js';
+import { createApprovalGate, createAuditLog, consoleApprover, autoApprover } from './approvalGate.js';
+import { renderPrompt } from './promptTemplates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_AUDIT_LOG = path.join(__dirname, 'logs', 'ops-audit.jsonl');
+
+export const OPS_PROMPT = 'ops-analyst';
+
+/**
+ * 创建处置操作审批
+ * 关键说明：
+ * - 终端交互运行时逐个询问用户是否执行
+ * - 非交互环境（CI、管道）按 autoApprove（缺省取 OPS_AUTO_APPROVE=yes）决定是否自动批准，默认拒绝
+ * - 所有审批结论写入审计日志
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=process.stdin.isTTY] - 是否在终端询问
+ * @param {boolean} [options.autoApprove] - 非交互时是否自动批准
+ * @param {string} [options.approverName='env:OPS_AUTO_APPROVE'] - 自动审批在审计日志中的审批人
+ * @param {string} [options.auditFile=DEFAULT_AUDIT_LOG] - 审计日志路径
+ * @param {Function} [options.onDecision] - 审批结论回调
+ * @returns {Function} runAgent的approve回调
+ */
+export function createOpsApprover({
+  interactive = process.stdin.isTTY,
+  autoApprove = process.env.OPS_AUTO_APPROVE === 'yes',
+  approverName = 'env:OPS_AUTO_APPROVE',
+  auditFile = DEFAULT_AUDIT_LOG,
+  onDecision
+} = {}) {
+  return createApprovalGate({
+    approver: interactive
+      ? consoleApprover()
+      : autoApprover(autoApprove, approverName),
+    auditLog: createAuditLog(auditFile),
+    onDecision
+  });
+}
+
+/**
+ * 处置告警
+ * @param {string} alert - 告警内容，如「告警：数据库连接数超过设定阈值时间：2024-08-03 15:30:00」
+ * @param {Object} [options] - 其余参数透传给runAgent（client、approve、stream、onEvent等）
+ * @param {string} [options.model='qwen-turbo'] - 模型名
+ * @param {Object} [options.registry] - 工具注册表，缺省为createOpsToolRegistry()
+ * @param {number} [options.maxTurns=6] - 最多轮数
+ * @param {number} [options.tokenBudget=20000] - token预算
+ * @param {string} [options.prompt='ops-analyst'] - 提示词模板，可带版本
+ * @returns {Promise<Object>} runAgent的结果，另含 references（引用的预案章节）、conclusion（补充了参考预案的最终答复）和 prompt（使用的模板版本）
+ */
+export async function triageAlert(alert, {
+  model = 'qwen-turbo',
+  registry = createOpsToolRegistry(),
+  maxTurns = 6,
+  tokenBudget = 20000,
+  prompt = OPS_PROMPT,
+  ...options
+} = {}) {
+  const rendered = renderPrompt(prompt, { abKey: alert });
+  const result = await runAgent({
+    ...options,
+    model,
+    registry,
+    maxTurns,
+    tokenBudget,
+    requestOptions: { ...options.requestOptions, prompt: rendered.prompt.id },
+    messages: [
+      ...rendered.messages,
+      { role: "user", content: alert }
+    ]
+  });
+
+  // 最终答复中补充所用预案的引用列表
+  const references = collectRunbookReferences(result);
+  return {
+    ...result,
+    references,
+    conclusion: appendRunbookReferences(finalAnswer(result), references),
+    prompt: rendered.prompt.id
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * 运维事件处置工具集
+ * 包括只读的监控查询（当前状态、时间窗口查询、基线对比）、预案检索工具，以及有副作用的处置工具（sideEffect: true，执行前需要人工确认）
+ *
+ * 关键说明：
+ * - 监控数据来自metricsProvider.js（模拟序列或导出文件），处置操作为模拟实现，
+ *   实际项目中应替换为监控系统、数据库运维平台的接口调用
+ */
+
+import { createToolRegistry } from './toolRegistry.js';
+import { createRunbookStore } from './runbookStore.js';
+import { METRICS, createMetricsProvider, compareToBaseline, parseTime, formatTime, summarize } from './metricsProvider.js';
+
+/**
+ * 创建模拟的数据库实例状态
+ * 每个工具注册表各自一份，处置操作的修改不会带到之后的运行中
+ * @returns {{instance: string, standby: string, maxConnections: number}}
+ */
+export function createDatabaseState() {
+  return {
+    instance: 'db-prod-01',
+    standby: 'db-prod-02',
+    maxConnections: 500
+  };
+}
+
+/**
+ * 通过监控数据源获取数据库服务器状态
+ * @param {Object} database - 数据库实例状态
+ * @param {Object} metricsProvider - 监控数据源
+ * @param {string} [time] - 查询时间，缺省为数据源的当前时间
+ * @returns {string} 服务器状态信息的JSON字符串
+ */
+function getCurrentStatus(database, metricsProvider, time) {
+  const at = time ? parseTime(time) : metricsProvider.now;
+  // 取最近5分钟的最后一个点，兼容按分钟或按5分钟采样的数据
+  const latest = metric => metricsProvider.query(metric, new Date(at.getTime() - 5 * 60 * 1000), at).at(-1)?.value ?? null;
+  const cpu = latest('cpu');
+  const memory = latest('memory');
+  return JSON.stringify({
+    "时间": formatTime(at),
+    "连接数": latest('connections'),
+    "最大连接数": database.maxConnections,
+    "CPU使用率": cpu === null ? null : `${cpu}%`,
+    "内存使用率": memory === null ? null : `${memory}%`
+  });
+}
+
+/**
+ * 终止空闲会话（处置操作）
+ * @param {Object} database - 数据库实例状态
+ * @param {number} idleMinutes - 空闲超过多少分钟的会话
+ * @param {number} maxSessions - 最多终止的会话数
+ * @returns {Object} 执行结果
+ */
+function killIdleSessions(database, { idleMinutes, maxSessions }) {
+  const killed = Math.min(maxSessions, 12 + Math.floor(idleMinutes / 5));
+  return { instance: database.instance, action: 'killIdleSessions', idleMinutes, killed, status: 'success' };
+}
+
+/**
+ * 调整最大连接数（处置操作）
+ * @param {Object} database - 数据库实例状态
+ * @param {number} newLimit - 新的最大连接数
+ * @returns {Object} 执行结果
+ */
+function raiseConnectionLimit(database, { newLimit }) {
+  const previous = database.maxConnections;
+  if (newLimit <= previous) {
+    throw new Error(`新的最大连接数 ${newLimit} 须大于当前值 ${previous}`);
+  }
+  database.maxConnections = newLimit;
+  return { instance: database.instance, action: 'raiseConnectionLimit', previous, current: newLimit, status: 'success' };
+}
+
+/**
+ * 主备切换（处置操作）
+ * @param {Object} database - 数据库实例状态
+ * @param {string} reason - 切换原因
+ * @returns {Object} 执行结果
+ */
+function failoverToStandby(database, { reason }) {
+  const from = database.instance;
+  [database.instance, database.standby] = [database.standby, database.instance];
+  return { action: 'failoverToStandby', from, to: database.instance, reason, status: 'success' };
+}
+
+/**
+ * 创建运维工具注册表
+ * @param {Object} [options]
+ * @param {Object} [options.runbookStore] - 预案库（createRunbookStore），默认读取 ./runbooks
+ * @param {Object} [options.metricsProvider] - 监控数据源（createMetricsProvider），默认按 METRICS_SOURCE 创建
+ * @param {Object} [options.database] - 数据库实例状态（createDatabaseState），默认每次新建
+ * @returns {Object} 工具注册表
+ */
+export function createOpsToolRegistry({
+  runbookStore = createRunbookStore(),
+  metricsProvider = createMetricsProvider(),
+  database = createDatabaseState()
+} = {}) {
+  const metricParam = {
+    type: "string",
+    enum: Object.keys(METRICS),
+    description: `指标名：${Object.entries(METRICS).map(([key, { label }]) => `${key}（${label}）`).join('、')}`
+  };
+  const timeParam = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}[ T]\\d{2}:\\d{2}(:\\d{2})?$" };
+
+  return createToolRegistry([
+    {
+      name: "getCurrentStatus",
+      description: "调用监控系统接口，获取数据库服务器性能指标，包括：连接数、最大连接数、CPU使用率、内存使用率。不传time时返回当前值",
+      parameters: {
+        type: "object",
+        properties: {
+          time: { ...timeParam, description: "查询时间，格式 YYYY-MM-DD HH:mm:ss（北京时间），可选" }
+        },
+        required: []
+      },
+      handler: ({ time }) => getCurrentStatus(database, metricsProvider, time)
+    },
+    {
+      name: "queryMetric",
+      description: "查询某个指标在时间窗口内的序列及统计值（最小、最大、平均），用于观察告警前后的趋势",
+      parameters: {
+        type: "object",
+        properties: {
+          metric: metricParam,
+          start: { ...timeParam, description: "开始时间，格式 YYYY-MM-DD HH:mm:ss" },
+          end: { ...timeParam, description: "结束时间，格式 YYYY-MM-DD HH:mm:ss" },
+          stepMinutes: { type: "integer", minimum: 1, maximum: 60, default: 5, description: "采样步长（分钟），按步长取平均" }
+        },
+        required: ["metric", "start", "end"]
+      },
+      handler: ({ metric, start, end, stepMinutes }) => {
+        if (parseTime(end) - parseTime(start) > 24 * 60 * 60 * 1000) throw new Error('查询窗口不能超过24小时');
+        const series = metricsProvider.query(metric, start, end, stepMinutes);
+        return { metric, label: METRICS[metric].label, stepMinutes, summary: summarize(series), series };
+      }
+    },
+    {
+      name: "compareToBaseline",
+      description: "将指标在某时间点之前一段窗口内的表现与前N天同一时段的基线对比，判断是否为异常突增",
+      parameters: {
+        type: "object",
+        properties: {
+          metric: metricParam,
+          time: { ...timeParam, description: "对比时间点（窗口结束时间），通常为告警时间" },
+          windowMinutes: { type: "integer", minimum: 5, maximum: 720, default: 30, description: "窗口长度（分钟）" },
+          baselineDays: { type: "integer", minimum: 1, maximum: 30, default: 7, description: "基线取前几天" }
+        },
+        required: ["metric", "time"]
+      },
+      handler: (args) => compareToBaseline(metricsProvider, args)
+    },
+    {
+      name: "searchRunbook",
+      description: "检索应急预案和运维文档，返回相关章节及引用标识（ref）。分析告警、给出分析步骤和处置方案前应先检索",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", minLength: 1, description: "检索内容，如告警内容、异常现象或处置操作" },
+          limit: { type: "integer", minimum: 1, maximum: 8, default: 4, description: "返回的章节数" }
+        },
+        required: ["query"]
+      },
+      handler: ({ query, limit }) => ({
+        query,
+        sections: runbookStore.search(query, { limit }).map(({ ref, document, heading, content }) => ({ ref, document, heading, content }))
+      })
+    },
+    {
+      name: "killIdleSessions",
+      description: "处置操作：终止数据库中空闲时间超过阈值的会话，释放连接数。执行前需要用户确认",
+      parameters: {
+        type: "object",
+        properties: {
+          idleMinutes: { type: "integer", minimum: 1, default: 10, description: "空闲超过多少分钟的会话会被终止" },
+          maxSessions: { type: "integer", minimum: 1, maximum: 500, default: 50, description: "本次最多终止的会话数" }
+        }
+      },
+      handler: args => killIdleSessions(database, args),
+      sideEffect: true
+    },
+    {
+      name: "raiseConnectionLimit",
+      description: `处置操作：调大数据库最大连接数（当前为${database.maxConnections}）。执行前需要用户确认`,
+      parameters: {
+        type: "object",
+        properties: {
+          newLimit: { type: "integer", minimum: 100, maximum: 5000, description: "新的最大连接数" }
+        },
+        required: ["newLimit"]
+      },
+      handler: args => raiseConnectionLimit(database, args),
+      sideEffect: true
+    },
+    {
+      name: "failoverToStandby",
+      description: "处置操作：将数据库主库切换到备库，仅在主库不可恢复时使用。执行前需要用户确认",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", minLength: 2, description: "切换原因" }
+        },
+        required: ["reason"]
+      },
+      handler: args => failoverToStandby(database, args),
+      sideEffect: true
+    }
+  ]);
+}
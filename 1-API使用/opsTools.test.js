@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpsToolRegistry } from './opsTools.js';
+
+const approve = async () => ({ approved: true });
+const callOf = (name, args = {}) => ({ id: 'call_1', function: { name, arguments: JSON.stringify(args) } });
+
+test('处置操作只修改本注册表的数据库状态', async () => {
+  const first = createOpsToolRegistry();
+  const raised = await first.execute(callOf('raiseConnectionLimit', { newLimit: 800 }), { approve });
+  assert.equal(JSON.parse(raised.content).current, 800);
+  const failover = await first.execute(callOf('failoverToStandby', { reason: '主库宕机' }), { approve });
+  assert.equal(JSON.parse(failover.content).to, 'db-prod-02');
+
+  const second = createOpsToolRegistry();
+  const again = await second.execute(callOf('raiseConnectionLimit', { newLimit: 800 }), { approve });
+  assert.equal(again.error, null);
+  assert.deepEqual(JSON.parse(again.content), { instance: 'db-prod-01', action: 'raiseConnectionLimit', previous: 500, current: 800, status: 'success' });
+});
+
+test('调小最大连接数时返回执行错误', async () => {
+  const result = await createOpsToolRegistry().execute(callOf('raiseConnectionLimit', { newLimit: 400 }), { approve });
+  assert.equal(result.error.type, 'execution_error');
+});
@@ -0,0 +1,68 @@
+/**
+ * 模型价格表
+ * 单位：元 / 千tokens，参考阿里云百炼公开价格（https://help.aliyun.com/zh/model-studio/getting-started/models），
+ * 价格调整时修改此表，或通过 LLM_PRICE_TABLE 指定JSON文件覆盖（格式同PRICE_TABLE）
+ */
+
+import fs from 'fs';
+
+export const PRICE_TABLE = {
+  'qwen-plus': { input: 0.0008, output: 0.002 },
+  'qwen-turbo': { input: 0.0003, output: 0.0006 },
+  'qwen-max': { input: 0.0024, output: 0.0096 },
+  'qwen-vl-plus': { input: 0.0015, output: 0.0045 },
+  'qwen-vl-max': { input: 0.003, output: 0.009 },
+  'qwen-vl-ocr-latest': { input: 0.005, output: 0.005 },
+  'deepseek-r1': { input: 0.004, output: 0.016 },
+  'deepseek-v3': { input: 0.002, output: 0.008 },
+  // DeepSeek官方接口返回的模型名
+  'deepseek-reasoner': { input: 0.004, output: 0.016 },
+  'deepseek-chat': { input: 0.002, output: 0.008 }
+};
+
+/**
+ * 读取价格表：内置价格 + JSON文件覆盖
+ * @param {string} [file=process.env.LLM_PRICE_TABLE] - 覆盖文件，{ 模型名: { input, output } }
+ * @returns {Object} 价格表
+ */
+export function loadPriceTable(file = process.env.LLM_PRICE_TABLE) {
+  if (!file) return PRICE_TABLE;
+  try {
+    return { ...PRICE_TABLE, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch (err) {
+    throw new Error(`价格表 ${file} 读取失败: ${err.message}`);
+  }
+}
+
+let activePriceTable = null;
+
+/**
+ * 当前生效的价格表（首次调用时读取并缓存）
+ * LLM_PRICE_TABLE 文件缺失或不是合法JSON时打印警告并使用内置价格，不影响不关心费用的脚本
+ * @returns {Object} 价格表
+ */
+export function currentPriceTable() {
+  if (!activePriceTable) {
+    try {
+      activePriceTable = loadPriceTable();
+    } catch (err) {
+      console.warn(`[llm] ${err.message}，改用内置价格表`);
+      activePriceTable = PRICE_TABLE;
+    }
+  }
+  return activePriceTable;
+}
+
+/**
+ * 按usage估算费用
+ * @param {string} model - 模型名
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+ * @param {Object} [priceTable=PRICE_TABLE] - 价格表
+ * @returns {number|null} 费用（元），价格表中没有该模型时为null
+ */
+export function estimateCost(model, usage, priceTable = PRICE_TABLE) {
+  const price = priceTable[model];
+  if (!price || !usage) return null;
+  const cost = (usage.prompt_tokens || 0) / 1000 * price.input + (usage.completion_tokens || 0) / 1000 * price.output;
+  return Number(cost.toFixed(6));
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { estimateCost, loadPriceTable, PRICE_TABLE } from './pricing.js';
+
+test('estimateCost 按千tokens计价，未知模型为null', () => {
+  assert.equal(estimateCost('qwen-plus', { prompt_tokens: 1000, completion_tokens: 500 }), 0.0018);
+  assert.equal(estimateCost('unknown-model', { prompt_tokens: 1000 }), null);
+  assert.equal(estimateCost('qwen-plus', { prompt_tokens: 1000 }, { 'qwen-plus': { input: 1, output: 1 } }), 1);
+});
+
+test('loadPriceTable 未配置时为内置价格，文件不存在时报错', () => {
+  assert.equal(loadPriceTable(''), PRICE_TABLE);
+  assert.throws(() => loadPriceTable('/nonexistent/prices.json'), /价格表/);
+});
+
+test('LLM_PRICE_TABLE 有误时导入initOpenAI不报错，计费改用内置价格', () => {
+  const script = `
+    const { initOpenAI } = await import('./initOpenAI.js');
+    const { createUsageTracker } = await import('./usageTracker.js');
+    initOpenAI('mock');
+    const entry = createUsageTracker().record({ model: 'qwen-plus', usage: { prompt_tokens: 1000, completion_tokens: 0 } });
+    console.log(entry.cost);
+  `;
+  const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: import.meta.dirname,
+    env: { ...process.env, LLM_PRICE_TABLE: '/nonexistent/prices.json' },
+    encoding: 'utf-8'
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout.trim(), '0.0008');
+  assert.match(result.stderr, /改用内置价格表/);
+});
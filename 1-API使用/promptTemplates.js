@@ -0,0 +1,281 @@
+/**
+ * 提示词模板库
+ * 系统提示词和few-shot示例从 prompts/<名称>/<版本>.md 加载，支持变量插值、版本选择和A/B分流，
+ * 渲染结果带有模板版本标识（如 sentiment@v1），随请求写入用量统计、缓存和结果，便于评审提示词改动
+ *
+ * 模板文件格式：
+ *   ---
+ *   description: 一句话说明
+ *   status: stable
+ *   changes: 相比上一版的改动
+ *   defaults:
+ *     labels: 正向 或者 负向
+ *   ---
+ *   [system]
+ *   你是一名舆情分析师……回复请用一个词语：{{labels}}
+ *
+ *   [user]
+ *   这款音乐软件很棒
+ *
+ *   [assistant]
+ *   正向
+ *
+ * 关键说明：
+ * - status为stable的版本可作为默认版本，candidate只在显式指定或A/B时使用；defaults为变量默认值
+ * - [system] 之后成对的 [user] / [assistant] 段为few-shot示例
+ * - 默认版本为最新的stable版本；LLM_PROMPT_VERSION="sentiment=v2,ops-analyst=v1" 可按模板指定
+ * - A/B：LLM_PROMPT_AB="sentiment=v1:50|v2:50" 或 renderPrompt 的 variants 参数，按abKey哈希稳定分流（无abKey时随机）
+ * - 插值使用 {{变量}}，缺少变量时报错，避免把占位符原样发给模型
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+const ROLES = ['system', 'user', 'assistant'];
+
+// 已加载的模板，键为文件路径
+const templateCache = new Map();
+
+/**
+ * 比较版本号（v1 < v2 < v10）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * 解析front matter（只支持 key: value 和一层缩进的对象）
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseFrontMatter(text) {
+  const meta = {};
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const match = line.match(/^(\s*)([\w.-]+):\s*(.*?)\s*$/);
+    if (!match) throw new Error(`无法解析的front matter: ${line}`);
+    const [, indent, key, value] = match;
+    if (indent && current) {
+      meta[current][key] = value;
+    } else if (!value) {
+      current = key;
+      meta[key] = {};
+    } else {
+      current = null;
+      meta[key] = value;
+    }
+  });
+  return meta;
+}
+
+/**
+ * 解析模板文本
+ * @param {string} text - 模板文件内容
+ * @param {Object} [info] - { name, version, file }
+ * @returns {Object} { name, version, id, file, hash, meta, sections: [{ role, content }] }
+ */
+export function parseTemplate(text, { name, version, file } = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const frontMatter = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const meta = frontMatter ? parseFrontMatter(frontMatter[1]) : {};
+  const body = frontMatter ? source.slice(frontMatter[0].length) : source;
+
+  const sections = [];
+  body.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^\[(\w+)\]\s*$/);
+    if (header && ROLES.includes(header[1])) {
+      sections.push({ role: header[1], lines: [] });
+    } else if (sections.length) {
+      sections.at(-1).lines.push(line);
+    } else if (line.trim()) {
+      throw new Error(`模板 ${file || name} 的正文需以 [system] 等角色标记开头`);
+    }
+  });
+  if (!sections.length) throw new Error(`模板 ${file || name} 没有内容`);
+
+  return {
+    name,
+    version,
+    id: `${name}@${version}`,
+    file,
+    hash: crypto.createHash('sha256').update(source).digest('hex').slice(0, 8),
+    meta: { status: 'stable', defaults: {}, ...meta },
+    sections: sections.map(({ role, lines }) => ({ role, content: lines.join('\n').trim() }))
+  };
+}
+
+/**
+ * 列出模板及其版本
+ * @param {string} [dir=DEFAULT_PROMPTS_DIR]
+ * @returns {Array<Object>} [{ name, versions: [{ version, status, description, changes }], defaultVersion }]
+ */
+export function listPrompts(dir = DEFAULT_PROMPTS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const versions = listVersions(entry.name, dir).map(version => {
+        const { meta } = loadTemplate(`${entry.name}@${version}`, { dir });
+        return { version, status: meta.status, description: meta.description || '', changes: meta.changes || '' };
+      });
+      return { name: entry.name, versions, defaultVersion: defaultVersion(entry.name, dir) };
+    });
+}
+
+/**
+ * 列出某个模板的所有版本（升序）
+ * @param {string} name
+ * @param {string} [dir=DEFAULT_PROMPTS_DIR]
+ * @returns {string[]}
+ */
+function listVersions(name, dir = DEFAULT_PROMPTS_DIR) {
+  const folder = path.join(dir, name);
+  if (!fs.existsSync(folder)) throw new Error(`未找到提示词模板: ${name}（${folder}）`);
+  return fs.readdirSync(folder)
+    .filter(file => file.endsWith('.md'))
+    .map(file => file.replace(/\.md$/, ''))
+    .sort(compareVersions);
+}
+
+/**
+ * 默认版本：最新的stable版本
+ * @param {string} name
+ * @param {string} [dir=DEFAULT_PROMPTS_DIR]
+ * @returns {string}
+ */
+function defaultVersion(name, dir = DEFAULT_PROMPTS_DIR) {
+  const stable = listVersions(name, dir).filter(version => loadTemplate(`${name}@${version}`, { dir }).meta.status === 'stable');
+  if (!stable.length) throw new Error(`提示词模板 ${name} 没有stable版本，请显式指定版本`);
+  return stable.at(-1);
+}
+
+/**
+ * 解析 "name=v1,other=v2" 形式的环境变量
+ * @param {string} [raw]
+ * @returns {Object} { name: value }
+ */
+function parseEnvMap(raw) {
+  const map = {};
+  (raw || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const index = item.indexOf('=');
+    if (index > 0) map[item.slice(0, index).trim()] = item.slice(index + 1).trim();
+  });
+  return map;
+}
+
+/**
+ * 解析A/B配置 "v1:50|v2:50"
+ * @param {string|Object} spec
+ * @returns {Object} { version: weight }
+ */
+function parseVariants(spec) {
+  if (typeof spec !== 'string') return spec;
+  return Object.fromEntries(spec.split('|').filter(Boolean).map(item => {
+    const [version, weight = '1'] = item.split(':').map(s => s.trim());
+    return [version, Number(weight)];
+  }));
+}
+
+/**
+ * 按权重选择A/B版本
+ * @param {Object} variants - { version: weight }
+ * @param {string} [abKey] - 分流键（如用户id、文本），相同key总是得到相同版本；缺省时随机
+ * @returns {string} 版本
+ */
+export function pickVariant(variants, abKey) {
+  const entries = Object.entries(variants).filter(([, weight]) => weight > 0);
+  if (!entries.length) throw new Error('A/B配置中没有权重大于0的版本');
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const point = abKey === undefined
+    ? Math.random() * total
+    : crypto.createHash('sha256').update(String(abKey)).digest().readUInt32BE(0) / 2 ** 32 * total;
+  let acc = 0;
+  for (const [version, weight] of entries) {
+    acc += weight;
+    if (point < acc) return version;
+  }
+  return entries.at(-1)[0];
+}
+
+/**
+ * 确定要使用的版本
+ * 优先级：ref中的@版本 > options.version > LLM_PROMPT_VERSION > A/B（options.variants 或 LLM_PROMPT_AB）> 最新stable版本
+ * @param {string} ref - 模板名，可带版本如 "sentiment@v2"
+ * @param {Object} [options] - { version, variants, abKey, dir }
+ * @returns {{name: string, version: string, variant: boolean}}
+ */
+export function selectVersion(ref, { version, variants, abKey, dir = DEFAULT_PROMPTS_DIR } = {}) {
+  const [name, pinned] = ref.split('@');
+  const chosen = pinned || version || parseEnvMap(process.env.LLM_PROMPT_VERSION)[name];
+  if (chosen) return { name, version: chosen, variant: false };
+  const ab = variants || parseEnvMap(process.env.LLM_PROMPT_AB)[name];
+  if (ab) return { name, version: pickVariant(parseVariants(ab), abKey), variant: true };
+  return { name, version: defaultVersion(name, dir), variant: false };
+}
+
+/**
+ * 加载模板（按文件缓存，修改文件后需重启进程）
+ * @param {string} ref - 模板名，可带版本如 "sentiment@v2"
+ * @param {Object} [options] - 同selectVersion
+ * @returns {Object} parseTemplate的结果
+ */
+export function loadTemplate(ref, options = {}) {
+  const { dir = DEFAULT_PROMPTS_DIR } = options;
+  const { name, version } = selectVersion(ref, options);
+  const file = path.join(dir, name, `${version}.md`);
+  if (!templateCache.has(file)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`未找到提示词模板 ${name}@${version}，可用版本: ${listVersions(name, dir).join(', ')}`);
+    }
+    templateCache.set(file, parseTemplate(fs.readFileSync(file, 'utf-8'), { name, version, file }));
+  }
+  return templateCache.get(file);
+}
+
+/**
+ * 替换 {{变量}}
+ * @param {string} text
+ * @param {Object} vars
+ * @param {string} [id] - 模板标识，用于报错
+ * @returns {string}
+ */
+export function interpolate(text, vars = {}, id = '') {
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => {
+    if (vars[key] === undefined || vars[key] === null) throw new Error(`提示词模板 ${id} 缺少变量: ${key}`);
+    return Array.isArray(vars[key]) ? vars[key].join('、') : String(vars[key]);
+  });
+}
+
+/**
+ * 渲染提示词
+ * @param {string} ref - 模板名，可带版本如 "sentiment@v2"
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - 变量，覆盖模板中的defaults
+ * @param {string} [options.version] - 指定版本
+ * @param {Object|string} [options.variants] - A/B配置，如 { v1: 50, v2: 50 }
+ * @param {string} [options.abKey] - A/B分流键
+ * @param {string} [options.dir=DEFAULT_PROMPTS_DIR] - 模板目录
+ * @returns {Object} { messages, system, prompt: { id, name, version, hash, variant } }
+ *   messages为系统提示词加few-shot示例，调用方在其后追加本次的用户消息
+ */
+export function renderPrompt(ref, options = {}) {
+  const { name, version, variant } = selectVersion(ref, options);
+  const template = loadTemplate(`${name}@${version}`, { dir: options.dir });
+  const vars = { ...template.meta.defaults, ...options.vars };
+  const messages = template.sections.map(({ role, content }) => ({ role, content: interpolate(content, vars, template.id) }));
+  return {
+    messages,
+    system: messages.find(m => m.role === 'system')?.content || '',
+    prompt: { id: template.id, name: template.name, version: template.version, hash: template.hash, variant }
+  };
+}
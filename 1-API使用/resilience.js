@@ -0,0 +1,236 @@
+/**
+ * LLM请求的重试、限流与备用模型
+ * 作为initOpenAI客户端的中间件，429、超时、5xx等临时错误不再直接导致脚本退出
+ *
+ * 关键说明：
+ * - 重试：指数退避 + 随机抖动（equal jitter），服务端返回 retry-after 时按其等待
+ * - 限流：按「服务商:模型」限制并发数和每分钟请求数，同一进程内的所有客户端共享
+ * - 备用模型：配置fallbacks后，当前模型重试用尽（或模型不存在）时按顺序切换，如 qwen-plus → qwen-turbo；响应的fallbackModel标出实际回答的模型
+ * - 每次尝试都会生成结构化记录，通过onAttempt回调输出；LLM_RESILIENCE_LOG=json 时逐行打印JSON到stderr
+ */
+
+import OpenAI from 'openai';
+import { sleep } from './asyncUtils.js';
+
+/**
+ * 判断错误是否值得重试（限流、超时、网络错误、服务端错误）
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (err instanceof OpenAI.APIUserAbortError) return false;
+  if (err instanceof OpenAI.APIConnectionError) return true; // 含超时
+  const status = err?.status;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * 判断错误是否应直接切换到备用模型（不在当前模型上重试）
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isModelUnavailable(err) {
+  return err?.code === 'model_not_found' || err?.code === 'model_not_supported';
+}
+
+/**
+ * 读取服务端建议的等待时间（retry-after-ms / retry-after）
+ * @param {Error} err
+ * @returns {number|null} 毫秒
+ */
+function retryAfterMs(err) {
+  const headers = err?.headers || {};
+  const ms = Number(headers['retry-after-ms']);
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const raw = headers['retry-after'];
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 计算第attempt次失败后的等待时间
+ * @param {number} attempt - 从1开始
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs=500] - 首次重试的基准等待时间，之后每次翻倍
+ * @param {number} [options.maxDelayMs=8000] - 等待时间上限
+ * @param {Error} [options.error] - 本次错误，带retry-after时优先使用
+ * @returns {number} 毫秒
+ */
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 8000, error } = {}) {
+  const hinted = retryAfterMs(error);
+  if (hinted !== null) return Math.min(hinted, maxDelayMs * 4);
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  // equal jitter：在[ceiling/2, ceiling]间随机，保留至少一半的退避时间，避免多个请求同时重试
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * 创建限流器（并发数 + 每分钟请求数）
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=Infinity] - 最大并发请求数
+ * @param {number} [options.requestsPerMinute=Infinity] - 每分钟最多发起的请求数
+ * @returns {Object} { acquire, stats }，acquire() 返回释放函数
+ */
+export function createRateLimiter({ concurrency = Infinity, requestsPerMinute = Infinity } = {}) {
+  let active = 0;
+  const waiting = [];
+  const startedAt = []; // 最近一分钟内的请求发起时间
+
+  const release = () => {
+    active--;
+    waiting.shift()?.();
+  };
+
+  async function acquire() {
+    for (;;) {
+      const now = Date.now();
+      while (startedAt.length && now - startedAt[0] >= 60 * 1000) startedAt.shift();
+      if (active < concurrency && startedAt.length < requestsPerMinute) {
+        active++;
+        startedAt.push(now);
+        let released = false;
+        return () => {
+          if (released) return;
+          released = true;
+          release();
+        };
+      }
+      if (active >= concurrency) {
+        await new Promise(resolve => waiting.push(resolve));
+      } else {
+        await sleep(60 * 1000 - (now - startedAt[0]));
+      }
+    }
+  }
+
+  return {
+    acquire,
+    stats: () => ({ active, waiting: waiting.length, lastMinute: startedAt.length })
+  };
+}
+
+// 进程内共享的限流器，键为「服务商:模型」
+const limiters = new Map();
+
+/**
+ * 获取（或按配置创建）某服务商某模型的限流器；同一个键只在首次获取时按配置创建
+ * @param {string} provider - profile名称
+ * @param {string} model - 脚本中的模型名
+ * @param {Object} [rateLimits] - { [模型名或'*']: { concurrency, requestsPerMinute } }
+ * @returns {Object} 限流器
+ */
+export function getRateLimiter(provider, model, rateLimits = {}) {
+  const key = `${provider}:${model}`;
+  if (!limiters.has(key)) limiters.set(key, createRateLimiter(rateLimits[model] || rateLimits['*']));
+  return limiters.get(key);
+}
+
+/**
+ * 缺省的尝试记录输出：LLM_RESILIENCE_LOG=json 时打印每次尝试，否则只提示重试和切换
+ * @param {Object} report - 尝试记录
+ */
+export function logAttempt(report) {
+  const mode = process.env.LLM_RESILIENCE_LOG;
+  if (mode === 'json') {
+    console.error(JSON.stringify(report));
+  } else if (mode !== 'off' && report.outcome !== 'ok') {
+    const next = { retry: `${report.delayMs}ms后重试`, fallback: `切换到 ${report.nextModel}`, failed: '放弃' }[report.outcome];
+    console.error(`[llm] ${report.model} 第${report.attempt}次请求失败（${report.error.message}），${next}`);
+  }
+}
+
+/**
+ * 创建重试/限流/备用模型中间件
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - 每个模型失败后最多重试次数
+ * @param {number} [options.baseDelayMs=500] - 首次重试的基准等待时间
+ * @param {number} [options.maxDelayMs=8000] - 等待时间上限
+ * @param {Object} [options.fallbacks={}] - 备用模型链，如 { 'qwen-plus': ['qwen-turbo'] }
+ * @param {Object} [options.rateLimits={}] - 限流配置，如 { '*': { concurrency: 8 }, 'qwen-max': { requestsPerMinute: 60 } }
+ * @param {Function} [options.onAttempt=logAttempt] - 每次尝试结束的回调 (report)
+ * @returns {Function} 中间件 (next, context) => create
+ *
+ * 由备用模型回答时，响应的 fallbackModel 为实际回答的模型名（脚本中的写法）
+ * 尝试记录字段：{ time, tag, provider, requestedModel, prompt, model, attempt, outcome: 'ok'|'retry'|'fallback'|'failed', latencyMs, delayMs, nextModel, error: { type, status, code, message } }
+ * 最终失败时抛出最后一个错误，error.attempts 为全部尝试记录
+ */
+export function createResilienceMiddleware({
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  fallbacks = {},
+  rateLimits = {},
+  onAttempt = logAttempt
+} = {}) {
+  return (next, context) => async (body, requestOptions = {}) => {
+    const models = [body.model, ...(fallbacks[body.model] || [])];
+    const attempts = [];
+    const report = entry => {
+      const full = {
+        time: new Date().toISOString(),
+        tag: requestOptions.tag || context.tag,
+        provider: context.profile.name,
+        requestedModel: body.model,
+        prompt: requestOptions.prompt,
+        ...entry
+      };
+      attempts.push(full);
+      onAttempt(full);
+    };
+
+    for (let m = 0; m < models.length; m++) {
+      const model = models[m];
+      const limiter = getRateLimiter(context.profile.name, model, rateLimits);
+      for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const releaseSlot = await limiter.acquire();
+        const startedAt = Date.now();
+        let response;
+        try {
+          response = await next({ ...body, model }, requestOptions);
+        } catch (err) {
+          releaseSlot();
+          const retryable = isRetryableError(err);
+          const switchModel = m < models.length - 1 && (isModelUnavailable(err) || (retryable && attempt > retries));
+          const outcome = retryable && attempt <= retries && !isModelUnavailable(err) ? 'retry' : switchModel ? 'fallback' : 'failed';
+          const delayMs = outcome === 'retry' ? backoffDelay(attempt, { baseDelayMs, maxDelayMs, error: err }) : 0;
+          report({
+            model,
+            attempt,
+            outcome,
+            latencyMs: Date.now() - startedAt,
+            delayMs,
+            nextModel: outcome === 'fallback' ? models[m + 1] : undefined,
+            error: { type: err.constructor.name, status: err.status, code: err.code, message: err.message }
+          });
+          if (outcome === 'failed') {
+            err.attempts = attempts;
+            throw err;
+          }
+          if (outcome === 'fallback') break;
+          await sleep(delayMs);
+          continue;
+        }
+
+        report({ model, attempt, outcome: 'ok', latencyMs: Date.now() - startedAt });
+        if (model !== body.model) response.fallbackModel = model;
+        if (!body.stream) {
+          releaseSlot();
+          return response;
+        }
+        // 流式响应在读取结束（或中途退出）后才释放并发名额；读取过程中的错误不重试
+        const iterate = response[Symbol.asyncIterator].bind(response);
+        response[Symbol.asyncIterator] = async function* () {
+          try {
+            yield* iterate();
+          } finally {
+            releaseSlot();
+          }
+        };
+        return response;
+      }
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createResilienceMiddleware } from './resilience.js';
+import { resolveProfile } from './initOpenAI.js';
+
+const context = { profile: { name: 'test' }, tag: 'test' };
+const notFound = () => Object.assign(new Error('model not found'), { status: 404, code: 'model_not_found' });
+
+test('未配置备用模型时不切换', async () => {
+  const handler = createResilienceMiddleware({ retries: 0, onAttempt: () => {} })(async () => { throw notFound(); }, context);
+  await assert.rejects(handler({ model: 'qwen-plus' }), /model not found/);
+});
+
+test('切换到备用模型时在响应上标出实际回答的模型', async () => {
+  const attempts = [];
+  const next = async body => {
+    if (body.model === 'qwen-plus') throw notFound();
+    return { model: body.model, choices: [] };
+  };
+  const handler = createResilienceMiddleware({ retries: 0, fallbacks: { 'qwen-plus': ['qwen-turbo'] }, onAttempt: a => attempts.push(a) })(next, context);
+  const response = await handler({ model: 'qwen-plus' });
+  assert.equal(response.fallbackModel, 'qwen-turbo');
+  assert.deepEqual(attempts.map(a => a.outcome), ['fallback', 'ok']);
+});
+
+test('临时错误按retries重试', async () => {
+  let calls = 0;
+  const next = async () => {
+    if (++calls < 3) throw Object.assign(new Error('busy'), { status: 503 });
+    return { choices: [] };
+  };
+  const handler = createResilienceMiddleware({ retries: 2, baseDelayMs: 1, maxDelayMs: 1, onAttempt: () => {} })(next, context);
+  const response = await handler({ model: 'qwen-plus' });
+  assert.equal(calls, 3);
+  assert.equal(response.fallbackModel, undefined);
+});
+
+test('内置profile默认不配置备用模型', () => {
+  const saved = process.env.LLM_FALLBACKS;
+  delete process.env.LLM_FALLBACKS;
+  try {
+    assert.deepEqual(resolveProfile('dashscope').fallbacks, {});
+    assert.deepEqual(resolveProfile('deepseek').fallbacks, {});
+  } finally {
+    if (saved !== undefined) process.env.LLM_FALLBACKS = saved;
+  }
+});
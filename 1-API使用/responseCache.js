@@ -0,0 +1,267 @@
+/**
+ * LLM响应的本地缓存
+ * 作为initOpenAI客户端的中间件，相同请求（同一服务商，且请求参数完全相同）直接返回磁盘上的响应，
+ * 调试提示词时避免反复请求百炼；录制后也可让Function Call等demo完全按缓存确定性回放
+ *
+ * 关键说明：
+ * - 默认关闭，通过 LLM_CACHE 或 initOpenAI({ cache: { mode } }) 开启：
+ *   on：有未过期的缓存就用，否则请求并写入；record：总是请求并覆盖缓存；replay：只用缓存（忽略过期时间），未命中直接报错
+ * - 每个请求一个JSON文件，位于 .cache/llm/（LLM_CACHE_DIR 可修改），LLM_CACHE_TTL 设置过期时间（如 12h、7d）
+ * - 流式请求缓存全部chunk，回放时按原顺序输出；中途退出或出错的流不写入
+ * - 位于重试和用量统计中间件之外：命中缓存时不会重试，也不计入用量
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '.cache', 'llm');
+export const CACHE_MODES = ['off', 'on', 'record', 'replay'];
+export const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * 解析时长，如 "30m"、"12h"、"7d"，纯数字按毫秒
+ * @param {string|number} [value]
+ * @returns {number|null} 毫秒，未提供时为null
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) throw new Error(`无法解析的时长: ${value}，示例: 30m、12h、7d`);
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+/**
+ * 计算请求的缓存key
+ * 关键说明：
+ * - 包含服务商（名称和地址），同名模型在不同服务商下的响应不会互相命中
+ * - 包含除 stream_options 外的全部请求参数（max_tokens、response_format、tool_choice、seed 等），参数顺序不影响结果
+ * @param {Object} body - chat.completions 请求体
+ * @param {Object} [context] - 中间件上下文 { profile }
+ * @returns {string} sha256十六进制
+ */
+export function cacheKey(body, context = {}) {
+  const { stream, stream_options: _streamOptions, ...params } = body;
+  const material = {
+    provider: context.profile?.name ?? null,
+    baseURL: context.profile?.baseURL ?? null,
+    stream: Boolean(stream), // 流式与非流式的缓存内容格式不同
+    params: Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(material)).digest('hex');
+}
+
+/**
+ * 取最后一条用户消息的摘要，便于list时辨认
+ * @param {Array} messages
+ * @returns {string}
+ */
+function previewOf(messages = []) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  const content = last?.content;
+  const text = typeof content === 'string'
+    ? content
+    : (content || []).map(part => part.type === 'text' ? part.text : `[${part.type}]`).join(' ');
+  return text.replace(/\s+/g, ' ').slice(0, 60);
+}
+
+/**
+ * 把缓存的chunk包装为可 for await 的流
+ * @param {Array} chunks
+ * @returns {AsyncIterable}
+ */
+function replayStream(chunks) {
+  return {
+    async* [Symbol.asyncIterator]() {
+      yield* chunks;
+    }
+  };
+}
+
+/**
+ * 创建响应缓存
+ * @param {Object} [options]
+ * @param {'off'|'on'|'record'|'replay'} [options.mode=process.env.LLM_CACHE||'off'] - 缓存模式
+ * @param {string} [options.dir=process.env.LLM_CACHE_DIR||DEFAULT_CACHE_DIR] - 缓存目录
+ * @param {number|string} [options.ttl=process.env.LLM_CACHE_TTL||DEFAULT_TTL_MS] - 过期时间（毫秒或 "12h" 这类时长）
+ * @returns {Object} { mode, dir, ttlMs, counters, get, set, middleware, list, stats, clear, prune }
+ */
+export function createResponseCache({
+  mode = process.env.LLM_CACHE || 'off',
+  dir = process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR,
+  ttl = process.env.LLM_CACHE_TTL
+} = {}) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`未知的缓存模式: ${mode}，可选值: ${CACHE_MODES.join(', ')}`);
+  }
+  const ttlMs = parseDuration(ttl) ?? DEFAULT_TTL_MS;
+  const counters = { hits: 0, misses: 0, writes: 0 };
+  const fileOf = key => path.join(dir, `${key}.json`);
+  const isExpired = (entry, now = Date.now()) => now - Date.parse(entry.createdAt) > ttlMs;
+
+  /**
+   * 读取缓存
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreTtl=false] - 忽略过期时间
+   * @returns {Object|null} 缓存条目
+   */
+  function get(key, { ignoreTtl = false } = {}) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(fileOf(key), 'utf-8'));
+    } catch {
+      return null; // 不存在或文件损坏都视为未命中
+    }
+    return ignoreTtl || !isExpired(entry) ? entry : null;
+  }
+
+  /**
+   * 写入缓存（先写临时文件再改名，避免并发进程读到半个文件）
+   * @param {string} key
+   * @param {Object} entry
+   */
+  function set(key, entry) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry, null, 2), 'utf-8');
+    fs.renameSync(tmp, fileOf(key));
+    counters.writes++;
+  }
+
+  /**
+   * 中间件：包装chat.completions.create
+   * @param {Function} next - 下一层create
+   * @param {Object} context - { profile, tag }
+   * @returns {Function}
+   */
+  function middleware(next, context) {
+    return async (body, requestOptions = {}) => {
+      if (mode === 'off') return next(body, requestOptions);
+      const key = cacheKey(body, context);
+
+      if (mode !== 'record') {
+        const entry = get(key, { ignoreTtl: mode === 'replay' });
+        if (entry) {
+          counters.hits++;
+          return entry.stream ? replayStream(entry.chunks) : entry.response;
+        }
+        counters.misses++;
+        if (mode === 'replay') {
+          const err = new Error(`缓存中没有该请求的响应（LLM_CACHE=replay，model=${body.model}，key=${key.slice(0, 12)}），请先用 LLM_CACHE=record 录制`);
+          err.code = 'cache_miss';
+          throw err;
+        }
+      }
+
+      const response = await next(body, requestOptions);
+      const meta = {
+        key,
+        createdAt: new Date().toISOString(),
+        provider: context.profile.name,
+        tag: requestOptions.tag || context.tag,
+        model: body.model,
+        prompt: requestOptions.prompt || null,
+        preview: previewOf(body.messages),
+        stream: Boolean(body.stream)
+      };
+      if (!body.stream) {
+        set(key, { ...meta, response });
+        return response;
+      }
+
+      // 流式响应：完整读取后再写入
+      const iterate = response[Symbol.asyncIterator].bind(response);
+      response[Symbol.asyncIterator] = async function* () {
+        const chunks = [];
+        for await (const chunk of iterate()) {
+          chunks.push(chunk);
+          yield chunk;
+        }
+        set(key, { ...meta, chunks });
+      };
+      return response;
+    };
+  }
+
+  /**
+   * 列出缓存条目（不含响应内容），按创建时间倒序
+   * @returns {Array<Object>} [{ key, createdAt, provider, tag, model, prompt, preview, stream, expired, bytes }]
+   */
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    const now = Date.now();
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(dir, name);
+        try {
+          const { response, chunks, ...entry } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+          return { ...entry, expired: isExpired(entry, now), bytes: fs.statSync(file).size };
+        } catch {
+          return { key: name.replace(/\.json$/, ''), createdAt: new Date(0).toISOString(), broken: true, expired: true, bytes: fs.statSync(file).size };
+        }
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 缓存统计
+   * @returns {Object} { dir, mode, ttlMs, entries, expired, bytes, byModel }
+   */
+  function stats() {
+    const entries = list();
+    const byModel = {};
+    entries.forEach(e => { byModel[e.model || '-'] = (byModel[e.model || '-'] || 0) + 1; });
+    return {
+      dir,
+      mode,
+      ttlMs,
+      entries: entries.length,
+      expired: entries.filter(e => e.expired).length,
+      bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+      byModel
+    };
+  }
+
+  /**
+   * 删除缓存条目，不带条件时清空
+   * @param {Object} [filter]
+   * @param {string[]} [filter.keys] - 指定key（可只写前缀）
+   * @param {string} [filter.model] - 只删该模型
+   * @param {string} [filter.tag] - 只删该调用方
+   * @param {number|string} [filter.olderThan] - 只删早于该时长的条目（如 "1d"）
+   * @returns {number} 删除数量
+   */
+  function clear({ keys, model, tag, olderThan } = {}) {
+    const olderThanMs = parseDuration(olderThan);
+    const now = Date.now();
+    const targets = list().filter(e =>
+      (!keys?.length || keys.some(k => e.key.startsWith(k)))
+      && (!model || e.model === model)
+      && (!tag || e.tag === tag)
+      && (olderThanMs === null || now - Date.parse(e.createdAt) > olderThanMs));
+    targets.forEach(e => fs.rmSync(fileOf(e.key), { force: true }));
+    return targets.length;
+  }
+
+  return {
+    mode,
+    dir,
+    ttlMs,
+    counters,
+    get,
+    set,
+    middleware,
+    list,
+    stats,
+    clear,
+    prune: () => clear({ olderThan: ttlMs })
+  };
+}
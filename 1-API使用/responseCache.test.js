@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createResponseCache, cacheKey } from './responseCache.js';
+
+const context = { profile: { name: 'mock', baseURL: 'http://127.0.0.1:11435/v1' }, tag: 'test' };
+const body = { model: 'qwen-plus', messages: [{ role: 'user', content: '你好' }] };
+
+/**
+ * 在临时目录创建缓存，返回 { cache, dir }
+ */
+function tempCache(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+  return { cache: createResponseCache({ dir, ...options }), dir };
+}
+
+/**
+ * 计数的下一层create，非流式返回带序号的响应，流式返回三个chunk
+ */
+function countingNext() {
+  const next = async request => {
+    next.calls++;
+    if (!request.stream) return { id: `resp-${next.calls}` };
+    const chunks = ['你', '好', '！'].map(text => ({ choices: [{ delta: { content: text } }] }));
+    return { async* [Symbol.asyncIterator]() { yield* chunks; } };
+  };
+  next.calls = 0;
+  return next;
+}
+
+test('cacheKey 区分服务商和全部请求参数，忽略参数顺序和 stream_options', () => {
+  const key = cacheKey(body, context);
+  assert.notEqual(cacheKey(body, { profile: { name: 'dashscope', baseURL: 'https://dashscope.aliyuncs.com/compatible-mode/v1' } }), key);
+  ['max_tokens', 'top_p', 'seed'].forEach(param => assert.notEqual(cacheKey({ ...body, [param]: 1 }, context), key));
+  assert.notEqual(cacheKey({ ...body, response_format: { type: 'json_object' } }, context), key);
+  assert.notEqual(cacheKey({ ...body, tool_choice: 'none' }, context), key);
+  assert.notEqual(cacheKey({ ...body, parallel_tool_calls: false }, context), key);
+  assert.notEqual(cacheKey({ ...body, stream: true }, context), key);
+  assert.equal(cacheKey({ messages: body.messages, model: body.model }, context), key);
+  assert.equal(cacheKey({ ...body, stream: true, stream_options: { include_usage: true } }, context), cacheKey({ ...body, stream: true }, context));
+});
+
+test('on 模式命中缓存后不再请求，不同服务商不互相命中', async () => {
+  const { cache, dir } = tempCache({ mode: 'on' });
+  const next = countingNext();
+  const create = cache.middleware(next, context);
+  assert.deepEqual(await create(body), { id: 'resp-1' });
+  assert.deepEqual(await create(body), { id: 'resp-1' });
+  assert.deepEqual(await cache.middleware(next, { ...context, profile: { name: 'dashscope' } })(body), { id: 'resp-2' });
+  assert.deepEqual(cache.counters, { hits: 1, misses: 2, writes: 2 });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('过期的条目视为未命中，replay 模式忽略过期时间', async () => {
+  const { cache, dir } = tempCache({ mode: 'on', ttl: '1h' });
+  const next = countingNext();
+  await cache.middleware(next, context)(body);
+  const key = cacheKey(body, context);
+  cache.set(key, { ...cache.get(key), createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+  assert.equal(cache.get(key), null);
+  assert.equal(cache.prune(), 1);
+
+  await cache.middleware(next, context)(body);
+  cache.set(key, { ...cache.get(key), createdAt: new Date(0).toISOString() });
+  const replay = createResponseCache({ dir, mode: 'replay', ttl: '1h' });
+  assert.deepEqual(await replay.middleware(next, context)(body), { id: 'resp-2' });
+  assert.equal(next.calls, 2);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('record 模式总是请求并覆盖，replay 未命中时报错', async () => {
+  const { cache, dir } = tempCache({ mode: 'record' });
+  const next = countingNext();
+  await cache.middleware(next, context)(body);
+  assert.deepEqual(await cache.middleware(next, context)(body), { id: 'resp-2' });
+  assert.equal(cache.get(cacheKey(body, context)).response.id, 'resp-2');
+
+  const replay = createResponseCache({ dir, mode: 'replay' }).middleware(next, context);
+  await assert.rejects(replay({ ...body, max_tokens: 10 }), err => err.code === 'cache_miss');
+  assert.equal(next.calls, 2);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('流式响应读完后写入，回放时按原顺序输出全部chunk', async () => {
+  const { cache, dir } = tempCache({ mode: 'on' });
+  const next = countingNext();
+  const create = cache.middleware(next, context);
+  const read = async stream => {
+    const texts = [];
+    for await (const chunk of stream) texts.push(chunk.choices[0].delta.content);
+    return texts.join('');
+  };
+  const request = { ...body, stream: true };
+  assert.equal(await read(await create(request)), '你好！');
+  assert.equal(await read(await create({ ...request, stream_options: { include_usage: true } })), '你好！');
+  assert.equal(next.calls, 1);
+  assert.equal(cache.list()[0].stream, true);
+  fs.rmSync(dir, { recursive: true });
+});
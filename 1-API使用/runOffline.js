@@ -0,0 +1,80 @@
+/**
+ * 离线运行API demo
+ * 启动本地模拟LLM服务，并以 LLM_PROVIDER=mock 依次运行demo脚本，适合在CI中执行
+ *
+ * 使用方式：
+ *   node runOffline.js                               # 运行所有编号demo
+ *   node runOffline.js 2-天气-FunctionCall-Qwen.js   # 只运行指定demo
+ *
+ * 任一demo退出码非0，或存在未命中fixture的请求时，进程以非0退出
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMockServer } from './mockServer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEMO_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * 在子进程中运行单个demo
+ * @param {string} file - demo文件名
+ * @param {Object} env - 环境变量
+ * @returns {Promise<{file: string, code: number, output: string}>}
+ */
+function runDemo(file, env) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(__dirname, file)], { cwd: __dirname, env });
+    let output = '';
+    child.stdout.on('data', data => { output += data; });
+    child.stderr.on('data', data => { output += data; });
+
+    const timer = setTimeout(() => {
+      output += `\n运行超时（${DEMO_TIMEOUT_MS}ms），已终止`;
+      child.kill();
+    }, DEMO_TIMEOUT_MS);
+
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ file, code: code ?? 1, output });
+    });
+  });
+}
+
+async function main() {
+  const demos = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(__dirname).filter(f => /^\d.*\.js$/.test(f)).sort();
+
+  const mock = await startMockServer({ port: 0, quiet: true });
+  const env = { ...process.env, LLM_PROVIDER: 'mock', MOCK_LLM_BASE_URL: mock.url };
+
+  const results = [];
+  try {
+    for (const file of demos) {
+      console.log(`▶ ${file}`);
+      const result = await runDemo(file, env);
+      results.push(result);
+      console.log(result.output.trim().split('\n').map(line => `  ${line}`).join('\n'));
+      console.log(result.code === 0 ? '  ✔ 通过' : `  ✘ 失败（退出码 ${result.code}）`);
+    }
+  } finally {
+    await mock.close();
+  }
+
+  const failed = results.filter(r => r.code !== 0);
+  console.log('------------------------');
+  console.log(`demo: ${results.length - failed.length}/${results.length} 通过，模拟请求 ${mock.stats.requests} 次，未命中fixture ${mock.stats.misses.length} 次`);
+  mock.stats.misses.forEach(miss => console.log(`  未命中 key=${miss.key}:`, JSON.stringify(miss.request.messages.at(-1))));
+
+  if (failed.length || mock.stats.misses.length) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('离线运行出错:', err);
+  process.exitCode = 1;
+});
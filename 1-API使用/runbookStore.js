@@ -0,0 +1,154 @@
+/**
+ * 运维预案（Runbook）库
+ * 读取本地markdown预案，按章节切分并建立检索，供运维智能体查找应急预案和运维文档
+ *
+ * 关键技术点：
+ * 1. 以二级及以下标题切分章节，每个章节有稳定的引用标识：文件名#章节标题
+ * 2. 中文按字符二元组（bigram）切词，英文按单词切词，使用BM25打分，无需额外依赖
+ * 3. 提供从智能体对话记录中汇总引用的工具函数，保证最终答复列出所用预案
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RUNBOOK_DIR = path.join(__dirname, 'runbooks');
+
+/**
+ * 切词：中文字符二元组 + 英文/数字单词
+ * @param {string} text - 文本
+ * @returns {string[]} 词列表
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const lower = text.toLowerCase();
+  (lower.match(/[a-z0-9_]+/g) || []).forEach(word => tokens.push(word));
+  (lower.match(/[一-鿿]+/g) || []).forEach(run => {
+    if (run.length === 1) tokens.push(run);
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  });
+  return tokens;
+}
+
+/**
+ * 将markdown文档切分为章节
+ * @param {string} file - 文件名（用于生成引用标识）
+ * @param {string} markdown - 文档内容
+ * @returns {Array<Object>} 章节列表 { ref, document, heading, content }
+ */
+export function splitSections(file, markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const titleLine = lines.find(line => /^#\s+/.test(line));
+  const document = titleLine ? titleLine.replace(/^#\s+/, '').trim() : path.basename(file, '.md');
+
+  const sections = [];
+  let current = { heading: '概述', lines: [] };
+  const flush = () => {
+    const content = current.lines.join('\n').trim();
+    if (content) sections.push({ ref: `${file}#${current.heading}`, document, heading: current.heading, content });
+  };
+
+  lines.forEach(line => {
+    const match = line.match(/^#{2,6}\s+(.+)$/);
+    if (match) {
+      flush();
+      current = { heading: match[1].trim(), lines: [] };
+    } else if (line !== titleLine) {
+      current.lines.push(line);
+    }
+  });
+  flush();
+  return sections;
+}
+
+/**
+ * 创建预案库
+ * @param {Object} [options]
+ * @param {string} [options.dir] - 预案目录，默认为 ./runbooks
+ * @returns {{ sections: Array, search: Function, get: Function }}
+ */
+export function createRunbookStore({ dir = process.env.RUNBOOK_DIR || DEFAULT_RUNBOOK_DIR } = {}) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort() : [];
+  const sections = files.flatMap(file => splitSections(file, fs.readFileSync(path.join(dir, file), 'utf-8')));
+
+  // 标题和文档名重复计入，提高命中标题的权重
+  const docs = sections.map(section => {
+    const tokens = tokenize(`${section.document} ${section.heading} ${section.heading} ${section.content}`);
+    const tf = new Map();
+    tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+    return { section, tf, length: tokens.length };
+  });
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  const df = new Map();
+  docs.forEach(doc => doc.tf.forEach((_, token) => df.set(token, (df.get(token) || 0) + 1)));
+
+  /**
+   * 检索相关章节（BM25）
+   * @param {string} query - 查询文本（如告警内容）
+   * @param {Object} [options]
+   * @param {number} [options.limit=3] - 返回数量
+   * @returns {Array<Object>} { ref, document, heading, content, score }
+   */
+  function search(query, { limit = 3 } = {}) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const queryTokens = [...new Set(tokenize(query))];
+    return docs
+      .map(doc => {
+        const score = queryTokens.reduce((sum, token) => {
+          const freq = doc.tf.get(token);
+          if (!freq) return sum;
+          const idf = Math.log(1 + (docs.length - df.get(token) + 0.5) / (df.get(token) + 0.5));
+          return sum + idf * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * doc.length / avgLength));
+        }, 0);
+        return { ...doc.section, score: Number(score.toFixed(3)) };
+      })
+      .filter(item => item.score > 0)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit);
+  }
+
+  return {
+    sections,
+    search,
+    get: ref => sections.find(section => section.ref === ref) || null
+  };
+}
+
+/**
+ * 从runAgent的结果中汇总检索到的预案引用
+ * @param {Object} result - runAgent的返回值
+ * @param {string} [toolName='searchRunbook'] - 预案检索工具名
+ * @returns {Array<{ref: string, document: string, heading: string}>} 去重后的引用，按首次出现排序
+ */
+export function collectRunbookReferences(result, toolName = 'searchRunbook') {
+  const refs = new Map();
+  result.turns.flatMap(turn => turn.toolResults)
+    .filter(toolResult => toolResult.name === toolName && !toolResult.error)
+    .forEach(toolResult => {
+      JSON.parse(toolResult.content).sections?.forEach(({ ref, document, heading }) => {
+        if (!refs.has(ref)) refs.set(ref, { ref, document, heading });
+      });
+    });
+  return [...refs.values()];
+}
+
+/**
+ * 确保最终答复列出所用预案
+ * 关键说明：
+ * - 答复中已引用的章节（[文件名#章节]）优先列出；模型未显式引用时列出全部检索到的章节
+ * - 答复已包含「参考预案」段落时不重复追加
+ * @param {string} content - 模型最终答复
+ * @param {Array} references - collectRunbookReferences的结果
+ * @returns {string} 带参考预案列表的答复
+ */
+export function appendRunbookReferences(content, references) {
+  if (!references.length || /参考预案/.test(content || '')) return content;
+  const cited = references.filter(item => content?.includes(item.ref));
+  const list = (cited.length ? cited : references)
+    .map(item => `- [${item.ref}] ${item.document} / ${item.heading}`)
+    .join('\n');
+  return `${content || ''}\n\n参考预案：\n${list}`;
+}
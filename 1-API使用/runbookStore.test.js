@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenize, splitSections, createRunbookStore, appendRunbookReferences } from './runbookStore.js';
+
+test('tokenize 中文按二元组、英文按单词切分', () => {
+  assert.deepEqual(tokenize('MySQL连接数告警'), ['mysql', '连接', '接数', '数告', '告警']);
+  assert.deepEqual(tokenize('主 库'), ['主', '库']);
+});
+
+test('splitSections 按二级及以下标题切分并生成引用标识', () => {
+  const sections = splitSections('db.md', '# 数据库预案\n前言\n## 连接数打满\n提高上限\n### 回滚\n恢复配置\n## 空章节\n');
+  assert.deepEqual(sections.map(section => [section.ref, section.document, section.content]), [
+    ['db.md#概述', '数据库预案', '前言'],
+    ['db.md#连接数打满', '数据库预案', '提高上限'],
+    ['db.md#回滚', '数据库预案', '恢复配置']
+  ]);
+});
+
+test('search 按BM25排序，命中标题的章节优先，无关查询没有结果', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbooks-'));
+  fs.writeFileSync(path.join(dir, 'a.md'), '# 连接预案\n## 连接数打满\n检查应用连接池配置，必要时提高max_connections。\n## 慢查询\n连接池正常时检查慢查询日志。\n');
+  fs.writeFileSync(path.join(dir, 'b.md'), '# 主备切换\n## 主库宕机\n确认主库不可用后切换到备库。\n');
+  const store = createRunbookStore({ dir });
+  try {
+    const results = store.search('连接数打满告警');
+    assert.equal(results[0].ref, 'a.md#连接数打满');
+    assert.ok(results.every((item, i) => i === 0 || item.score <= results[i - 1].score));
+    assert.equal(store.search('主库宕机', { limit: 1 })[0].ref, 'b.md#主库宕机');
+    assert.deepEqual(store.search('磁盘空间'), []);
+    assert.equal(store.get('b.md#主库宕机').document, '主备切换');
+    assert.equal(store.get('b.md#不存在'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('appendRunbookReferences 优先列出答复中引用的章节', () => {
+  const references = [{ ref: 'a.md#连接数打满', document: '连接预案', heading: '连接数打满' }, { ref: 'b.md#主库宕机', document: '主备切换', heading: '主库宕机' }];
+  assert.equal(appendRunbookReferences('按 [b.md#主库宕机] 处理', references), '按 [b.md#主库宕机] 处理\n\n参考预案：\n- [b.md#主库宕机] 主备切换 / 主库宕机');
+  assert.match(appendRunbookReferences('已处理', references), /a\.md#连接数打满[\s\S]*b\.md#主库宕机/);
+  assert.equal(appendRunbookReferences('参考预案：略', references), '参考预案：略');
+});
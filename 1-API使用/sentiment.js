@@ -0,0 +1,89 @@
+/**
+ * 情感分类
+ * 使用舆情分析师提示词模板（prompts/sentiment），调用大模型判断产品口碑的正负向，并把模型输出归一化为固定标签
+ */
+
+import { initOpenAI } from './initOpenAI.js';
+import { renderPrompt } from './promptTemplates.js';
+
+export const SENTIMENT_LABELS = ['正向', '负向'];
+
+// 模型输出不在允许标签内时使用
+export const UNKNOWN_LABEL = '未识别';
+
+export const SENTIMENT_PROMPT = 'sentiment';
+
+/**
+ * 常见的同义输出，含否定说法（如「不满意」「不积极」）
+ */
+const LABEL_ALIASES = {
+  负向: ['负向', '负面', '消极', '差评', '不满意', '不满', '不积极', '不正面', '不正向', '不好', 'negative', 'notpositive'],
+  正向: ['正向', '正面', '积极', '好评', '满意', 'positive']
+};
+
+// 长的说法优先匹配，避免「不满意」再被「满意」匹配一次
+const ALIAS_LIST = Object.entries(LABEL_ALIASES)
+  .flatMap(([label, words]) => words.map(word => ({ label, word })))
+  .sort((a, b) => b.word.length - a.word.length);
+
+/**
+ * 将模型输出归一化为允许的标签
+ * 关键说明：
+ * - 去掉deepseek-r1可能输出的<think>思考内容、标点和空白
+ * - 完全匹配优先，其次按同义词匹配：从最长的说法开始，匹配到的文字不再参与后续匹配；同时出现正负向时视为无法识别
+ * @param {string} text - 模型输出
+ * @param {string[]} [labels=SENTIMENT_LABELS] - 允许的标签
+ * @returns {string|null} 归一化后的标签，无法识别时为null
+ */
+export function normalizeLabel(text, labels = SENTIMENT_LABELS) {
+  if (!text) return null;
+  const cleaned = text.replace(/<think>[\s\S]*?<\/think>/g, '').replace(/[\s"'“”‘’。，,.!！:：*`]/g, '');
+  if (labels.includes(cleaned)) return cleaned;
+  let rest = cleaned.toLowerCase();
+  const matched = new Set();
+  ALIAS_LIST.forEach(({ label, word }) => {
+    if (!labels.includes(label) || !rest.includes(word)) return;
+    matched.add(label);
+    rest = rest.split(word).join('|');
+  });
+  return matched.size === 1 ? [...matched][0] : null;
+}
+
+/**
+ * 判断单条文本的情感
+ * @param {string} text - 待分类文本
+ * @param {Object} [options]
+ * @param {OpenAI} [options.client] - 客户端，缺省为initOpenAI()
+ * @param {string} [options.model='qwen-plus'] - 模型名
+ * @param {string} [options.prompt='sentiment'] - 提示词模板，可带版本如 sentiment@v2（未带版本时按LLM_PROMPT_VERSION / LLM_PROMPT_AB选择，A/B按文本分流）
+ * @param {string} [options.systemPrompt] - 直接指定系统提示词，不使用模板
+ * @param {string[]} [options.labels] - 允许的标签
+ * @returns {Promise<{label: string, raw: string, usage: Object, prompt: string, model: string}>} label无法识别时为UNKNOWN_LABEL；prompt为模板版本（如 sentiment@v1），直接指定系统提示词时为 custom；
+ *   model为实际回答的模型（开启备用模型且发生切换时与请求的模型不同）
+ */
+export async function classifySentiment(text, {
+  client = initOpenAI(),
+  model = 'qwen-plus',
+  prompt = SENTIMENT_PROMPT,
+  systemPrompt,
+  labels = SENTIMENT_LABELS
+} = {}) {
+  const rendered = systemPrompt
+    ? { messages: [{ role: "system", content: systemPrompt }], prompt: { id: 'custom' } }
+    : renderPrompt(prompt, { abKey: text, vars: labels === SENTIMENT_LABELS ? {} : { labels: labels.join(' 或者 ') } });
+  const completion = await client.chat.completions.create({
+    model,
+    messages: [
+      ...rendered.messages,
+      { role: "user", content: text }
+    ]
+  }, { prompt: rendered.prompt.id });
+  const raw = completion.choices[0].message.content || '';
+  return {
+    label: normalizeLabel(raw, labels) || UNKNOWN_LABEL,
+    raw,
+    usage: completion.usage,
+    prompt: rendered.prompt.id,
+    model: completion.fallbackModel || model
+  };
+}
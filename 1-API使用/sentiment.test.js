@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLabel } from './sentiment.js';
+
+test('normalizeLabel 完全匹配和同义词', () => {
+  assert.equal(normalizeLabel('正向'), '正向');
+  assert.equal(normalizeLabel('“负向”。'), '负向');
+  assert.equal(normalizeLabel('<think>可能是负面</think>正面'), '正向');
+  assert.equal(normalizeLabel('Positive'), '正向');
+  assert.equal(normalizeLabel('好评'), '正向');
+  assert.equal(normalizeLabel('差评'), '负向');
+});
+
+test('normalizeLabel 否定说法判为负向', () => {
+  assert.equal(normalizeLabel('不满意'), '负向');
+  assert.equal(normalizeLabel('用户不积极'), '负向');
+  assert.equal(normalizeLabel('不好'), '负向');
+  assert.equal(normalizeLabel('not positive'), '负向');
+});
+
+test('normalizeLabel 无法识别时返回null', () => {
+  assert.equal(normalizeLabel(''), null);
+  assert.equal(normalizeLabel('中性'), null);
+  assert.equal(normalizeLabel('正面和负面都有'), null);
+  assert.equal(normalizeLabel('满意', ['负向']), null);
+});
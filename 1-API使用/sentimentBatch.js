@@ -0,0 +1,154 @@
+/**
+ * 批量情感分析
+ * 从CSV/XLSX/JSONL读取评论，以有限并发调用大模型逐条判断正负向，输出带标签的文件和标签分布汇总
+ *
+ * 使用方式：
+ *   node sentimentBatch.js data/reviews-sample.csv
+ *   node sentimentBatch.js reviews.xlsx --column 评论内容 --concurrency 8 --retries 3 --output output/reviews.labeled.xlsx
+ *
+ * 参数：
+ *   --column       评论所在列，缺省自动选择（评论/内容/text/review/comment，或第一列）
+ *   --output       输出文件，缺省为 output/<输入文件名>.labeled.<扩展名>，格式按扩展名决定
+ *   --concurrency  并发数，默认4
+ *   --retries      单条遇到临时错误（429、超时、5xx）时的重试次数，默认2，由客户端的重试中间件执行
+ *   --model        模型名，默认qwen-plus
+ *   --sheet        XLSX工作表名，缺省为第一个
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { initOpenAI } from './initOpenAI.js';
+import { classifySentiment, SENTIMENT_LABELS, UNKNOWN_LABEL } from './sentiment.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { readTable, writeTable } from './tableFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 输出文件中追加的列
+export const OUTPUT_COLUMNS = { label: '情感标签', raw: '模型原始输出', prompt: '提示词版本', error: '错误信息' };
+
+const TEXT_COLUMN_CANDIDATES = ['评论', '评论内容', '内容', '文本', 'text', 'review', 'comment', 'content'];
+
+/**
+ * 自动选择文本列
+ * @param {Array<Object>} rows - 行数据
+ * @param {string} [column] - 指定的列名
+ * @returns {string}
+ */
+export function pickTextColumn(rows, column) {
+  const headers = Object.keys(rows[0] || {});
+  if (column) {
+    if (!headers.includes(column)) throw new Error(`输入文件中没有列: ${column}，可用列: ${headers.join(', ')}`);
+    return column;
+  }
+  return headers.find(h => TEXT_COLUMN_CANDIDATES.includes(h.toLowerCase())) || headers[0];
+}
+
+/**
+ * 统计标签分布
+ * @param {Array<Object>} rows - 已标注的行
+ * @returns {Object} { total, counts: { 正向: n, ... }, ratios: { 正向: 0.5, ... } }
+ */
+export function summarizeLabels(rows) {
+  const counts = Object.fromEntries([...SENTIMENT_LABELS, UNKNOWN_LABEL].map(label => [label, 0]));
+  rows.forEach(row => { counts[row[OUTPUT_COLUMNS.label]] = (counts[row[OUTPUT_COLUMNS.label]] || 0) + 1; });
+  const total = rows.length;
+  const ratios = Object.fromEntries(Object.entries(counts).map(([label, n]) => [label, total ? Number((n / total).toFixed(4)) : 0]));
+  return { total, counts, ratios };
+}
+
+/**
+ * 批量分类
+ * @param {Array<Object>} rows - 输入行
+ * @param {Object} options
+ * @param {string} options.column - 文本列
+ * @param {number} [options.concurrency=4] - 并发数
+ * @param {number} [options.retries=2] - 临时错误的重试次数，用于缺省创建的客户端（传入client时以client的配置为准）
+ * @param {string} [options.model] - 模型名
+ * @param {OpenAI} [options.client] - 客户端
+ * @param {Function} [options.onProgress] - 进度回调 (done, total)
+ * @returns {Promise<Array<Object>>} 追加了标签列的行
+ */
+export async function classifyRows(rows, { column, concurrency = 4, retries = 2, model, client = initOpenAI({ maxRetries: retries }), onProgress = () => {} }) {
+  let done = 0;
+  return mapWithConcurrency(rows, concurrency, async row => {
+    const text = String(row[column] ?? '').trim();
+    const output = { ...row, [OUTPUT_COLUMNS.label]: UNKNOWN_LABEL, [OUTPUT_COLUMNS.raw]: '', [OUTPUT_COLUMNS.prompt]: '', [OUTPUT_COLUMNS.error]: '' };
+    if (text) {
+      try {
+        const result = await classifySentiment(text, { client, model });
+        output[OUTPUT_COLUMNS.label] = result.label;
+        output[OUTPUT_COLUMNS.raw] = result.raw;
+        output[OUTPUT_COLUMNS.prompt] = result.prompt;
+      } catch (err) {
+        output[OUTPUT_COLUMNS.error] = err.message;
+      }
+    } else {
+      output[OUTPUT_COLUMNS.error] = '文本为空';
+    }
+    onProgress(++done, rows.length);
+    return output;
+  });
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      column: { type: 'string' },
+      output: { type: 'string' },
+      concurrency: { type: 'string', default: '4' },
+      retries: { type: 'string', default: '2' },
+      model: { type: 'string', default: 'qwen-plus' },
+      sheet: { type: 'string' }
+    }
+  });
+  const input = positionals[0];
+  if (!input) {
+    console.error('用法: node sentimentBatch.js <输入文件.csv|.xlsx|.jsonl> [--column 列名] [--output 输出文件] [--concurrency 4] [--retries 2] [--model qwen-plus]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const rows = readTable(input, { sheet: values.sheet });
+  const column = pickTextColumn(rows, values.column);
+  const ext = path.extname(input);
+  const output = values.output || path.join(__dirname, 'output', `${path.basename(input, ext)}.labeled${ext}`);
+  console.log(`读取 ${rows.length} 条记录，文本列: ${column}，并发: ${values.concurrency}`);
+
+  const startedAt = Date.now();
+  const labeled = await classifyRows(rows, {
+    column,
+    model: values.model,
+    concurrency: Number(values.concurrency),
+    retries: Number(values.retries),
+    onProgress: (done, total) => {
+      if (done === total || done % 50 === 0) console.log(`进度: ${done}/${total}`);
+    }
+  });
+
+  writeTable(output, labeled, { sheet: 'labeled' });
+  const summary = { input, output, column, model: values.model, durationMs: Date.now() - startedAt, ...summarizeLabels(labeled) };
+  const summaryFile = output.replace(/\.[^.]+$/, '.summary.json');
+  fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2), 'utf-8');
+
+  console.log('------------------------');
+  console.log('标签分布:');
+  Object.entries(summary.counts).forEach(([label, n]) => {
+    console.log(`  ${label}: ${n}（${(summary.ratios[label] * 100).toFixed(1)}%）`);
+  });
+  const failed = labeled.filter(row => row[OUTPUT_COLUMNS.error]).length;
+  if (failed) console.log(`  失败: ${failed} 条，见「${OUTPUT_COLUMNS.error}」列`);
+  console.log(`输出文件: ${output}`);
+  console.log(`汇总文件: ${summaryFile}`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error('批量情感分析出错:', err);
+    process.exitCode = 1;
+  });
+}
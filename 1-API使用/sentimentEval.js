@@ -0,0 +1,290 @@
+/**
+ * 情感分析评测
+ * 用带人工标注（gold label）的数据集，对比不同模型 × 提示词组合的效果，
+ * 输出准确率、混淆矩阵、延迟和token费用，并生成Markdown / HTML对比报告
+ *
+ * 使用方式：
+ *   node sentimentEval.js                                          # 默认配置 data/sentiment-eval.config.json
+ *   node sentimentEval.js --config my-eval.json --limit 200 --out output/eval
+ *
+ * 配置文件格式：
+ *   {
+ *     "dataset": "sentiment-gold.jsonl",          // 相对配置文件所在目录，支持CSV/XLSX/JSONL
+ *     "textField": "text", "labelField": "label",
+ *     "concurrency": 4,
+ *     "models": [{ "model": "qwen-plus" }, { "model": "deepseek-r1", "provider": "dashscope" }],
+ *     "prompts": [{ "template": "sentiment@v1" }, { "template": "sentiment@v2" }, { "id": "adhoc", "system": "你是一名舆情分析师……" }]
+ *   }
+ *   prompts中 template 引用提示词模板（prompts/目录，见promptTemplates.js），id缺省为模板版本；也可用 system 直接写提示词做临时对比
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { initOpenAI } from './initOpenAI.js';
+import { classifySentiment, SENTIMENT_LABELS, UNKNOWN_LABEL } from './sentiment.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { readTable } from './tableFile.js';
+import { estimateCost, currentPriceTable } from './pricing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CONFIG = path.join(__dirname, 'data', 'sentiment-eval.config.json');
+
+/**
+ * 计算分位数
+ * @param {number[]} values
+ * @param {number} p - 0~1
+ * @returns {number}
+ */
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * 构造混淆矩阵：行为人工标注，列为模型预测（含「未识别」列）
+ * @param {Array<{gold: string, predicted: string}>} records
+ * @param {string[]} labels - 标签集合
+ * @returns {Object} { [gold]: { [predicted]: count } }
+ */
+export function confusionMatrix(records, labels = SENTIMENT_LABELS) {
+  const columns = [...labels, UNKNOWN_LABEL];
+  const matrix = Object.fromEntries(labels.map(gold => [gold, Object.fromEntries(columns.map(p => [p, 0]))]));
+  records.forEach(({ gold, predicted }) => {
+    if (matrix[gold]) matrix[gold][predicted in matrix[gold] ? predicted : UNKNOWN_LABEL]++;
+  });
+  return matrix;
+}
+
+/**
+ * 按每条记录实际回答的模型累计费用，价格表与用量统计一致（含 LLM_PRICE_TABLE 覆盖）
+ * @param {Array<Object>} records
+ * @param {string} model - 请求的模型名
+ * @returns {number|null} 有模型不在价格表中时为null
+ */
+function totalCost(records, model) {
+  const costs = records.filter(r => r.usage).map(r => estimateCost(r.model || model, r.usage, currentPriceTable()));
+  if (costs.includes(null)) return null;
+  return Number(costs.reduce((a, b) => a + b, 0).toFixed(6));
+}
+
+/**
+ * 汇总单个模型 × 提示词组合的指标
+ * @param {Array<Object>} records - { gold, predicted, latencyMs, usage, error, model }，model为实际回答的模型
+ * @param {string} model - 请求的模型名
+ * @returns {Object} { total, accuracy, unknownRate, errors, fallbacks, latency, usage, cost, confusion }，fallbacks为由备用模型回答的条数，费用按实际回答的模型计算
+ */
+export function evaluateRecords(records, model) {
+  const total = records.length;
+  const correct = records.filter(r => r.predicted === r.gold).length;
+  const latencies = records.filter(r => !r.error).map(r => r.latencyMs);
+  const usage = records.reduce((sum, r) => ({
+    prompt_tokens: sum.prompt_tokens + (r.usage?.prompt_tokens || 0),
+    completion_tokens: sum.completion_tokens + (r.usage?.completion_tokens || 0)
+  }), { prompt_tokens: 0, completion_tokens: 0 });
+
+  return {
+    total,
+    accuracy: total ? correct / total : 0,
+    unknownRate: total ? records.filter(r => r.predicted === UNKNOWN_LABEL).length / total : 0,
+    errors: records.filter(r => r.error).length,
+    fallbacks: records.filter(r => r.model && r.model !== model).length,
+    latency: {
+      avgMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
+      p95Ms: percentile(latencies, 0.95)
+    },
+    usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens },
+    cost: totalCost(records, model),
+    confusion: confusionMatrix(records)
+  };
+}
+
+/**
+ * 读取评测配置，数据集路径相对配置文件解析
+ * @param {string} file - 配置文件路径
+ * @returns {Object}
+ */
+export function loadEvalConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!config.models?.length || !config.prompts?.length) throw new Error(`评测配置缺少models或prompts: ${file}`);
+  const prompts = config.prompts.map(prompt => {
+    if (!prompt.template && !prompt.system) throw new Error(`评测配置的prompts需提供template或system: ${JSON.stringify(prompt)}`);
+    return { ...prompt, id: prompt.id || prompt.template };
+  });
+  return { textField: 'text', labelField: 'label', concurrency: 4, ...config, prompts, dataset: path.resolve(path.dirname(file), config.dataset) };
+}
+
+/**
+ * 运行评测
+ * @param {Object} config - loadEvalConfig的结果
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 只取前N条数据
+ * @param {Function} [options.onProgress] - 进度回调 (runId, done, total)
+ * @returns {Promise<Object>} 报告 { dataset, total, runs: [{ id, model, provider, prompt, metrics, records }] }
+ */
+export async function runEvaluation(config, { limit, onProgress = () => {} } = {}) {
+  const rows = readTable(config.dataset).slice(0, limit || undefined);
+  const samples = rows.map((row, i) => ({
+    id: row.id ?? i + 1,
+    text: String(row[config.textField] ?? ''),
+    gold: String(row[config.labelField] ?? '').trim()
+  }));
+  const invalid = samples.filter(s => !SENTIMENT_LABELS.includes(s.gold));
+  if (invalid.length) {
+    throw new Error(`数据集中有 ${invalid.length} 条标注不在 ${SENTIMENT_LABELS.join('/')} 内，如 id=${invalid[0].id}: ${invalid[0].gold}`);
+  }
+
+  const runs = [];
+  for (const { model, provider } of config.models) {
+    const client = initOpenAI(provider);
+    for (const prompt of config.prompts) {
+      const id = `${model} × ${prompt.id}`;
+      let done = 0;
+      const records = await mapWithConcurrency(samples, config.concurrency, async sample => {
+        const startedAt = Date.now();
+        const record = { id: sample.id, text: sample.text, gold: sample.gold, predicted: UNKNOWN_LABEL, raw: '', usage: null, error: null, model };
+        try {
+          const result = await classifySentiment(sample.text, { client, model, prompt: prompt.template, systemPrompt: prompt.system });
+          Object.assign(record, { predicted: result.label, raw: result.raw, usage: result.usage, model: result.model });
+        } catch (err) {
+          record.error = err.message;
+        }
+        record.latencyMs = Date.now() - startedAt;
+        onProgress(id, ++done, samples.length);
+        return record;
+      });
+      runs.push({ id, model, provider: client.profile.name, prompt: prompt.id, metrics: evaluateRecords(records, model), records });
+    }
+  }
+
+  return { dataset: config.dataset, total: samples.length, createdAt: new Date().toISOString(), runs };
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const money = value => value === null ? '-' : `¥${value.toFixed(4)}`;
+
+/**
+ * 生成Markdown报告
+ * @param {Object} report - runEvaluation的结果
+ * @returns {string}
+ */
+export function renderMarkdown(report) {
+  const columns = [...SENTIMENT_LABELS, UNKNOWN_LABEL];
+  let md = `# 情感分析模型对比报告\n\n`;
+  md += `- 数据集: ${path.basename(report.dataset)}（${report.total} 条）\n- 生成时间: ${report.createdAt}\n\n`;
+  md += `## 总览\n\n| 模型 × 提示词 | 准确率 | 未识别率 | 失败 | 平均延迟 | P95延迟 | tokens | 费用 |\n| --- | --- | --- | --- | --- | --- | --- | --- |\n`;
+  report.runs.forEach(({ id, metrics: m }) => {
+    md += `| ${id} | ${percent(m.accuracy)} | ${percent(m.unknownRate)} | ${m.errors} | ${m.latency.avgMs}ms | ${m.latency.p95Ms}ms | ${m.usage.total_tokens} | ${money(m.cost)} |\n`;
+  });
+
+  report.runs.forEach(({ id, model, metrics: m, records }) => {
+    md += `\n## ${id}\n\n`;
+    if (m.fallbacks) {
+      const answeredBy = [...new Set(records.filter(r => r.model !== model).map(r => r.model))];
+      md += `其中 ${m.fallbacks} 条由备用模型（${answeredBy.join('、')}）回答，费用按实际回答的模型计算\n\n`;
+    }
+    md += `混淆矩阵（行：人工标注，列：模型预测）\n\n| 标注 \\ 预测 | ${columns.join(' | ')} |\n| --- | ${columns.map(() => '---').join(' | ')} |\n`;
+    Object.entries(m.confusion).forEach(([gold, row]) => {
+      md += `| ${gold} | ${columns.map(c => row[c]).join(' | ')} |\n`;
+    });
+    const wrong = records.filter(r => r.predicted !== r.gold);
+    if (wrong.length) {
+      md += `\n错误样例：\n\n`;
+      wrong.slice(0, 10).forEach(r => {
+        md += `- [${r.id}] ${r.text} → 标注 ${r.gold}，预测 ${r.predicted}${r.error ? `（${r.error}）` : `（原始输出: ${r.raw.replace(/\s+/g, ' ').slice(0, 50)}）`}\n`;
+      });
+    }
+  });
+  return md;
+}
+
+/**
+ * 生成HTML报告
+ * @param {Object} report - runEvaluation的结果
+ * @returns {string}
+ */
+export function renderHtml(report) {
+  const escape = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+  const columns = [...SENTIMENT_LABELS, UNKNOWN_LABEL];
+  const best = Math.max(...report.runs.map(run => run.metrics.accuracy));
+
+  const summaryRows = report.runs.map(({ id, metrics: m }) => `
+      <tr${m.accuracy === best ? ' class="best"' : ''}>
+        <td>${escape(id)}</td><td>${percent(m.accuracy)}</td><td>${percent(m.unknownRate)}</td><td>${m.errors}</td>
+        <td>${m.latency.avgMs}ms</td><td>${m.latency.p95Ms}ms</td><td>${m.usage.total_tokens}</td><td>${money(m.cost)}</td>
+      </tr>`).join('');
+
+  const details = report.runs.map(({ id, metrics: m }) => `
+    <h2>${escape(id)}</h2>
+    <table>
+      <tr><th>标注 \\ 预测</th>${columns.map(c => `<th>${c}</th>`).join('')}</tr>
+      ${Object.entries(m.confusion).map(([gold, row]) => `<tr><th>${gold}</th>${columns.map(c => `<td class="${c === gold ? 'hit' : row[c] ? 'miss' : ''}">${row[c]}</td>`).join('')}</tr>`).join('')}
+    </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>情感分析模型对比报告</title>
+  <style>
+    body { font-family: -apple-system, "Microsoft YaHei", sans-serif; margin: 32px; color: #333; }
+    table { border-collapse: collapse; margin: 12px 0 24px; }
+    th, td { border: 1px solid #ddd; padding: 6px 12px; text-align: center; }
+    th { background: #f5f7fa; }
+    tr.best td { background: #e8f5e9; font-weight: bold; }
+    td.hit { background: #e3f2fd; }
+    td.miss { background: #ffebee; }
+  </style>
+</head>
+<body>
+  <h1>情感分析模型对比报告</h1>
+  <p>数据集: ${escape(path.basename(report.dataset))}（${report.total} 条），生成时间: ${escape(report.createdAt)}</p>
+  <table>
+    <tr><th>模型 × 提示词</th><th>准确率</th><th>未识别率</th><th>失败</th><th>平均延迟</th><th>P95延迟</th><th>tokens</th><th>费用</th></tr>${summaryRows}
+  </table>
+  ${details}
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', default: DEFAULT_CONFIG },
+      limit: { type: 'string' },
+      out: { type: 'string', default: path.join(__dirname, 'output', 'sentiment-eval') }
+    }
+  });
+
+  const config = loadEvalConfig(values.config);
+  console.log(`数据集: ${config.dataset}`);
+  console.log(`模型: ${config.models.map(m => m.model).join(', ')}；提示词: ${config.prompts.map(p => p.id).join(', ')}`);
+
+  const report = await runEvaluation(config, {
+    limit: values.limit ? Number(values.limit) : undefined,
+    onProgress: (id, done, total) => { if (done === total) console.log(`完成: ${id}（${total} 条）`); }
+  });
+
+  fs.mkdirSync(path.dirname(values.out), { recursive: true });
+  fs.writeFileSync(`${values.out}.md`, renderMarkdown(report), 'utf-8');
+  fs.writeFileSync(`${values.out}.html`, renderHtml(report), 'utf-8');
+  fs.writeFileSync(`${values.out}.json`, JSON.stringify(report, null, 2), 'utf-8');
+
+  console.log('------------------------');
+  report.runs.forEach(({ id, metrics: m }) => {
+    console.log(`${id}: 准确率 ${percent(m.accuracy)}，平均延迟 ${m.latency.avgMs}ms，tokens ${m.usage.total_tokens}，费用 ${money(m.cost)}`);
+  });
+  console.log(`报告: ${values.out}.md / .html / .json`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error('评测出错:', err);
+    process.exitCode = 1;
+  });
+}
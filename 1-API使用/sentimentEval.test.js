@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { evaluateRecords, confusionMatrix } from './sentimentEval.js';
+
+const usage = { prompt_tokens: 1000, completion_tokens: 1000 };
+
+test('evaluateRecords 统计准确率和未识别率', () => {
+  const metrics = evaluateRecords([
+    { gold: '正向', predicted: '正向', latencyMs: 10, usage },
+    { gold: '负向', predicted: '未识别', latencyMs: 20, usage },
+    { gold: '负向', predicted: '负向', latencyMs: 30, usage: null, error: null }
+  ], 'qwen-plus');
+  assert.equal(metrics.total, 3);
+  assert.equal(metrics.accuracy, 2 / 3);
+  assert.equal(metrics.unknownRate, 1 / 3);
+  assert.equal(metrics.cost, 0.0056);
+});
+
+test('evaluateRecords 按实际回答的模型计算费用', () => {
+  const metrics = evaluateRecords([
+    { gold: '正向', predicted: '正向', latencyMs: 10, usage, model: 'qwen-plus' },
+    { gold: '正向', predicted: '正向', latencyMs: 10, usage, model: 'qwen-turbo' }
+  ], 'qwen-plus');
+  assert.equal(metrics.fallbacks, 1);
+  assert.equal(metrics.cost, 0.0028 + 0.0009);
+});
+
+test('confusionMatrix 把不认识的预测计入未识别', () => {
+  const matrix = confusionMatrix([{ gold: '正向', predicted: '中性' }, { gold: '正向', predicted: '正向' }]);
+  assert.deepEqual(matrix['正向'], { 正向: 1, 负向: 0, 未识别: 1 });
+});
+
+test('evaluateRecords 使用 LLM_PRICE_TABLE 覆盖的价格', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'price-')), 'prices.json');
+  fs.writeFileSync(file, JSON.stringify({ 'qwen-plus': { input: 1, output: 1 } }));
+  const script = `
+    const { evaluateRecords } = await import('./sentimentEval.js');
+    console.log(evaluateRecords([{ gold: '正向', predicted: '正向', latencyMs: 1, usage: { prompt_tokens: 1000, completion_tokens: 1000 } }], 'qwen-plus').cost);
+  `;
+  const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: import.meta.dirname,
+    env: { ...process.env, LLM_PRICE_TABLE: file },
+    encoding: 'utf-8'
+  });
+  fs.rmSync(path.dirname(file), { recursive: true });
+  assert.equal(result.stdout.trim(), '2', result.stderr);
+});
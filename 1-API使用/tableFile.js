@@ -0,0 +1,75 @@
+/**
+ * 表格文件读写
+ * 统一读写 CSV / XLSX / JSONL，行数据均为对象数组（表头为key）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import xlsx from 'xlsx';
+
+/**
+ * 读取表格文件
+ * @param {string} file - 文件路径（.csv / .xlsx / .xls / .jsonl / .json）
+ * @param {Object} [options]
+ * @param {string} [options.sheet] - XLSX工作表名，缺省为第一个
+ * @returns {Array<Object>} 行数据
+ */
+export function readTable(file, { sheet } = {}) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.jsonl') {
+    return fs.readFileSync(file, 'utf-8').split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file} 第${i + 1}行不是合法的JSON: ${err.message}`);
+      }
+    });
+  }
+  if (ext === '.json') return JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  // CSV按UTF-8文本读取，避免中文乱码；raw保留原始字符串（如以0开头的编号）
+  const workbook = ext === '.csv'
+    ? xlsx.read(fs.readFileSync(file, 'utf-8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+    : xlsx.readFile(file);
+  const sheetName = sheet || workbook.SheetNames[0];
+  if (!workbook.Sheets[sheetName]) throw new Error(`${file} 中不存在工作表: ${sheetName}`);
+  return xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+}
+
+/**
+ * 写入表格文件（按扩展名决定格式）
+ * @param {string} file - 输出路径
+ * @param {Array<Object>} rows - 行数据
+ * @param {Object} [options]
+ * @param {string} [options.sheet='Sheet1'] - XLSX工作表名
+ */
+export function writeTable(file, rows, { sheet = 'Sheet1' } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.jsonl') {
+    fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + '\n', 'utf-8');
+  } else if (ext === '.json') {
+    fs.writeFileSync(file, JSON.stringify(rows, null, 2), 'utf-8');
+  } else if (ext === '.csv') {
+    // 带BOM，Excel直接打开中文不乱码
+    fs.writeFileSync(file, '\uFEFF' + xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(rows)), 'utf-8');
+  } else {
+    writeWorkbook(file, { [sheet]: rows });
+  }
+}
+
+/**
+ * 写入多工作表的XLSX文件
+ * @param {string} file - 输出路径
+ * @param {Object<string, Array<Object>>} sheets - { 工作表名: 行数据 }，按key顺序排列
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.headers] - 各工作表的列顺序，行数据为空时也会写出表头
+ */
+export function writeWorkbook(file, sheets, { headers = {} } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const workbook = xlsx.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows, { header: headers[name] }), name);
+  });
+  xlsx.writeFile(workbook, file);
+}
@@ -0,0 +1,233 @@
+/**
+ * 工具注册表
+ * 每个工具只声明一次JSON Schema，同时用于：
+ * 1. 生成传给模型的tools数组
+ * 2. 执行前校验模型给出的参数（类型、必填、枚举、范围等）
+ * 3. 校验失败时返回结构化错误，让模型据此修正参数
+ *
+ * 错误类型（error.type）：
+ * - unknown_tool：模型调用了未注册的工具
+ * - invalid_json：arguments不是合法JSON
+ * - invalid_arguments：参数不符合Schema
+ * - execution_error：工具执行时抛出异常
+ * - approval_required：有副作用的工具未提供审批回调
+ * - rejected：有副作用的工具被审批拒绝
+ */
+
+const JSON_TYPES = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  null: v => v === null
+};
+
+/**
+ * 按JSON Schema校验值（支持工具参数常用的子集）
+ * 支持：type、enum、properties、required、additionalProperties、items、minItems/maxItems、
+ *      minLength/maxLength、pattern、minimum/maximum
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验的值
+ * @param {string} [path='$'] - 当前路径，用于错误定位
+ * @returns {Array<{path: string, message: string}>} 错误列表，为空表示校验通过
+ */
+export function validateSchema(schema, value, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => JSON_TYPES[type]?.(value))) {
+    fail(`类型应为 ${types.join('|')}，实际为 ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`取值应为 ${schema.enum.map(v => JSON.stringify(v)).join('、')} 之一，实际为 ${JSON.stringify(value)}`);
+  }
+
+  if (JSON_TYPES.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: '缺少必填参数' });
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: `不支持的参数，可用参数: ${Object.keys(properties).join(', ') || '无'}` });
+      }
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`至少需要 ${schema.minItems} 项`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`最多允许 ${schema.maxItems} 项`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`长度不能小于 ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`长度不能大于 ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`格式不符合 ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`不能小于 ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`不能大于 ${schema.maximum}`);
+  }
+
+  return errors;
+}
+
+/**
+ * 为对象参数补全Schema中声明的默认值（只处理顶层properties）
+ * @param {Object} schema - 参数Schema
+ * @param {Object} args - 模型给出的参数
+ * @returns {Object} 补全后的新对象
+ */
+function applyDefaults(schema, args) {
+  if (!JSON_TYPES.object(args)) return args;
+  const result = { ...args };
+  Object.entries(schema?.properties || {}).forEach(([key, prop]) => {
+    if (result[key] === undefined && prop.default !== undefined) result[key] = prop.default;
+  });
+  return result;
+}
+
+/**
+ * 构造返回给模型的结构化错误内容
+ * @param {string} type - 错误类型
+ * @param {string} message - 错误说明
+ * @param {Object} [extra] - 附加信息（如details、availableTools）
+ * @returns {Object}
+ */
+function toolError(type, message, extra = {}) {
+  return { error: { type, message, ...extra } };
+}
+
+/**
+ * 创建工具注册表
+ * @param {Array<Object>} [initialTools=[]] - 初始工具列表，格式同register的参数
+ * @returns {Object} 注册表 { register, has, get, names, definitions, execute }
+ *
+ * 使用示例：
+ *   const registry = createToolRegistry();
+ *   registry.register({
+ *     name: 'getCurrentWeather',
+ *     description: '获取城市天气',
+ *     parameters: { type: 'object', properties: { location: { type: 'string' } }, required: ['location'] },
+ *     handler: ({ location }) => ({ location, temperature: 20 })
+ *   });
+ *   const tools = registry.definitions();           // 传给chat.completions.create
+ *   const result = await registry.execute(toolCall); // 校验 + 执行
+ */
+export function createToolRegistry(initialTools = []) {
+  const entries = new Map();
+
+  /**
+   * 注册工具
+   * @param {Object} tool
+   * @param {string} tool.name - 工具名（大小写敏感）
+   * @param {string} tool.description - 决定模型何时调用此工具的描述
+   * @param {Object} [tool.parameters] - 参数的JSON Schema，缺省为无参数
+   * @param {Function} tool.handler - 执行函数，接收校验后的参数对象，可返回字符串、对象或Promise
+   * @param {boolean} [tool.sideEffect=false] - 是否有副作用（如终止会话、切换主备），执行前需要审批
+   */
+  function register({ name, description, parameters = { type: 'object', properties: {} }, handler, ...meta }) {
+    if (!name || typeof handler !== 'function') {
+      throw new Error(`注册工具失败: ${name || '(未命名)'} 缺少name或handler`);
+    }
+    if (entries.has(name)) throw new Error(`工具已注册: ${name}`);
+    entries.set(name, { name, description, parameters, handler, ...meta });
+    return registry;
+  }
+
+  /**
+   * 生成传给模型的tools数组
+   * @returns {Array<Object>}
+   */
+  function definitions() {
+    return [...entries.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * 校验并执行模型返回的单个tool_call
+   * @param {Object} toolCall - { id, function: { name, arguments } }
+   * @param {Object} [options]
+   * @param {Function} [options.approve] - 审批回调，见approvalGate.js；有副作用的工具在参数校验通过后、执行前调用
+   * @returns {Promise<Object>} { id, name, arguments, content, error, approval, durationMs }
+   *
+   * 关键说明：
+   * - 任何错误（含审批回调出错）都不抛出，而是写入error字段，并把结构化错误作为content回传给模型
+   * - 审批回调出错或没有返回结果时按未批准处理
+   */
+  async function execute(toolCall, { approve } = {}) {
+    const { id, function: { name, arguments: rawArgs } } = toolCall;
+    const startedAt = Date.now();
+    const result = { id, name, arguments: rawArgs, content: '', error: null, approval: null, durationMs: 0 };
+    const finish = output => {
+      if (output?.error) result.error = output.error;
+      // 没有返回值的工具回传空字符串，避免content为undefined
+      result.content = output === undefined ? '' : typeof output === 'string' ? output : JSON.stringify(output);
+      result.durationMs = Date.now() - startedAt;
+      return result;
+    };
+
+    const tool = entries.get(name);
+    if (!tool) {
+      return finish(toolError('unknown_tool', `未知的工具: ${name}`, { availableTools: [...entries.keys()] }));
+    }
+
+    let args;
+    try {
+      args = JSON.parse(rawArgs || '{}');
+    } catch (err) {
+      return finish(toolError('invalid_json', `参数不是合法的JSON: ${err.message}`, { arguments: rawArgs }));
+    }
+
+    args = applyDefaults(tool.parameters, args);
+    result.arguments = args;
+    const details = validateSchema(tool.parameters, args);
+    if (details.length) {
+      return finish(toolError('invalid_arguments', `参数校验失败，请按工具定义修正后重试`, { details }));
+    }
+
+    if (tool.sideEffect) {
+      if (!approve) {
+        return finish(toolError('approval_required', `工具 ${name} 有副作用，需要人工确认后才能执行，请将处置方案告知用户`));
+      }
+      try {
+        result.approval = (await approve({ id, name, arguments: args, description: tool.description }))
+          || { approved: false, reason: '审批回调没有返回结果' };
+      } catch (err) {
+        result.approval = { approved: false, reason: `审批出错: ${err.message}` };
+      }
+      if (!result.approval.approved) {
+        return finish(toolError('rejected', `用户未批准执行 ${name}: ${result.approval.reason || '未说明原因'}`));
+      }
+    }
+
+    try {
+      return finish(await tool.handler(args));
+    } catch (err) {
+      return finish(toolError('execution_error', err.message));
+    }
+  }
+
+  const registry = {
+    register,
+    has: name => entries.has(name),
+    get: name => entries.get(name),
+    names: () => [...entries.keys()],
+    definitions,
+    execute
+  };
+
+  initialTools.forEach(register);
+  return registry;
+}
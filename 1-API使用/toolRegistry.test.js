@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createToolRegistry, validateSchema } from './toolRegistry.js';
+
+const callOf = (name, args = {}) => ({ id: 'call_1', function: { name, arguments: JSON.stringify(args) } });
+
+function createRegistry() {
+  return createToolRegistry([
+    {
+      name: 'getCurrentWeather',
+      description: '获取城市天气',
+      parameters: {
+        type: 'object',
+        properties: { location: { type: 'string', minLength: 1 }, unit: { type: 'string', enum: ['c', 'f'], default: 'c' } },
+        required: ['location'],
+        additionalProperties: false
+      },
+      handler: ({ location, unit }) => ({ location, unit, temperature: 20 })
+    },
+    { name: 'noop', description: '没有返回值', handler: () => undefined },
+    { name: 'restartService', description: '重启服务', sideEffect: true, handler: () => '已重启' }
+  ]);
+}
+
+test('validateSchema 校验类型、必填、枚举和范围', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', pattern: '^[a-z]+$' },
+      count: { type: 'integer', minimum: 1, maximum: 10 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      level: { enum: ['P1', 'P2'] }
+    },
+    required: ['name'],
+    additionalProperties: false
+  };
+  assert.deepEqual(validateSchema(schema, { name: 'web', count: 3, tags: ['a'], level: 'P1' }), []);
+  const paths = validateSchema(schema, { count: 0.5, tags: ['a', 1, 'c'], level: 'P3', extra: true }).map(e => e.path);
+  assert.deepEqual(paths.sort(), ['$.count', '$.extra', '$.level', '$.name', '$.tags', '$.tags[1]'].sort());
+  assert.equal(validateSchema({ type: 'string' }, null)[0].message, '类型应为 string，实际为 null');
+});
+
+test('execute 补全默认值并返回结果', async () => {
+  const result = await createRegistry().execute(callOf('getCurrentWeather', { location: '杭州' }));
+  assert.equal(result.error, null);
+  assert.deepEqual(JSON.parse(result.content), { location: '杭州', unit: 'c', temperature: 20 });
+});
+
+test('execute 把参数和工具错误作为结构化内容返回', async () => {
+  const registry = createRegistry();
+  assert.equal((await registry.execute(callOf('unknown'))).error.type, 'unknown_tool');
+  assert.equal((await registry.execute({ id: '1', function: { name: 'noop', arguments: '{bad' } })).error.type, 'invalid_json');
+  const invalid = await registry.execute(callOf('getCurrentWeather', { location: '', unit: 'k' }));
+  assert.equal(invalid.error.type, 'invalid_arguments');
+  assert.equal(JSON.parse(invalid.content).error.details.length, 2);
+});
+
+test('execute 工具没有返回值时content为空字符串', async () => {
+  const result = await createRegistry().execute(callOf('noop'));
+  assert.equal(result.content, '');
+  assert.equal(result.error, null);
+});
+
+test('execute 有副作用的工具需要审批', async () => {
+  const registry = createRegistry();
+  assert.equal((await registry.execute(callOf('restartService'))).error.type, 'approval_required');
+  const approved = await registry.execute(callOf('restartService'), { approve: async () => ({ approved: true }) });
+  assert.equal(approved.content, '已重启');
+  const rejected = await registry.execute(callOf('restartService'), { approve: async () => ({ approved: false, reason: '非工作时间' }) });
+  assert.equal(rejected.error.type, 'rejected');
+});
+
+test('execute 审批回调出错或没有返回结果时不抛出，按未批准处理', async () => {
+  const registry = createRegistry();
+  const failed = await registry.execute(callOf('restartService'), { approve: async () => { throw new Error('审批服务不可用'); } });
+  assert.equal(failed.error.type, 'rejected');
+  assert.match(failed.error.message, /审批服务不可用/);
+  const empty = await registry.execute(callOf('restartService'), { approve: () => undefined });
+  assert.equal(empty.error.type, 'rejected');
+  assert.equal(empty.approval.approved, false);
+});
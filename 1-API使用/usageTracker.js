@@ -0,0 +1,221 @@
+/**
+ * token用量与费用统计
+ * 作为initOpenAI客户端的中间件，记录每次请求的模型、调用方标签、token用量、耗时和费用，
+ * 可打印汇总或导出CSV，用于评估各脚本的调用成本
+ *
+ * 关键说明：
+ * - 默认使用进程内共享的 defaultUsageTracker，所有initOpenAI创建的客户端都会记录
+ * - 流式请求在流读取结束后记录，token用量取自最后一个带usage的chunk（需 stream_options.include_usage）
+ * - LLM_USAGE_REPORT=1 时进程退出前把汇总打印到stderr；LLM_USAGE_CSV=<文件> 时追加明细到CSV，便于跨脚本累计
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { estimateCost, currentPriceTable } from './pricing.js';
+
+export const CSV_COLUMNS = ['time', 'tag', 'provider', 'model', 'responseModel', 'stream', 'status', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latencyMs', 'cost', 'error', 'prompt'];
+
+/**
+ * 缺省的调用方标签：LLM_CALLER_TAG，或当前脚本文件名
+ * @returns {string}
+ */
+export function defaultCallerTag() {
+  return process.env.LLM_CALLER_TAG || (process.argv[1] ? path.basename(process.argv[1], '.js') : 'node');
+}
+
+/**
+ * CSV单元格转义
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 按显示宽度补齐（中文占两格）
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+function padDisplay(text, width) {
+  const length = [...text].reduce((sum, ch) => sum + (/[\u3000-\u9fff\uff00-\uffef]/.test(ch) ? 2 : 1), 0);
+  return text + ' '.repeat(Math.max(0, width - length));
+}
+
+/**
+ * 创建用量记录器
+ * @param {Object} [options]
+ * @param {Object} [options.priceTable] - 价格表，缺省为currentPriceTable()（首次计算费用时才读取）
+ * @returns {Object} { records, record, middleware, summary, formatSummary, exportCsv, reset }
+ */
+export function createUsageTracker({ priceTable } = {}) {
+  const records = [];
+
+  /**
+   * 记录一次请求
+   * @param {Object} entry - { tag, provider, model, responseModel, stream, usage, latencyMs, error, prompt }
+   * @returns {Object} 记录
+   */
+  function record({ tag, provider, model, responseModel, stream = false, usage, latencyMs, error, prompt }) {
+    const prices = priceTable || (usage ? currentPriceTable() : null);
+    const entry = {
+      time: new Date().toISOString(),
+      tag,
+      provider,
+      model,
+      responseModel: responseModel || model,
+      stream,
+      status: error ? 'error' : 'ok',
+      prompt_tokens: usage?.prompt_tokens || 0,
+      completion_tokens: usage?.completion_tokens || 0,
+      total_tokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0),
+      latencyMs,
+      // 先按脚本中的模型名计价，查不到再按服务端返回的模型名
+      cost: usage ? estimateCost(model, usage, prices) ?? estimateCost(responseModel, usage, prices) : 0,
+      error: error ? error.message : null,
+      prompt: prompt || null
+    };
+    records.push(entry);
+    return entry;
+  }
+
+  /**
+   * 中间件：包装chat.completions.create
+   * @param {Function} next - 下一层create
+   * @param {Object} context - { profile, tag }
+   * @returns {Function}
+   */
+  function middleware(next, context) {
+    return async (body, requestOptions = {}) => {
+      const base = {
+        tag: requestOptions.tag || context.tag,
+        provider: context.profile.name,
+        model: body.model,
+        stream: Boolean(body.stream),
+        prompt: requestOptions.prompt
+      };
+      const startedAt = Date.now();
+      let response;
+      try {
+        response = await next(body, requestOptions);
+      } catch (err) {
+        record({ ...base, latencyMs: Date.now() - startedAt, error: err });
+        throw err;
+      }
+      if (!body.stream) {
+        record({ ...base, responseModel: response.model, usage: response.usage, latencyMs: Date.now() - startedAt });
+        return response;
+      }
+
+      // 流式响应：边转发chunk边收集usage，读取结束（或中途退出）时记录
+      const iterate = response[Symbol.asyncIterator].bind(response);
+      response[Symbol.asyncIterator] = async function* () {
+        let usage = null;
+        let responseModel = null;
+        let error = null;
+        try {
+          for await (const chunk of iterate()) {
+            if (chunk.usage) usage = chunk.usage;
+            responseModel = chunk.model || responseModel;
+            yield chunk;
+          }
+        } catch (err) {
+          error = err;
+          throw err;
+        } finally {
+          record({ ...base, responseModel, usage, latencyMs: Date.now() - startedAt, error });
+        }
+      };
+      return response;
+    };
+  }
+
+  /**
+   * 按维度汇总
+   * @param {Object} [options]
+   * @param {'model'|'tag'|'prompt'} [options.by='model'] - 汇总维度
+   * @returns {Object} { total, groups: [{ key, calls, errors, prompt_tokens, completion_tokens, total_tokens, cost, avgLatencyMs }] }
+   */
+  function summary({ by = 'model' } = {}) {
+    const groups = new Map();
+    const add = (group, r) => {
+      group.calls++;
+      if (r.status === 'error') group.errors++;
+      group.prompt_tokens += r.prompt_tokens;
+      group.completion_tokens += r.completion_tokens;
+      group.total_tokens += r.total_tokens;
+      group.cost = Number((group.cost + (r.cost || 0)).toFixed(6));
+      group.latencyMs += r.latencyMs;
+      if (r.cost === null) group.unpriced = true;
+    };
+    const empty = key => ({ key, calls: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0, latencyMs: 0, unpriced: false });
+    const total = empty('合计');
+    records.forEach(r => {
+      const key = r[by] || '-';
+      if (!groups.has(key)) groups.set(key, empty(key));
+      add(groups.get(key), r);
+      add(total, r);
+    });
+    const finish = ({ latencyMs, ...group }) => ({ ...group, avgLatencyMs: group.calls ? Math.round(latencyMs / group.calls) : 0 });
+    return { total: finish(total), groups: [...groups.values()].map(finish) };
+  }
+
+  /**
+   * 生成文本汇总
+   * @param {Object} [options] - 同summary
+   * @returns {string}
+   */
+  function formatSummary(options = {}) {
+    const { total, groups } = summary(options);
+    const line = g => `  ${padDisplay(g.key, 36)} 调用 ${String(g.calls).padStart(4)} 次（失败 ${g.errors}）  输入 ${String(g.prompt_tokens).padStart(7)}  输出 ${String(g.completion_tokens).padStart(7)}  `
+      + `费用 ¥${g.cost.toFixed(6)}${g.unpriced ? '（部分模型缺少价格）' : ''}  平均耗时 ${g.avgLatencyMs}ms`;
+    const dimension = { tag: '调用方', prompt: '提示词版本' }[options.by] || '模型';
+    return [`LLM用量汇总（按${dimension}）:`, ...groups.map(line), line(total)].join('\n');
+  }
+
+  /**
+   * 导出明细到CSV
+   * @param {string} file - 输出路径
+   * @param {Object} [options]
+   * @param {boolean} [options.append=false] - 追加到已有文件（文件不存在时写表头）
+   */
+  function exportCsv(file, { append = false } = {}) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const writeHeader = !append || !fs.existsSync(file);
+    const lines = records.map(r => CSV_COLUMNS.map(column => csvCell(r[column])).join(','));
+    const content = (writeHeader ? CSV_COLUMNS.join(',') + '\n' : '') + lines.map(line => line + '\n').join('');
+    if (append) fs.appendFileSync(file, content, 'utf-8');
+    else fs.writeFileSync(file, content, 'utf-8');
+  }
+
+  return {
+    records,
+    record,
+    middleware,
+    summary,
+    formatSummary,
+    exportCsv,
+    reset: () => { records.length = 0; }
+  };
+}
+
+// 进程内共享的记录器，initOpenAI缺省使用
+export const defaultUsageTracker = createUsageTracker();
+
+let exitReportInstalled = false;
+
+/**
+ * 按环境变量在进程退出时输出汇总 / 导出CSV（只安装一次）
+ * @param {Object} [tracker=defaultUsageTracker]
+ */
+export function installExitReport(tracker = defaultUsageTracker) {
+  if (exitReportInstalled || (process.env.LLM_USAGE_REPORT !== '1' && !process.env.LLM_USAGE_CSV)) return;
+  exitReportInstalled = true;
+  process.on('exit', () => {
+    if (!tracker.records.length) return;
+    if (process.env.LLM_USAGE_REPORT === '1') console.error(tracker.formatSummary());
+    if (process.env.LLM_USAGE_CSV) tracker.exportCsv(process.env.LLM_USAGE_CSV, { append: true });
+  });
+}
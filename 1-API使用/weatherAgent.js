@@ -0,0 +1,157 @@
+/**
+ * 天气查询智能体
+ * 封装天气工具注册表（实况 + 预报，数据来自weatherProvider.js）和系统提示词，供天气demo和命令行复用
+ */
+
+import { runAgent } from './agentRunner.js';
+import { createToolRegistry } from './toolRegistry.js';
+import { renderPrompt } from './promptTemplates.js';
+import { createWeatherProvider, convertTemperature, resolveDay, TEMPERATURE_UNITS } from './weatherProvider.js';
+
+export const WEATHER_PROMPT = 'weather-assistant';
+
+/**
+ * 查询指定地点的当前天气
+ * @param {Object} args - 已由注册表按Schema校验并补全默认值
+ * @param {string} args.location - 地点名称
+ * @param {string} args.unit - 温度单位，celsius 或 fahrenheit
+ * @param {Object} provider - 天气数据源（createWeatherProvider）
+ * @returns {Promise<string>} 天气信息的JSON字符串，将作为后续模型的输入
+ */
+export async function getCurrentWeather({ location, unit }, provider) {
+  const weather = await provider.current(location);
+  return JSON.stringify({
+    location: weather.city,
+    province: weather.province,
+    temperature: convertTemperature(weather.temperature, unit),
+    unit,
+    condition: weather.condition,
+    humidity: weather.humidity,
+    wind: weather.wind,
+    observedAt: weather.observedAt
+  });
+}
+
+/**
+ * 查询指定地点某一天的天气预报
+ * @param {Object} args - 已由注册表按Schema校验并补全默认值
+ * @param {string} args.location - 地点名称
+ * @param {string} args.date - 今天/明天/后天/大后天 或 YYYY-MM-DD
+ * @param {string} args.unit - 温度单位
+ * @param {Object} provider - 天气数据源
+ * @returns {Promise<string>} 预报信息的JSON字符串
+ *
+ * 关键说明：
+ * - 「明天」「后天」以数据源的今天为准（预报第一天），模型无需自行推算日期
+ * - 超出数据源预报范围时报错，由模型向用户说明
+ */
+export async function getWeatherForecast({ location, date, unit }, provider) {
+  const days = await provider.forecast(location, 7);
+  const target = resolveDay(date, days[0].date);
+  const day = days.find(d => d.date === target.date);
+  if (!day) {
+    const asked = target.label === target.date ? target.date : `${target.label}（${target.date}）`;
+    throw new Error(`只能查询 ${days[0].date} ~ ${days.at(-1).date} 的预报，${asked}超出范围`);
+  }
+  return JSON.stringify({
+    location: day.city,
+    province: day.province,
+    date: day.date,
+    day: target.label,
+    condition: day.condition,
+    high: convertTemperature(day.high, unit),
+    low: convertTemperature(day.low, unit),
+    unit,
+    wind: day.wind,
+    precipitationChance: day.precipitationChance
+  });
+}
+
+/**
+ * 创建天气工具注册表
+ * 关键参数解析：
+ * - name: 模型调用时使用的函数名（大小写敏感）
+ * - description: 决定模型何时调用此函数的关键描述
+ * - parameters: 定义参数结构（JSON Schema格式），同时用于生成tools数组和校验模型给出的参数
+ *   - properties: 定义每个参数的名称、类型和描述
+ *   - required: 声明必填参数
+ * - handler: 参数校验通过后执行的函数
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - 天气数据源，默认按 WEATHER_SOURCE 创建
+ * @returns {Object} 工具注册表
+ */
+export function createWeatherRegistry({ provider = createWeatherProvider() } = {}) {
+  const location = {
+    type: "string",
+    description: "The city name, e.g. 大连 or Beijing. Query one city per call."
+  };
+  const unit = {
+    type: "string",
+    enum: TEMPERATURE_UNITS, // 限制可选值
+    default: "celsius"
+  };
+  return createToolRegistry([
+    {
+      name: "getCurrentWeather",
+      description: "Get the current weather in a given location. To compare several cities, call it once per city in the same turn.",
+      parameters: {
+        type: "object",
+        properties: { location, unit },
+        required: ["location"] // 必须提供location参数
+      },
+      handler: args => getCurrentWeather(args, provider)
+    },
+    {
+      name: "getWeatherForecast",
+      description: "Get the weather forecast of a given location for a future day, e.g. 明天 (tomorrow) or 后天 (the day after tomorrow).",
+      parameters: {
+        type: "object",
+        properties: {
+          location,
+          date: {
+            type: "string",
+            description: "今天、明天、后天、大后天, or a date in YYYY-MM-DD",
+            default: "明天"
+          },
+          unit
+        },
+        required: ["location"]
+      },
+      handler: args => getWeatherForecast(args, provider)
+    }
+  ]);
+}
+
+/**
+ * 回答天气问题
+ * @param {string} query - 用户问题，如「大连的天气怎样」
+ * @param {Object} [options] - 其余参数透传给runAgent（client、stream、onEvent等）
+ * @param {string} [options.model='qwen-turbo'] - 模型名
+ * @param {number} [options.maxTurns=3] - 天气查询通常两轮即可完成（多城市在同一轮并行调用），多留一轮余量
+ * @param {Object} [options.registry] - 工具注册表，缺省为createWeatherRegistry()
+ * @param {string} [options.prompt='weather-assistant'] - 提示词模板，可带版本
+ * @returns {Promise<Object>} runAgent的结果，另含 prompt（使用的模板版本）
+ */
+export async function askWeather(query, {
+  model = 'qwen-turbo',
+  maxTurns = 3,
+  registry = createWeatherRegistry(),
+  prompt = WEATHER_PROMPT,
+  ...options
+} = {}) {
+  const rendered = renderPrompt(prompt, { abKey: query });
+  const result = await runAgent({
+    ...options,
+    model,
+    maxTurns,
+    registry,
+    // 允许模型在一轮中同时发起多个工具调用（如「大连和北京哪个冷」分别查询两个城市）
+    params: { parallel_tool_calls: true, ...options.params },
+    requestOptions: { ...options.requestOptions, prompt: rendered.prompt.id },
+    messages: [
+      ...rendered.messages,
+      { role: "user", content: query }
+    ]
+  });
+  return { ...result, prompt: rendered.prompt.id };
+}
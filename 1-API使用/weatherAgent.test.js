@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCurrentWeather, getWeatherForecast, createWeatherRegistry } from './weatherAgent.js';
+import { createFixtureProvider, resolveDay, convertTemperature } from './weatherProvider.js';
+
+// 城市表固定「今天」，预报日期与运行当天无关
+const provider = createFixtureProvider({ today: '2024-11-14' });
+const callOf = (name, args) => ({ id: 'call_1', function: { name, arguments: JSON.stringify(args) } });
+
+test('resolveDay 和 convertTemperature', () => {
+  assert.deepEqual(resolveDay('后天', '2024-11-14'), { date: '2024-11-16', offset: 2, label: '后天' });
+  assert.deepEqual(resolveDay('2024-11-15', '2024-11-14'), { date: '2024-11-15', offset: 1, label: '明天' });
+  assert.throws(() => resolveDay('下周', '2024-11-14'), /无法识别的日期/);
+  assert.equal(convertTemperature(10, 'fahrenheit'), 50);
+});
+
+test('实况和预报都返回数据源中的城市名', async () => {
+  const current = JSON.parse(await getCurrentWeather({ location: 'Dalian', unit: 'celsius' }, provider));
+  assert.equal(current.location, '大连');
+  assert.equal(current.province, '辽宁');
+
+  const forecast = JSON.parse(await getWeatherForecast({ location: '帝都', date: '后天', unit: 'celsius' }, provider));
+  assert.deepEqual({ location: forecast.location, date: forecast.date, day: forecast.day }, { location: '北京', date: '2024-11-16', day: '后天' });
+  assert.equal(JSON.parse(await getWeatherForecast({ location: '辽宁大连市', date: '明天', unit: 'celsius' }, provider)).location, '大连');
+});
+
+test('超出预报范围时报错', async () => {
+  await assert.rejects(getWeatherForecast({ location: '大连', date: '2024-11-30', unit: 'celsius' }, provider), /只能查询 2024-11-14 ~ 2024-11-18 的预报/);
+});
+
+test('注册表补全默认参数，城市不存在时作为执行错误回传', async () => {
+  const registry = createWeatherRegistry({ provider });
+  const forecast = await registry.execute(callOf('getWeatherForecast', { location: '上海' }));
+  assert.deepEqual([JSON.parse(forecast.content).day, JSON.parse(forecast.content).unit], ['明天', 'celsius']);
+
+  const missing = await registry.execute(callOf('getCurrentWeather', { location: '拉萨' }));
+  assert.equal(missing.error.type, 'execution_error');
+  assert.match(missing.content, /未找到城市「拉萨」/);
+});
@@ -0,0 +1,234 @@
+/**
+ * 天气数据源
+ * 为天气智能体提供实况和多日预报，替代写死的模拟数据
+ *
+ * 数据源接口（provider），温度统一为摄氏度：
+ * - name: 数据源名称
+ * - current(location): 返回 { city, province, temperature, condition, humidity, wind, observedAt }
+ * - forecast(location, days): 返回从今天起的 days 天预报 [{ city, province, date, condition, high, low, wind, precipitationChance }]，city为数据源中的城市名
+ * 找不到城市时抛出错误，由工具注册表作为execution_error回传给模型
+ *
+ * 内置实现：
+ * 1. createFixtureProvider：读取城市表（data/weather/cities.json），含实况和5天预报，离线运行和测试使用
+ * 2. createOpenMeteoProvider：调用 Open-Meteo 公共接口（无需密钥）查询真实天气
+ *
+ * 通过环境变量 WEATHER_SOURCE 选择：fixture（默认）、fixture:<路径> 或 open-meteo
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CITY_TABLE = path.join(__dirname, 'data', 'weather', 'cities.json');
+
+export const TEMPERATURE_UNITS = ['celsius', 'fahrenheit'];
+
+// 相对日期，值为距今天数
+export const RELATIVE_DAYS = { 今天: 0, 明天: 1, 后天: 2, 大后天: 3 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 摄氏度转换为指定单位
+ * @param {number} celsius
+ * @param {'celsius'|'fahrenheit'} [unit='celsius']
+ * @returns {number} 保留一位小数
+ */
+export function convertTemperature(celsius, unit = 'celsius') {
+  if (!TEMPERATURE_UNITS.includes(unit)) throw new Error(`不支持的温度单位: ${unit}，可选值: ${TEMPERATURE_UNITS.join(', ')}`);
+  const value = unit === 'fahrenheit' ? celsius * 9 / 5 + 32 : celsius;
+  return Number(value.toFixed(1));
+}
+
+/**
+ * 日期加减天数
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * 解析要查询的日期
+ * @param {string} [when='明天'] - 今天/明天/后天/大后天，或 YYYY-MM-DD
+ * @param {string} today - 今天的日期 YYYY-MM-DD
+ * @returns {{date: string, offset: number, label: string}}
+ */
+export function resolveDay(when = '明天', today) {
+  const text = String(when).trim();
+  if (text in RELATIVE_DAYS) return { date: addDays(today, RELATIVE_DAYS[text]), offset: RELATIVE_DAYS[text], label: text };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw new Error(`无法识别的日期: ${when}，请使用 今天、明天、后天、大后天 或 YYYY-MM-DD`);
+  const offset = Math.round((Date.parse(`${text}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY);
+  const label = Object.keys(RELATIVE_DAYS).find(key => RELATIVE_DAYS[key] === offset) || text;
+  return { date: text, offset, label };
+}
+
+/**
+ * 城市名归一化：去掉空白、「市」后缀和省份/国家后缀（如 "大连, 辽宁"、"Dalian, China"）
+ * @param {string} location
+ * @returns {string}
+ */
+function normalizeCity(location) {
+  return String(location).split(/[,，]/)[0].replace(/\s+/g, '').replace(/市$/, '').toLowerCase();
+}
+
+/**
+ * 创建城市表数据源
+ * @param {Object} [options]
+ * @param {string} [options.file=DEFAULT_CITY_TABLE] - 城市表JSON：{ today, observedAt, cities: [{ name, aliases, province, current, forecast }] }
+ * @param {string} [options.today] - 覆盖城市表中的「今天」，缺省取文件中的today（未配置时为当天）
+ * @returns {Object} 数据源
+ */
+export function createFixtureProvider({ file = DEFAULT_CITY_TABLE, today } = {}) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const baseDate = today || table.today || new Date().toISOString().slice(0, 10);
+  const cities = table.cities || [];
+
+  const find = location => {
+    const key = normalizeCity(location);
+    const names = city => [city.name, ...(city.aliases || [])].map(normalizeCity);
+    const city = cities.find(c => names(c).includes(key))
+      // 「辽宁大连」这类带省份的写法
+      || cities.find(c => key.includes(normalizeCity(c.name)));
+    if (!city) throw new Error(`未找到城市「${location}」的天气数据，可查询: ${cities.map(c => c.name).join('、')}`);
+    return city;
+  };
+  const wind = ({ windDirection, windScale }) => `${windDirection}${windScale}级`;
+
+  return {
+    name: `fixture:${path.basename(file)}`,
+    async current(location) {
+      const city = find(location);
+      const { temperature, condition, humidity } = city.current;
+      return {
+        city: city.name,
+        province: city.province,
+        temperature,
+        condition,
+        humidity,
+        wind: wind(city.current),
+        observedAt: table.observedAt || `${baseDate} 08:00`
+      };
+    },
+    async forecast(location, days = 3) {
+      const city = find(location);
+      return city.forecast.slice(0, days).map((day, i) => ({
+        city: city.name,
+        province: city.province,
+        date: addDays(baseDate, i),
+        condition: day.condition,
+        high: day.high,
+        low: day.low,
+        wind: wind(day),
+        precipitationChance: day.precipitationChance
+      }));
+    }
+  };
+}
+
+/**
+ * WMO天气代码对应的中文描述（Open-Meteo返回weather_code）
+ */
+const WMO_CONDITIONS = [
+  [[0], '晴'], [[1], '大部晴朗'], [[2], '多云'], [[3], '阴'],
+  [[45, 48], '雾'], [[51, 53, 55, 56, 57], '毛毛雨'],
+  [[61, 66], '小雨'], [[63], '中雨'], [[65, 67], '大雨'],
+  [[71, 77], '小雪'], [[73], '中雪'], [[75], '大雪'],
+  [[80, 81, 82], '阵雨'], [[85, 86], '阵雪'], [[95, 96, 99], '雷阵雨']
+];
+
+const describeWeatherCode = code => WMO_CONDITIONS.find(([codes]) => codes.includes(code))?.[1] || `未知(${code})`;
+
+/**
+ * 创建 Open-Meteo 数据源（https://open-meteo.com，免费、无需密钥）
+ * 关键说明：
+ * - 先用地理编码接口把城市名解析为经纬度（结果按城市名缓存），再查询实况和逐日预报
+ * - 「今天」按城市所在时区计算（timezone=auto）
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - 单次请求超时（毫秒）
+ * @param {Function} [options.fetch=globalThis.fetch] - 可替换的fetch实现
+ * @returns {Object} 数据源
+ */
+export function createOpenMeteoProvider({ timeout = 10 * 1000, fetch = globalThis.fetch } = {}) {
+  const locations = new Map();
+
+  const getJson = async (url, params) => {
+    const query = new URLSearchParams(params).toString();
+    const res = await fetch(`${url}?${query}`, { signal: AbortSignal.timeout(timeout) });
+    if (!res.ok) throw new Error(`天气接口返回 ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    return res.json();
+  };
+
+  const geocode = async location => {
+    const name = String(location).split(/[,，]/)[0].trim();
+    if (!locations.has(name)) {
+      const data = await getJson('https://geocoding-api.open-meteo.com/v1/search', { name, count: 1, language: 'zh', format: 'json' });
+      const place = data.results?.[0];
+      if (!place) throw new Error(`未找到城市「${location}」`);
+      locations.set(name, place);
+    }
+    return locations.get(name);
+  };
+
+  const query = async (location, params) => {
+    const place = await geocode(location);
+    const data = await getJson('https://api.open-meteo.com/v1/forecast', {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone: 'auto',
+      wind_speed_unit: 'kmh',
+      ...params
+    });
+    return { place, data };
+  };
+
+  return {
+    name: 'open-meteo',
+    async current(location) {
+      const { place, data } = await query(location, { current: 'temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m' });
+      const current = data.current;
+      return {
+        city: place.name,
+        province: place.admin1 || place.country || '',
+        temperature: current.temperature_2m,
+        condition: describeWeatherCode(current.weather_code),
+        humidity: current.relative_humidity_2m,
+        wind: `${current.wind_speed_10m}km/h`,
+        observedAt: current.time.replace('T', ' ')
+      };
+    },
+    async forecast(location, days = 3) {
+      const { place, data } = await query(location, {
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,wind_speed_10m_max,precipitation_probability_max',
+        forecast_days: Math.min(Math.max(days, 1), 16)
+      });
+      const daily = data.daily;
+      return daily.time.map((date, i) => ({
+        city: place.name,
+        province: place.admin1 || place.country || '',
+        date,
+        condition: describeWeatherCode(daily.weather_code[i]),
+        high: daily.temperature_2m_max[i],
+        low: daily.temperature_2m_min[i],
+        wind: `${daily.wind_speed_10m_max[i]}km/h`,
+        precipitationChance: daily.precipitation_probability_max[i]
+      }));
+    }
+  };
+}
+
+/**
+ * 按配置创建数据源
+ * @param {string} [source] - fixture、fixture:<路径>（相对路径基于本目录）或 open-meteo，缺省读取 WEATHER_SOURCE
+ * @returns {Object} 数据源
+ */
+export function createWeatherProvider(source = process.env.WEATHER_SOURCE || 'fixture') {
+  if (source === 'fixture') return createFixtureProvider();
+  if (source.startsWith('fixture:')) return createFixtureProvider({ file: path.resolve(__dirname, source.slice(8)) });
+  if (source === 'open-meteo') return createOpenMeteoProvider();
+  throw new Error(`未知的天气数据源: ${source}，可选值: fixture、fixture:<路径>、open-meteo`);
+}
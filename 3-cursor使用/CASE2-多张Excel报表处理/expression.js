@@ -0,0 +1,251 @@
+/**
+ * 表格行的表达式求值
+ * 流水线的filter、derive等步骤用它计算每一行的值，只支持下面的语法，不会执行任意JavaScript
+ *
+ * 语法：
+ * - 列名直接写（如 绩效评分），含空格、运算符或以数字开头的列名用方括号：[入职 日期]、[2024绩效]
+ * - 数字 3.5，文本 "财务部" 或 '财务部'，true、false、null
+ * - 运算：+ - * / %，比较：== != > >= < <=（单个 = 等同 ==），逻辑：and or not（或 && || !），条件：a ? b : c
+ * - not 的优先级低于比较：not 绩效评分 > 3 即 not (绩效评分 > 3)
+ * - 函数：见 FUNCTIONS，如 round(绩效评分 * 20, 1)、year(入职日期)、oneOf(部门, "财务部", "人力资源部")
+ *
+ * 关键说明：
+ * - 比较时两边都是数字（含 "2024" 这类数字文本）按数值比较，否则按文本比较
+ * - 空单元格参与算术运算时结果为空，避免被当成0算进平均分
+ * - 空单元格参与 > >= < <= 比较时结果为假（如 绩效评分 < 3.5 不会选出没有评分的行），只有 == != 可以和空值比较
+ */
+
+import xlsx from 'xlsx';
+
+const isEmpty = value => value === '' || value === null || value === undefined;
+const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+/**
+ * 把单元格值解析为日期（支持 YYYY-MM-DD 文本、Date 和 Excel 日期序号）
+ * @param {*} value
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+  if (isEmpty(value)) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    const { y, m, d } = xlsx.SSF.parse_date_code(value);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+  const match = String(value).trim().match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?/);
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+/**
+ * 可在表达式中使用的函数
+ */
+export const FUNCTIONS = {
+  round: (value, digits = 0) => isEmpty(value) ? '' : Number(Number(value).toFixed(digits)),
+  abs: value => isEmpty(value) ? '' : Math.abs(Number(value)),
+  min: (...values) => Math.min(...values.filter(v => !isEmpty(v)).map(Number)),
+  max: (...values) => Math.max(...values.filter(v => !isEmpty(v)).map(Number)),
+  if: (condition, then, otherwise = '') => condition ? then : otherwise,
+  coalesce: (...values) => values.find(v => !isEmpty(v)) ?? '',
+  isEmpty: value => isEmpty(value),
+  number: value => isEmpty(value) ? '' : Number(value),
+  text: value => isEmpty(value) ? '' : String(value),
+  concat: (...values) => values.map(v => isEmpty(v) ? '' : String(v)).join(''),
+  len: value => isEmpty(value) ? 0 : String(value).length,
+  contains: (value, part) => String(value ?? '').includes(String(part)),
+  oneOf: (value, ...options) => options.some(option => compare('==', value, option)),
+  year: value => toDate(value)?.getUTCFullYear() ?? '',
+  month: value => toDate(value) ? toDate(value).getUTCMonth() + 1 : '',
+  date: value => toDate(value)?.toISOString().slice(0, 10) ?? ''
+};
+
+/**
+ * 比较两个值
+ * @param {string} op
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function compare(op, a, b) {
+  if (op !== '==' && op !== '!=' && (isEmpty(a) || isEmpty(b))) return false;
+  const numeric = isNumeric(a) && isNumeric(b);
+  const x = numeric ? Number(a) : String(a ?? '');
+  const y = numeric ? Number(b) : String(b ?? '');
+  switch (op) {
+    case '==': return x === y;
+    case '!=': return x !== y;
+    case '>': return x > y;
+    case '>=': return x >= y;
+    case '<': return x < y;
+    default: return x <= y;
+  }
+}
+
+const OPERATORS = ['>=', '<=', '==', '!=', '&&', '||', '>', '<', '=', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * 词法分析
+ * @param {string} text
+ * @returns {Array<{type: string, value: *}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+    const number = rest.match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'value', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    if (rest[0] === '"' || rest[0] === "'") {
+      const end = text.indexOf(rest[0], i + 1);
+      if (end < 0) throw new Error(`表达式中的文本缺少结束引号: ${text}`);
+      tokens.push({ type: 'value', value: text.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (rest[0] === '[') {
+      const end = text.indexOf(']', i);
+      if (end < 0) throw new Error(`表达式中的列名缺少 ]: ${text}`);
+      tokens.push({ type: 'column', value: text.slice(i + 1, end).trim() });
+      i = end + 1;
+      continue;
+    }
+    const op = OPERATORS.find(o => rest.startsWith(o));
+    if (op) {
+      tokens.push({ type: 'op', value: op === '=' ? '==' : op });
+      i += op.length;
+      continue;
+    }
+    // 其余连续字符都视为名称（支持中文列名）
+    const name = rest.match(/^[^\s"'[\]()<>=!&|+\-*/%?:,]+/)?.[0];
+    if (!name) throw new Error(`表达式「${text}」有误：无法识别的字符 ${rest[0]}`);
+    const lower = name.toLowerCase();
+    if (KEYWORDS[lower]) tokens.push({ type: 'op', value: KEYWORDS[lower] });
+    else if (lower === 'true' || lower === 'false') tokens.push({ type: 'value', value: lower === 'true' });
+    else if (lower === 'null') tokens.push({ type: 'value', value: '' });
+    else tokens.push({ type: 'name', value: name });
+    i += name.length;
+  }
+  return tokens;
+}
+
+// 二元运算符优先级
+const PRECEDENCE = { '||': 1, '&&': 2, '==': 3, '!=': 3, '>': 4, '>=': 4, '<': 4, '<=': 4, '+': 5, '-': 5, '*': 6, '/': 6, '%': 6 };
+
+/**
+ * 二元运算
+ * @param {string} op
+ * @param {*} a
+ * @param {*} b
+ * @returns {*}
+ */
+function binary(op, a, b) {
+  if (PRECEDENCE[op] >= 5) {
+    // 文本相加为拼接，否则空值参与运算结果为空
+    if (op === '+' && (!isNumeric(a) || !isNumeric(b)) && !isEmpty(a) && !isEmpty(b)) return `${a}${b}`;
+    if (isEmpty(a) || isEmpty(b)) return '';
+    const [x, y] = [Number(a), Number(b)];
+    return { '+': x + y, '-': x - y, '*': x * y, '/': y === 0 ? '' : x / y, '%': x % y }[op];
+  }
+  return compare(op, a, b);
+}
+
+/**
+ * 编译表达式
+ * @param {string|number|boolean} text - 表达式；数字和布尔值按常量处理
+ * @returns {Function} (row) => 值，row为行对象；引用不存在的列时抛错。函数的columns属性为表达式引用的列名
+ */
+export function compileExpression(text) {
+  if (typeof text !== 'string') return Object.assign(() => text, { columns: [] });
+  const tokens = tokenize(text);
+  const columns = new Set();
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = value => peek()?.type === 'op' && peek().value === value;
+  const expect = value => {
+    if (!isOp(value)) throw new Error(`表达式「${text}」有误：第${pos + 1}个记号处应为 ${value}`);
+    pos++;
+  };
+
+  // 返回 (row) => 值 的求值函数
+  const parseExpression = () => {
+    const condition = parseBinary(1);
+    if (!isOp('?')) return condition;
+    pos++;
+    const then = parseExpression();
+    expect(':');
+    const otherwise = parseExpression();
+    return row => condition(row) ? then(row) : otherwise(row);
+  };
+
+  const parseBinary = minPrecedence => {
+    let left = parseUnary();
+    while (peek()?.type === 'op' && PRECEDENCE[peek().value] >= minPrecedence) {
+      const op = tokens[pos++].value;
+      const right = parseBinary(PRECEDENCE[op] + 1);
+      const lhs = left;
+      if (op === '&&') left = row => Boolean(lhs(row)) && Boolean(right(row));
+      else if (op === '||') left = row => Boolean(lhs(row)) || Boolean(right(row));
+      else left = row => binary(op, lhs(row), right(row));
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('!')) {
+      // 作用于其后的整个比较（及算术）表达式，不止一个操作数
+      pos++;
+      const operand = parseBinary(PRECEDENCE['==']);
+      return row => !operand(row);
+    }
+    if (isOp('-')) {
+      pos++;
+      const operand = parseUnary();
+      return row => isEmpty(operand(row)) ? '' : -Number(operand(row));
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`表达式「${text}」不完整`);
+    if (token.type === 'value') return () => token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name' && isOp('(')) {
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`表达式「${text}」中的函数不存在: ${token.value}，可用: ${Object.keys(FUNCTIONS).join(', ')}`);
+      pos++;
+      const args = [];
+      while (!isOp(')')) {
+        args.push(parseExpression());
+        if (!isOp(')')) expect(',');
+      }
+      pos++;
+      return row => fn(...args.map(arg => arg(row)));
+    }
+    if (token.type === 'name' || token.type === 'column') {
+      columns.add(token.value);
+      return row => {
+        if (!(token.value in row)) throw new Error(`表达式「${text}」引用了不存在的列: ${token.value}`);
+        return row[token.value];
+      };
+    }
+    throw new Error(`表达式「${text}」有误：意外的 ${token.value}`);
+  };
+
+  const evaluate = parseExpression();
+  if (pos < tokens.length) throw new Error(`表达式「${text}」有误：多余的 ${tokens[pos].value}`);
+  return Object.assign(row => evaluate(row), { columns: [...columns] });
+}
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, toDate } from './expression.js';
+
+const row = { 部门: '财务部', 绩效评分: 4.5, 年度: '2024', '入职 日期': '2021-03-15', 备注: '' };
+
+test('运算优先级、比较和逻辑运算', () => {
+  assert.equal(compileExpression('1 + 2 * 3')(row), 7);
+  assert.equal(compileExpression('(1 + 2) * 3')(row), 9);
+  assert.equal(compileExpression('年度 == 2024 and 绩效评分 >= 4')(row), true);
+  assert.equal(compileExpression('部门 = "人力资源部" or not (绩效评分 < 3)')(row), true);
+  assert.equal(compileExpression('绩效评分 > 4 ? "优" : "良"')(row), '优');
+});
+
+test('方括号列名、函数和引用的列', () => {
+  const expression = compileExpression('year([入职 日期]) + round(绩效评分 * 2, 0)');
+  assert.equal(expression(row), 2030);
+  assert.deepEqual(expression.columns, ['入职 日期', '绩效评分']);
+  assert.equal(compileExpression('oneOf(部门, "财务部", "人力资源部")')(row), true);
+  assert.equal(compileExpression('coalesce(备注, "无")')(row), '无');
+});
+
+test('空单元格参与算术运算结果为空，除以0为空', () => {
+  assert.equal(compileExpression('备注 + 1')(row), '');
+  assert.equal(compileExpression('绩效评分 / 0')(row), '');
+  assert.equal(compileExpression(3)(row), 3);
+});
+
+test('语法错误和不存在的列', () => {
+  assert.throws(() => compileExpression('1 +'), /不完整/);
+  assert.throws(() => compileExpression('1 2'), /多余的/);
+  assert.throws(() => compileExpression('foo(1)'), /函数不存在: foo/);
+  assert.throws(() => compileExpression('工龄 > 3')(row), /不存在的列: 工龄/);
+});
+
+test('toDate 支持文本日期和Excel日期序号', () => {
+  assert.equal(toDate('2024年3月5日').toISOString().slice(0, 10), '2024-03-05');
+  assert.equal(toDate(45292).toISOString().slice(0, 10), '2024-01-01');
+  assert.equal(toDate('不是日期'), null);
+});
+
+test('空单元格参与大小比较时为假，只有 == 和 != 与空值比较', () => {
+  const empty = { 绩效评分: '' };
+  ['绩效评分 < 3.5', '绩效评分 >= 0', '绩效评分 > 3', '绩效评分 <= 5', '3 > 绩效评分'].forEach(text => {
+    assert.equal(compileExpression(text)(empty), false, text);
+  });
+  assert.equal(compileExpression('绩效评分 == null')(empty), true);
+  assert.equal(compileExpression('绩效评分 != ""')(empty), false);
+  assert.equal(compileExpression('绩效评分 != 3')(empty), true);
+});
+
+test('not 的优先级低于比较、高于 and/or', () => {
+  assert.equal(compileExpression('not 绩效评分 > 3')({ 绩效评分: 4 }), false);
+  assert.equal(compileExpression('not 绩效评分 > 3')({ 绩效评分: 2 }), true);
+  assert.equal(compileExpression('!部门 == "财务部"')(row), false);
+  assert.equal(compileExpression('not 年度 == 2023 and 绩效评分 > 4')(row), true);
+  assert.equal(compileExpression('not 年度 == 2024 or 绩效评分 > 4')(row), true);
+  assert.equal(compileExpression('-绩效评分 + 1')(row), -3.5);
+});
@@ -0,0 +1,161 @@
+/**
+ * 按关联列连接两张表
+ * 行数据均为对象数组（表头为key），与 xlsx.utils.sheet_to_json 的结果一致
+ *
+ * 关键说明：
+ * - 连接方式：inner（只保留两边都有的键）、left（保留左表全部行）、full（两边的行都保留）
+ * - 关联列可以是多列（如 员工ID + 年度），值按去掉首尾空白的文本比较，1001 与 "1001" 视为同一个键
+ * - 一对多时左表的行会重复（如一名员工对应四个季度的绩效）
+ * - 两表除关联列外的同名列按collision处理：suffix 两边都加上表名后缀，left/right 只保留一边，error 直接报错
+ * - 没有匹配上的行（含关联列为空的行）全部列入未匹配清单，并注明是否仍保留在连接结果中
+ * - sourceColumn（如「数据来源」）不参与关联和同名列处理，连接后两边的取值用 + 拼接
+ */
+
+export const JOIN_TYPES = ['inner', 'left', 'full'];
+export const COLLISION_STRATEGIES = ['suffix', 'left', 'right', 'error'];
+
+/**
+ * 取表格的列名（按首次出现的顺序）
+ * @param {Array<Object>} rows
+ * @returns {string[]}
+ */
+export function columnsOf(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return [...columns];
+}
+
+/**
+ * 两表共有的列，未指定关联列时以此作为关联列
+ * @param {Array<Object>} left
+ * @param {Array<Object>} right
+ * @param {string[]} [exclude=[]] - 不计入的列
+ * @returns {string[]}
+ */
+export function commonColumns(left, right, exclude = []) {
+  const rightColumns = new Set(columnsOf(right));
+  return columnsOf(left).filter(column => rightColumns.has(column) && !exclude.includes(column));
+}
+
+/**
+ * 生成行的关联键，任一关联列为空时返回null
+ * @param {Object} row
+ * @param {string[]} on
+ * @returns {string|null}
+ */
+function keyOf(row, on) {
+  const values = on.map(column => String(row[column] ?? '').trim());
+  return values.some(value => value === '') ? null : values.join('\u0001');
+}
+
+/**
+ * 按collision策略确定两边非关联列在结果中的列名
+ * @param {string[]} leftColumns
+ * @param {string[]} rightColumns
+ * @param {Object} options - { on, collision, names, sourceColumn }
+ * @returns {{left: Map<string, string>, right: Map<string, string>, collisions: string[]}} 原列名 → 结果列名
+ */
+function resolveColumns(leftColumns, rightColumns, { on, collision, names, sourceColumn }) {
+  const skipped = [...on, sourceColumn];
+  const collisions = leftColumns.filter(column => !skipped.includes(column) && rightColumns.includes(column));
+  if (collisions.length && collision === 'error') {
+    throw new Error(`${names[0]} 与 ${names[1]} 有同名列: ${collisions.join('、')}，请改用 --collision suffix/left/right 或修改表头`);
+  }
+  const rename = (columns, side) => new Map(columns
+    .filter(column => !skipped.includes(column))
+    .filter(column => !collisions.includes(column) || collision === 'suffix' || collision === side)
+    .map(column => [column, collisions.includes(column) && collision === 'suffix' ? `${column}_${names[side === 'left' ? 0 : 1]}` : column]));
+  return { left: rename(leftColumns, 'left'), right: rename(rightColumns, 'right'), collisions };
+}
+
+/**
+ * 连接两张表
+ * @param {Array<Object>} left - 左表行数据
+ * @param {Array<Object>} right - 右表行数据
+ * @param {Object} [options]
+ * @param {string[]} [options.on] - 关联列，缺省为两表共有的列
+ * @param {'inner'|'left'|'full'} [options.how='left'] - 连接方式
+ * @param {'suffix'|'left'|'right'|'error'} [options.collision='suffix'] - 同名列处理方式
+ * @param {string[]} [options.names=['左表', '右表']] - 两表名称，用于同名列后缀和未匹配清单
+ * @param {string} [options.sourceColumn] - 来源列，连接时合并两边的取值
+ * @returns {Object} { rows, columns, unmatched, unmatchedColumns, stats: { left, right, matched, leftOnly, rightOnly, rows }, on, collisions }
+ *   unmatched为 [{ 来源, 行号, 关联键, 原因, 已保留, ...原始行 }]，行号为Excel中的行号（表头占第1行）；
+ *   有sourceColumn时行号由来源列给出，不再单独输出
+ */
+export function joinTables(left, right, { on, how = 'left', collision = 'suffix', names = ['左表', '右表'], sourceColumn } = {}) {
+  if (!JOIN_TYPES.includes(how)) throw new Error(`未知的连接方式: ${how}，可选值: ${JOIN_TYPES.join(', ')}`);
+  if (!COLLISION_STRATEGIES.includes(collision)) {
+    throw new Error(`未知的同名列处理方式: ${collision}，可选值: ${COLLISION_STRATEGIES.join(', ')}`);
+  }
+  const keys = on?.length ? on : commonColumns(left, right, [sourceColumn]);
+  if (!keys.length) throw new Error(`${names[0]} 与 ${names[1]} 没有同名列，请用 --on 指定关联列`);
+
+  const leftColumns = columnsOf(left);
+  const rightColumns = columnsOf(right);
+  // 空表（如筛选后没有行）没有列名，不做检查
+  const missing = [[names[0], left, leftColumns], [names[1], right, rightColumns]]
+    .filter(([, rows]) => rows.length)
+    .flatMap(([name, , columns]) => keys.filter(key => !columns.includes(key)).map(key => `${name}.${key}`));
+  if (missing.length) throw new Error(`关联列不存在: ${missing.join('、')}`);
+
+  const mapping = resolveColumns(leftColumns, rightColumns, { on: keys, collision, names, sourceColumn });
+  const hasSource = Boolean(sourceColumn) && (leftColumns.includes(sourceColumn) || rightColumns.includes(sourceColumn));
+  const columns = [...keys, ...mapping.left.values(), ...mapping.right.values(), ...(hasSource ? [sourceColumn] : [])];
+
+  // 右表按关联键分组
+  const rightGroups = new Map();
+  right.forEach((row, index) => {
+    const key = keyOf(row, keys);
+    if (key === null) return;
+    if (!rightGroups.has(key)) rightGroups.set(key, []);
+    rightGroups.get(key).push(index);
+  });
+
+  const pick = (row, renames) => Object.fromEntries([...renames].map(([from, to]) => [to, row[from] ?? '']));
+  const keyValues = row => Object.fromEntries(keys.map(key => [key, row[key] ?? '']));
+  const emptyOf = renames => Object.fromEntries([...renames.values()].map(column => [column, '']));
+  const sourceOf = (...sides) => hasSource ? { [sourceColumn]: sides.map(row => row?.[sourceColumn]).filter(Boolean).join(' + ') } : {};
+
+  const rows = [];
+  const unmatched = [];
+  const matchedRight = new Set();
+  const stats = { left: left.length, right: right.length, matched: 0, leftOnly: 0, rightOnly: 0, rows: 0 };
+  const report = (name, row, index, reason, kept) => unmatched.push({
+    来源: name,
+    ...(hasSource ? {} : { 行号: index + 2 }),
+    关联键: keys.map(key => row[key] ?? '').join(' / '),
+    原因: reason,
+    已保留: kept ? '是' : '否',
+    ...row
+  });
+
+  left.forEach((row, index) => {
+    const key = keyOf(row, keys);
+    const matches = key === null ? [] : rightGroups.get(key) || [];
+    if (matches.length) {
+      stats.matched++;
+      matches.forEach(i => {
+        matchedRight.add(i);
+        rows.push({ ...keyValues(row), ...pick(row, mapping.left), ...pick(right[i], mapping.right), ...sourceOf(row, right[i]) });
+      });
+      return;
+    }
+    stats.leftOnly++;
+    const kept = how !== 'inner';
+    if (kept) rows.push({ ...keyValues(row), ...pick(row, mapping.left), ...emptyOf(mapping.right), ...sourceOf(row) });
+    report(names[0], row, index, key === null ? '关联列为空' : `在${names[1]}中没有匹配`, kept);
+  });
+
+  right.forEach((row, index) => {
+    if (matchedRight.has(index)) return;
+    stats.rightOnly++;
+    const kept = how === 'full';
+    if (kept) rows.push({ ...keyValues(row), ...emptyOf(mapping.left), ...pick(row, mapping.right), ...sourceOf(row) });
+    report(names[1], row, index, keyOf(row, keys) === null ? '关联列为空' : `在${names[0]}中没有匹配`, kept);
+  });
+
+  stats.rows = rows.length;
+  const reportColumns = ['来源', ...(hasSource ? [] : ['行号']), '关联键', '原因', '已保留'];
+  const unmatchedColumns = [...reportColumns, ...columnsOf(unmatched).filter(column => !reportColumns.includes(column))];
+  return { rows, columns, unmatched, unmatchedColumns, stats, on: keys, collisions: mapping.collisions };
+}
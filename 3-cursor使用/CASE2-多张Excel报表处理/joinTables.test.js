@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { joinTables } from './joinTables.js';
+
+const employees = [
+  { 员工ID: 1001, 姓名: '张三', 备注: '在职' },
+  { 员工ID: '1002', 姓名: '李四', 备注: '' },
+  { 员工ID: '', 姓名: '王五', 备注: '' }
+];
+const scores = [
+  { 员工ID: '1001', 季度: 'Q1', 备注: '优' },
+  { 员工ID: '1001', 季度: 'Q2', 备注: '' },
+  { 员工ID: '1003', 季度: 'Q1', 备注: '' }
+];
+const options = { on: ['员工ID'], names: ['员工', '绩效'] };
+
+test('inner 只保留两边都有的键，一对多时左表行重复，数字与文本键视为相同', () => {
+  const { rows, stats } = joinTables(employees, scores, { ...options, how: 'inner' });
+  assert.deepEqual(rows.map(row => [row.姓名, row.季度]), [['张三', 'Q1'], ['张三', 'Q2']]);
+  assert.deepEqual(stats, { left: 3, right: 3, matched: 1, leftOnly: 2, rightOnly: 1, rows: 2 });
+});
+
+test('left 保留左表全部行，full 再加上右表未匹配的行', () => {
+  assert.equal(joinTables(employees, scores, { ...options, how: 'left' }).rows.length, 4);
+  const { rows, unmatched } = joinTables(employees, scores, { ...options, how: 'full' });
+  assert.deepEqual(rows.at(-1), { 员工ID: '1003', 姓名: '', 备注_员工: '', 季度: 'Q1', 备注_绩效: '' });
+  assert.deepEqual(unmatched.map(row => [row.来源, row.行号, row.原因, row.已保留]), [
+    ['员工', 3, '在绩效中没有匹配', '是'],
+    ['员工', 4, '关联列为空', '是'],
+    ['绩效', 4, '在员工中没有匹配', '是']
+  ]);
+});
+
+test('同名列按collision处理', () => {
+  const row = strategy => joinTables(employees, scores, { ...options, how: 'inner', collision: strategy }).rows[0];
+  assert.deepEqual(Object.keys(row('suffix')), ['员工ID', '姓名', '备注_员工', '季度', '备注_绩效']);
+  assert.equal(row('left').备注, '在职');
+  assert.equal(row('right').备注, '优');
+  assert.throws(() => row('error'), /有同名列: 备注/);
+});
+
+test('来源列不参与关联，连接后两边的取值拼接', () => {
+  const left = [{ ID: 1, 数据来源: 'A.xlsx[Sheet1]第2行' }];
+  const right = [{ ID: 1, 分数: 3, 数据来源: 'B.xlsx[Sheet1]第5行' }];
+  const { rows, on } = joinTables(left, right, { sourceColumn: '数据来源' });
+  assert.deepEqual(on, ['ID']);
+  assert.deepEqual(rows, [{ ID: 1, 分数: 3, 数据来源: 'A.xlsx[Sheet1]第2行 + B.xlsx[Sheet1]第5行' }]);
+});
+
+test('参数错误', () => {
+  assert.throws(() => joinTables(employees, scores, { ...options, how: 'right' }), /未知的连接方式/);
+  assert.throws(() => joinTables(employees, scores, { on: ['部门'] }), /关联列不存在: 左表\.部门、右表\.部门/);
+  assert.throws(() => joinTables([{ a: 1 }], [{ b: 1 }]), /没有同名列/);
+});
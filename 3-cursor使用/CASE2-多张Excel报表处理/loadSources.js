@@ -0,0 +1,200 @@
+/**
+ * 读取多个工作簿/工作表并对齐表头
+ *
+ * 输入写法：<文件>[#<工作表>]
+ * - 文件：input目录下的文件名或绝对路径，支持通配符 * 和 ?（如 绩效*.xlsx）
+ * - 工作表：名称、序号（从1开始）或通配符，多个用逗号分隔（如 #1、#Sheet1、#2024*、#*）；缺省为第一个工作表
+ *
+ * 关键说明：
+ * - 列名映射文件把不同叫法的表头统一为同一个列名，格式为 { "标准列名": ["别名", ...] }，
+ *   如 { "员工ID": ["工号", "员工编号"] }；表头首尾的空白会被去掉
+ * - 每一行都会加上「数据来源」列，记录来源文件、工作表和Excel行号，如 员工绩效表.xlsx[Sheet1]第5行
+ * - 表头（对齐后）完全相同的来源可直接上下拼接，见 groupBySchema
+ */
+
+import fs from 'fs';
+import path from 'path';
+import xlsx from 'xlsx';
+
+export const SOURCE_COLUMN = '数据来源';
+
+/**
+ * 通配符转正则（* 匹配任意字符，? 匹配单个字符）
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const isGlob = text => /[*?]/.test(text);
+
+/**
+ * 按选择器挑选工作表
+ * @param {string[]} sheetNames - 工作簿中的工作表名
+ * @param {string} [selector] - 名称、序号（从1开始）或通配符，逗号分隔多个；缺省为第一个
+ * @returns {string[]} 选中的工作表名（按工作簿中的顺序，去重）
+ */
+export function selectSheets(sheetNames, selector) {
+  if (!selector) return sheetNames.slice(0, 1);
+  const selected = new Set();
+  selector.split(/[,，]/).map(s => s.trim()).filter(Boolean).forEach(item => {
+    // 名称优先，其次序号，最后通配符
+    let matches;
+    if (sheetNames.includes(item)) {
+      matches = [item];
+    } else if (/^\d+$/.test(item)) {
+      matches = sheetNames[Number(item) - 1] ? [sheetNames[Number(item) - 1]] : [];
+    } else {
+      matches = isGlob(item) ? sheetNames.filter(name => globToRegExp(item).test(name)) : [];
+    }
+    if (!matches.length) throw new Error(`没有匹配「${item}」的工作表，可选: ${sheetNames.map((name, i) => `${i + 1}.${name}`).join('、')}`);
+    matches.forEach(name => selected.add(name));
+  });
+  return sheetNames.filter(name => selected.has(name));
+}
+
+/**
+ * 解析输入写法 "<文件>[#<工作表>]"
+ * @param {string} spec
+ * @returns {{pattern: string, sheets: string|undefined}}
+ */
+export function parseInputSpec(spec) {
+  const index = spec.lastIndexOf('#');
+  return index > 0
+    ? { pattern: spec.slice(0, index), sheets: spec.slice(index + 1) }
+    : { pattern: spec, sheets: undefined };
+}
+
+/**
+ * 展开文件（支持文件名中的通配符）
+ * @param {string} pattern - 文件名或路径，相对路径基于inputDir
+ * @param {string} inputDir
+ * @returns {string[]} 绝对路径，按文件名排序
+ */
+function expandFiles(pattern, inputDir) {
+  const full = path.resolve(inputDir, pattern);
+  if (!isGlob(path.basename(full))) {
+    if (!fs.existsSync(full)) throw new Error(`输入文件不存在: ${full}`);
+    return [full];
+  }
+  const dir = path.dirname(full);
+  const regexp = globToRegExp(path.basename(full));
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(name => regexp.test(name) && !name.startsWith('~$')).sort().map(name => path.join(dir, name))
+    : [];
+  if (!files.length) throw new Error(`没有匹配「${pattern}」的文件（目录: ${dir}）`);
+  return files;
+}
+
+/**
+ * 读取列名映射文件
+ * @param {string} [file] - JSON文件 { "标准列名": ["别名", ...] }，不存在时返回空映射
+ * @returns {Map<string, string>} 别名 → 标准列名
+ */
+export function loadColumnMap(file) {
+  const aliases = new Map();
+  if (!file || !fs.existsSync(file)) return aliases;
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  Object.entries(config).forEach(([canonical, names]) => {
+    [].concat(names).forEach(name => {
+      const alias = String(name).trim();
+      if (aliases.has(alias) && aliases.get(alias) !== canonical) {
+        throw new Error(`列名映射冲突: 「${alias}」同时映射到「${aliases.get(alias)}」和「${canonical}」`);
+      }
+      aliases.set(alias, canonical);
+    });
+  });
+  return aliases;
+}
+
+/**
+ * 对齐表头：去掉首尾空白并按映射改为标准列名
+ * @param {Array<Object>} rows
+ * @param {Map<string, string>} columnMap - 别名 → 标准列名
+ * @param {string} [label] - 来源描述，用于报错
+ * @returns {Array<Object>}
+ */
+export function alignColumns(rows, columnMap, label = '') {
+  return rows.map(row => {
+    const aligned = {};
+    Object.entries(row).forEach(([key, value]) => {
+      const column = columnMap.get(key.trim()) || key.trim();
+      // 同一张表里别名和标准列名同时出现时取非空的一个，两个都有值且不同则报错
+      if (column in aligned && aligned[column] !== '' && value !== '' && aligned[column] !== value) {
+        throw new Error(`${label} 中「${key}」与「${column}」映射为同一列但取值不同，请检查列名映射`);
+      }
+      if (!(column in aligned) || aligned[column] === '') aligned[column] = value;
+    });
+    return aligned;
+  });
+}
+
+/**
+ * 读取工作表第一行的表头（对齐后），数据行为空时也能得到列名
+ * @param {Object} worksheet
+ * @param {Map<string, string>} columnMap
+ * @returns {string[]}
+ */
+function headerOf(worksheet, columnMap) {
+  const [header = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+  const columns = header.map(cell => String(cell).trim()).filter(Boolean).map(column => columnMap.get(column) || column);
+  return [...new Set(columns)];
+}
+
+/**
+ * 读取多个输入
+ * @param {string[]} specs - 输入写法，见文件头说明
+ * @param {Object} options
+ * @param {string} options.inputDir - 相对路径的基准目录
+ * @param {Map<string, string>} [options.columnMap] - loadColumnMap的结果
+ * @returns {Array<Object>} [{ file, sheet, label, name, rows, columns }]，rows已对齐表头并带有数据来源列
+ */
+export function loadSources(specs, { inputDir, columnMap = new Map() }) {
+  return specs.flatMap(spec => {
+    const { pattern, sheets } = parseInputSpec(spec);
+    return expandFiles(pattern, inputDir).flatMap(file => {
+      const workbook = xlsx.readFile(file);
+      const fileName = path.basename(file);
+      const selected = selectSheets(workbook.SheetNames, sheets);
+      return selected.map(sheet => {
+        const label = `${fileName}[${sheet}]`;
+        const raw = xlsx.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '' });
+        // __rowNum__ 是sheet_to_json附带的行索引（从0开始），跳过空行时也准确
+        const rows = alignColumns(raw, columnMap, label)
+          .map((row, i) => ({ ...row, [SOURCE_COLUMN]: `${label}第${raw[i].__rowNum__ + 1}行` }));
+        return {
+          file,
+          sheet,
+          label,
+          // 一个文件只取一个工作表时用文件名称呼，否则带上工作表名
+          name: selected.length > 1 ? `${path.basename(file, path.extname(file))}-${sheet}` : path.basename(file, path.extname(file)),
+          rows,
+          columns: headerOf(workbook.Sheets[sheet], columnMap)
+        };
+      });
+    });
+  });
+}
+
+/**
+ * 把表头相同的来源分为一组（组内上下拼接，组间再按关联列连接）
+ * @param {Array<Object>} sources - loadSources的结果
+ * @returns {Array<Object>} [{ name, labels, rows, columns }]，按首次出现的顺序
+ */
+export function groupBySchema(sources) {
+  const groups = new Map();
+  sources.forEach(source => {
+    const signature = [...source.columns].sort().join('\u0001');
+    if (!groups.has(signature)) groups.set(signature, { names: [], labels: [], rows: [], columns: source.columns });
+    const group = groups.get(signature);
+    group.names.push(source.name);
+    group.labels.push(source.label);
+    group.rows.push(...source.rows);
+  });
+  return [...groups.values()].map(({ names, ...group }) => ({
+    ...group,
+    name: names.length > 1 ? `${names[0]}等${names.length}个表` : names[0]
+  }));
+}
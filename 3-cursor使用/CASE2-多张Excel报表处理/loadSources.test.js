@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import xlsx from 'xlsx';
+import { globToRegExp, selectSheets, parseInputSpec, alignColumns, loadSources, groupBySchema, SOURCE_COLUMN } from './loadSources.js';
+
+/**
+ * 在临时目录写一个工作簿 { 工作表名: 行数据 }
+ */
+function writeWorkbook(dir, file, sheets) {
+  const workbook = xlsx.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), name));
+  xlsx.writeFile(workbook, path.join(dir, file));
+}
+
+test('globToRegExp 和 parseInputSpec', () => {
+  assert.ok(globToRegExp('绩效*.xlsx').test('绩效2024.xlsx'));
+  assert.ok(!globToRegExp('绩效?.xlsx').test('绩效12.xlsx'));
+  assert.deepEqual(parseInputSpec('绩效.xlsx#2024*'), { pattern: '绩效.xlsx', sheets: '2024*' });
+  assert.deepEqual(parseInputSpec('绩效.xlsx'), { pattern: '绩效.xlsx', sheets: undefined });
+});
+
+test('selectSheets 按名称、序号和通配符选择', () => {
+  const names = ['Sheet1', '2024Q1', '2024Q2', '汇总'];
+  assert.deepEqual(selectSheets(names), ['Sheet1']);
+  assert.deepEqual(selectSheets(names, '2'), ['2024Q1']);
+  assert.deepEqual(selectSheets(names, '汇总,2024*'), ['2024Q1', '2024Q2', '汇总']);
+  assert.throws(() => selectSheets(names, '2023*'), /没有匹配「2023\*」的工作表/);
+});
+
+test('alignColumns 按映射统一列名，冲突时报错', () => {
+  const columnMap = new Map([['工号', '员工ID']]);
+  assert.deepEqual(alignColumns([{ ' 工号 ': 1, 姓名: '张三' }], columnMap), [{ 员工ID: 1, 姓名: '张三' }]);
+  assert.deepEqual(alignColumns([{ 工号: '', 员工ID: 2 }], columnMap), [{ 员工ID: 2 }]);
+  assert.throws(() => alignColumns([{ 工号: 1, 员工ID: 2 }], columnMap, 'a.xlsx'), /映射为同一列但取值不同/);
+});
+
+test('loadSources 只选一个工作表时用文件名称呼，选多个时带上工作表名', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  writeWorkbook(dir, '绩效.xlsx', { Sheet1: [{ 工号: 1, 评分: 4 }], Sheet2: [{ 员工ID: 2, 绩效评分: 3 }] });
+  const columnMap = new Map([['工号', '员工ID'], ['评分', '绩效评分']]);
+
+  const [single] = loadSources(['绩效.xlsx'], { inputDir: dir, columnMap });
+  assert.equal(single.name, '绩效');
+  assert.equal(single.rows[0][SOURCE_COLUMN], '绩效.xlsx[Sheet1]第2行');
+
+  const both = loadSources(['绩效.xlsx#*'], { inputDir: dir, columnMap });
+  assert.deepEqual(both.map(source => source.name), ['绩效-Sheet1', '绩效-Sheet2']);
+
+  // 表头对齐后相同的表合为一组上下拼接
+  const [group] = groupBySchema(both);
+  assert.deepEqual(group.columns, ['员工ID', '绩效评分']);
+  assert.equal(group.rows.length, 2);
+  fs.rmSync(dir, { recursive: true });
+});
@@ -1,12 +1,48 @@
 /**
- * 合并input文件夹下的两个Excel表格，并输出到output/merged.xlsx
- * 使用xlsx库实现，ESM语法
+ * 合并input文件夹下的Excel表格，并输出到output/merged.xlsx
+ * 使用xlsx库读取、exceljs写出带格式的表格，ESM语法
+ *
+ * 支持任意多个工作簿和工作表：表头（按列名映射对齐后）相同的表上下拼接，不同的表按关联列连接
+ * （如员工基本信息表与员工绩效表按「员工ID」连接），而不是直接拼接行：
+ * - Merged 工作表：合并结果，「数据来源」列记录每一行来自哪个文件、工作表和行；绩效评分低于 --low-score 的行标红
+ * - 部门汇总 工作表：按 --summary-by 分组的记录数、平均绩效等，均为引用 Merged 的公式，修改明细后自动重算
+ * - Unmatched 工作表：没有匹配上的行及原因
+ * - Validation 工作表：按 validation/merged.yaml 校验合并结果发现的问题（规则写法见 validateRows.js）
+ *
+ * 使用方式：
+ *   node mergeExcel.js
+ *   node mergeExcel.js --how inner --on 员工ID --collision right
+ *   node mergeExcel.js --input 员工基本信息表.xlsx --input "绩效*.xlsx#2024*" --map columnMap.json
+ *
+ * 参数：
+ *   --input      输入，可重复；写法为 <文件>[#<工作表>]，文件和工作表都支持通配符，工作表也可写序号（从1开始）；
+ *                缺省为input目录下全部xlsx文件的第一个工作表
+ *   --map        列名映射文件，缺省为本目录的 columnMap.json（如 { "员工ID": ["工号", "员工编号"] }）
+ *   --how        连接方式：inner、left（默认，保留第一张表的全部行）、full
+ *   --on         关联列，多列用逗号分隔；缺省为两表共有的列
+ *   --collision  同名列处理：suffix（默认，加表名后缀）、left、right、error
+ *   --output     输出文件，缺省为 output/merged.xlsx
+ *   --rules      校验规则文件，缺省为 validation/merged.yaml（文件不存在时不校验）
+ *   --html       另外输出HTML校验报告
+ *   --score-column  绩效评分列，缺省为 绩效评分（用于标红和汇总）
+ *   --low-score     低绩效分数线，缺省为3.5，低于该分数的行标红
+ *   --summary-by    汇总工作表的分组列，缺省为 部门；该列不存在时不生成汇总
+ *   --skip-validation  不做校验
+ *
+ * 退出码：成功为0，合并出错为1，校验有error级别的问题为2（文件照常写出）
  */
 
 import fs from 'fs';
 import path from 'path';
-import xlsx from 'xlsx';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { joinTables } from './joinTables.js';
+import { loadSources, loadColumnMap, groupBySchema, SOURCE_COLUMN } from './loadSources.js';
+import {
+  loadRules, validateRows, issueRows, renderHtmlReport, summarize,
+  ISSUE_COLUMNS, VALIDATION_SHEET, VALIDATION_FAILED_EXIT_CODE
+} from './validateRows.js';
+import { createWorkbook, addStyledSheet, addSummarySheet, saveWorkbook, SALARY_PATTERN } from './styledWorkbook.js';
 
 // 获取__dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -15,39 +51,125 @@ const __dirname = path.dirname(__filename);
 // 输入输出文件夹
 const inputDir = path.join(__dirname, 'input');
 const outputDir = path.join(__dirname, 'output');
-const outputFile = path.join(outputDir, 'merged.xlsx');
 
-// 读取input目录下所有xlsx文件
-const files = fs.readdirSync(inputDir).filter(f => f.endsWith('.xlsx'));
-if (files.length < 2) {
-  console.error('input文件夹下需至少有两个xlsx文件');
+const { values } = parseArgs({
+  options: {
+    input: { type: 'string', multiple: true, default: ['*.xlsx'] },
+    map: { type: 'string', default: path.join(__dirname, 'columnMap.json') },
+    how: { type: 'string', default: 'left' },
+    on: { type: 'string' },
+    collision: { type: 'string', default: 'suffix' },
+    output: { type: 'string', default: path.join(outputDir, 'merged.xlsx') },
+    rules: { type: 'string', default: path.join(__dirname, 'validation', 'merged.yaml') },
+    html: { type: 'string' },
+    'score-column': { type: 'string', default: '绩效评分' },
+    'low-score': { type: 'string', default: '3.5' },
+    'summary-by': { type: 'string', default: '部门' },
+    'skip-validation': { type: 'boolean', default: false }
+  }
+});
+
+let groups;
+let merged;
+try {
+  const sources = loadSources(values.input, { inputDir, columnMap: loadColumnMap(values.map) });
+  sources.forEach(source => console.log(`读取 ${source.label}: ${source.rows.length}行`));
+  groups = groupBySchema(sources);
+  if (groups.length < 2 && sources.length < 2) throw new Error('至少需要两个表格，可用 --input 指定');
+
+  // 表头相同的表已在组内上下拼接，各组依次按关联列连接
+  const on = values.on?.split(/[,，]/).map(s => s.trim()).filter(Boolean);
+  merged = { rows: groups[0].rows, columns: [], unmatched: [], unmatchedColumns: [], name: groups[0].name };
+  groups.slice(1).forEach(group => {
+    const result = joinTables(merged.rows, group.rows, {
+      on,
+      how: values.how,
+      collision: values.collision,
+      names: [merged.name, group.name],
+      sourceColumn: SOURCE_COLUMN
+    });
+    const { stats } = result;
+    console.log(`${merged.name}（${stats.left}行） ${values.how} join ${group.name}（${stats.right}行），关联列: ${result.on.join(', ')}`);
+    if (result.collisions.length) console.log(`同名列（${values.collision}）: ${result.collisions.join('、')}`);
+    console.log(`匹配 ${stats.matched} 行，仅${merged.name} ${stats.leftOnly} 行，仅${group.name} ${stats.rightOnly} 行，结果 ${stats.rows} 行`);
+    merged = {
+      rows: result.rows,
+      columns: result.columns,
+      unmatched: [...merged.unmatched, ...result.unmatched],
+      unmatchedColumns: [...new Set([...merged.unmatchedColumns, ...result.unmatchedColumns])],
+      name: `${merged.name}+${group.name}`
+    };
+  });
+  if (groups.length === 1) {
+    console.log(`${groups[0].labels.length}个表的表头相同，直接上下拼接，共 ${merged.rows.length} 行`);
+    merged.columns = [...groups[0].columns, SOURCE_COLUMN];
+  }
+} catch (err) {
+  console.error('合并失败:', err.message);
   process.exit(1);
 }
 
-// 读取第一个表格
-const wb1 = xlsx.readFile(path.join(inputDir, files[0]));
-const ws1 = wb1.Sheets[wb1.SheetNames[0]];
-const data1 = xlsx.utils.sheet_to_json(ws1, { defval: '' });
-
-// 读取第二个表格
-const wb2 = xlsx.readFile(path.join(inputDir, files[1]));
-const ws2 = wb2.Sheets[wb2.SheetNames[0]];
-const data2 = xlsx.utils.sheet_to_json(ws2, { defval: '' });
+const scoreColumn = values['score-column'];
+const lowScore = Number(values['low-score']);
+if (Number.isNaN(lowScore)) {
+  console.error(`--low-score 应为数字: ${values['low-score']}`);
+  process.exit(1);
+}
 
-// 合并数据（假设表头一致，直接合并）
-const mergedData = [ ...data1, ...data2 ];
+// 创建新工作簿：合并结果（冻结首列，低绩效整行标红） + 汇总 + 未匹配的行
+const newWb = createWorkbook();
+addStyledSheet(newWb, 'Merged', merged.rows, {
+  columns: merged.columns,
+  freezeColumns: 1,
+  highlight: { column: scoreColumn, below: lowScore }
+});
 
-// 创建新工作簿和工作表
-const newWb = xlsx.utils.book_new();
-const newWs = xlsx.utils.json_to_sheet(mergedData);
-xlsx.utils.book_append_sheet(newWb, newWs, 'Merged');
+// 汇总工作表：记录数、平均绩效、低绩效记录数，以及薪资类列的合计，均为引用 Merged 的公式
+const summaryBy = values['summary-by'];
+if (merged.columns.includes(summaryBy)) {
+  const hasScore = merged.columns.includes(scoreColumn);
+  const measures = [
+    { name: '记录数', type: 'count' },
+    ...(hasScore ? [
+      { name: `平均${scoreColumn}`, type: 'average', column: scoreColumn },
+      { name: `低于${lowScore}分记录数`, type: 'countIf', column: scoreColumn, criteria: `<${lowScore}` }
+    ] : []),
+    ...merged.columns
+      .filter(column => SALARY_PATTERN.test(column) && merged.rows.some(row => typeof row[column] === 'number'))
+      .map(column => ({ name: `${column}合计`, type: 'sum', column }))
+  ];
+  addSummarySheet(newWb, `${summaryBy}汇总`, { sheet: 'Merged', rows: merged.rows, columns: merged.columns, groupBy: summaryBy, measures });
+} else {
+  console.log(`合并结果中没有「${summaryBy}」列，不生成汇总工作表`);
+}
+addStyledSheet(newWb, 'Unmatched', merged.unmatched, { columns: merged.unmatchedColumns });
 
-// 确保输出目录存在
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir);
+// 校验合并结果，问题清单写入 Validation 工作表
+let validation = null;
+if (!values['skip-validation'] && fs.existsSync(values.rules)) {
+  try {
+    validation = validateRows(merged.rows, loadRules(values.rules), { columns: merged.columns });
+  } catch (err) {
+    console.error('校验规则有误:', err.message);
+    process.exit(1);
+  }
+  addStyledSheet(newWb, VALIDATION_SHEET, issueRows(validation), { columns: ISSUE_COLUMNS });
 }
 
-// 写入合并后的Excel文件
-xlsx.writeFile(newWb, outputFile);
+// 写入合并后的Excel文件（自动创建输出目录）
+await saveWorkbook(newWb, values.output);
 
-console.log('合并完成，输出文件：', outputFile);
+console.log('合并完成，输出文件：', values.output);
+
+if (validation) {
+  console.log(summarize(validation));
+  if (values.html) {
+    fs.mkdirSync(path.dirname(path.resolve(values.html)), { recursive: true });
+    fs.writeFileSync(values.html, renderHtmlReport(validation, { source: path.basename(values.output) }), 'utf-8');
+    console.log('HTML校验报告：', values.html);
+  }
+  if (!validation.passed) {
+    console.log(`请查看 ${VALIDATION_SHEET} 工作表中的问题`);
+    process.exitCode = VALIDATION_FAILED_EXIT_CODE;
+  }
+}
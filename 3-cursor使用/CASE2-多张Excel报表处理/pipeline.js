@@ -0,0 +1,354 @@
+/**
+ * Excel处理流水线
+ * 按YAML/JSON配置依次执行读取、连接、筛选、计算列、分组汇总、透视和写出，不用改JavaScript就能生成报表
+ *
+ * 使用方式：
+ *   node pipeline.js pipelines/部门平均绩效.yaml
+ *
+ * 配置示例：
+ *   name: 部门平均绩效
+ *   steps:
+ *     - load: 员工基本信息表.xlsx
+ *       as: 员工
+ *     - load: 员工绩效表.xlsx
+ *     - join: 员工
+ *       on: 员工ID
+ *     - groupBy: 部门
+ *       aggregate:
+ *         平均绩效: avg(绩效评分)
+ *     - write: 部门平均绩效.xlsx
+ *
+ * 步骤（每步只写一种）：
+ *   load     读取输入，写法同 mergeExcel 的 --input（<文件>[#<工作表>]），可写列表；多个来源上下拼接
+ *   join     与指定的表按关联列连接，可选 on、how（inner/left/full，默认left）、collision、unmatchedAs（未匹配行另存为表）
+ *   filter   保留表达式为真的行，如 年度 == 2024 and 绩效评分 >= 3
+ *   derive   新增或覆盖列 { 列名: 表达式 }，按顺序计算，后面的列可引用前面的
+ *   select   只保留（并按顺序排列）指定的列
+ *   sort     排序，如 "绩效评分 desc" 或列表；含空格的列名用方括号，如 "[入职 日期] desc"
+ *   groupBy  按列分组，aggregate 为 { 列名: 聚合 }，聚合见 AGGREGATORS，如 avg(绩效评分)、count()；round 为保留小数位
+ *   validate 按规则文件校验当前表（写法见 validateRows.js），issuesAs 把问题清单存为表，html 输出HTML报告；表本身不变
+ *   pivot    透视 { index, columns, values, agg（默认sum）, round, prefix, suffix }，prefix/suffix 加在由取值生成的列名两侧
+ *   write    写出带格式的xlsx（见 styledWorkbook.js）；sheets 为要写出的表（列表，或 { 工作表名: 表名 }），缺省为当前表；
+ *            可选 formats（{ 列名: 数字格式 }）、highlight（{ column, below }，该列低于below的行标红）、freezeColumns
+ *
+ * 关键说明：
+ * - 每步默认处理上一步的结果（当前表），from 指定其他表；as 为结果命名，缺省沿用输入表的名称
+ * - load 的名称缺省为文件名（不含扩展名）；表达式语法见 expression.js
+ * - 相对路径：load 基于 input/，write 和 html 基于 output/，columnMap（列名映射，缺省 columnMap.json）和 validate 基于本目录
+ * - 校验有error级别的问题时，流水线照常执行完，进程退出码为2
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { fileURLToPath } from 'url';
+import { compileExpression } from './expression.js';
+import { joinTables, columnsOf } from './joinTables.js';
+import { loadSources, loadColumnMap, SOURCE_COLUMN } from './loadSources.js';
+import { loadRules, validateRows, issueRows, renderHtmlReport, summarize, VALIDATION_FAILED_EXIT_CODE } from './validateRows.js';
+import { createWorkbook, addStyledSheet, saveWorkbook } from './styledWorkbook.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STEP_TYPES = ['load', 'join', 'filter', 'derive', 'select', 'sort', 'groupBy', 'pivot', 'validate', 'write'];
+
+const isEmpty = value => value === '' || value === null || value === undefined;
+const numbersOf = values => values.filter(v => !isEmpty(v) && !Number.isNaN(Number(v))).map(Number);
+
+/**
+ * 聚合函数，参数为组内每行的取值；空单元格不参与计算
+ */
+export const AGGREGATORS = {
+  count: values => values.filter(v => !isEmpty(v)).length,
+  countDistinct: values => new Set(values.filter(v => !isEmpty(v)).map(String)).size,
+  sum: values => numbersOf(values).reduce((a, b) => a + b, 0),
+  avg: values => {
+    const numbers = numbersOf(values);
+    return numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : '';
+  },
+  min: values => numbersOf(values).length ? Math.min(...numbersOf(values)) : '',
+  max: values => numbersOf(values).length ? Math.max(...numbersOf(values)) : '',
+  first: values => values.find(v => !isEmpty(v)) ?? '',
+  last: values => values.filter(v => !isEmpty(v)).at(-1) ?? ''
+};
+
+/**
+ * 解析聚合写法 "avg(绩效评分)"，括号内可以是表达式；count() 和 count(*) 统计行数
+ * @param {string} text
+ * @returns {Function} (rows) => 值
+ */
+export function compileAggregate(text) {
+  const match = String(text).trim().match(/^(\w+)\s*\(([\s\S]*)\)$/);
+  const aggregator = match && AGGREGATORS[match[1]];
+  if (!aggregator) throw new Error(`无法识别的聚合「${text}」，写法如 avg(绩效评分)，可用: ${Object.keys(AGGREGATORS).join(', ')}`);
+  const inner = match[2].trim();
+  if (!inner || inner === '*') return rows => rows.length;
+  const evaluate = compileExpression(inner);
+  return rows => aggregator(rows.map(evaluate));
+}
+
+const toList = value => value === undefined ? [] : [].concat(value);
+// 列名可写成表达式中的方括号形式，如 [入职 日期]
+const unbracket = name => String(name).trim().replace(/^\[(.+)\]$/, '$1');
+const roundTo = (value, digits) => digits === undefined || typeof value !== 'number' ? value : Number(value.toFixed(digits));
+
+/**
+ * 按列分组（保持首次出现的顺序）
+ * @param {Array<Object>} rows
+ * @param {string[]} columns
+ * @returns {Array<{key: Object, rows: Array<Object>}>}
+ */
+function groupRows(rows, columns) {
+  const groups = new Map();
+  rows.forEach(row => {
+    columns.forEach(column => {
+      if (!(column in row)) throw new Error(`分组列不存在: ${column}`);
+    });
+    const id = JSON.stringify(columns.map(column => row[column]));
+    if (!groups.has(id)) groups.set(id, { key: Object.fromEntries(columns.map(column => [column, row[column]])), rows: [] });
+    groups.get(id).rows.push(row);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * 排序比较：数字按数值，其余按中文排序规则
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b); // 空值排最后
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'zh-CN', { numeric: true });
+}
+
+/**
+ * 各步骤的实现：(step, input, context) => 结果行，input为from指定的表（load没有输入）
+ */
+const STEPS = {
+  load(step, input, context) {
+    const sources = loadSources(toList(step.load), { inputDir: context.inputDir, columnMap: context.columnMap });
+    return sources.flatMap(source => source.rows);
+  },
+
+  join(step, input, context) {
+    const other = context.table(step.join);
+    const result = joinTables(input, other, {
+      on: toList(step.on),
+      how: step.how,
+      collision: step.collision,
+      names: [context.from, step.join],
+      sourceColumn: SOURCE_COLUMN
+    });
+    if (step.unmatchedAs) context.tables.set(step.unmatchedAs, result.unmatched);
+    const { stats } = result;
+    context.log(`  匹配 ${stats.matched}，仅${context.from} ${stats.leftOnly}，仅${step.join} ${stats.rightOnly}`);
+    return result.rows;
+  },
+
+  filter(step, input) {
+    const predicate = compileExpression(step.filter);
+    return input.filter(row => Boolean(predicate(row)));
+  },
+
+  derive(step, input) {
+    const derived = Object.entries(step.derive).map(([column, expression]) => [column, compileExpression(expression)]);
+    return input.map(row => {
+      const next = { ...row };
+      derived.forEach(([column, evaluate]) => { next[column] = evaluate(next); });
+      return next;
+    });
+  },
+
+  select(step, input) {
+    const columns = toList(step.select);
+    const missing = columns.filter(column => input.length && !columnsOf(input).includes(column));
+    if (missing.length) throw new Error(`select的列不存在: ${missing.join('、')}`);
+    return input.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? ''])));
+  },
+
+  sort(step, input) {
+    const orders = toList(step.sort).map(item => {
+      // 含空格的列名用方括号：[入职 日期] desc
+      const [, column, direction = 'asc'] = String(item).trim().match(/^(\[[^\]]+\]|\S+)(?:\s+(\S+))?$/) || [];
+      if (!column || !['asc', 'desc'].includes(direction.toLowerCase())) throw new Error(`排序写法应为「列名 asc|desc」，含空格的列名用方括号: ${item}`);
+      return { column: unbracket(column), sign: direction.toLowerCase() === 'desc' ? -1 : 1 };
+    });
+    return [...input].sort((a, b) => {
+      for (const { column, sign } of orders) {
+        const result = compareValues(a[column], b[column]);
+        // 空值无论升降序都排最后
+        if (result) return isEmpty(a[column]) || isEmpty(b[column]) ? result : result * sign;
+      }
+      return 0;
+    });
+  },
+
+  groupBy(step, input) {
+    const columns = toList(step.groupBy);
+    const aggregates = Object.entries(step.aggregate || {}).map(([column, text]) => [column, compileAggregate(text)]);
+    return groupRows(input, columns).map(({ key, rows }) => ({
+      ...key,
+      ...Object.fromEntries(aggregates.map(([column, aggregate]) => [column, roundTo(aggregate(rows), step.round)]))
+    }));
+  },
+
+  pivot(step, input) {
+    const { index, columns, values, agg = 'sum', prefix = '', suffix = '', round } = step.pivot;
+    if (!index || !columns || !values) throw new Error('pivot需要 index、columns、values');
+    // values是列名，加上方括号后含空格、运算符的列名也能作为聚合参数
+    const aggregate = compileAggregate(`${agg}([${unbracket(values)}])`);
+    const headers = [...new Set(input.map(row => row[columns]))].filter(v => !isEmpty(v)).sort(compareValues);
+    return groupRows(input, toList(index)).map(({ key, rows }) => ({
+      ...key,
+      ...Object.fromEntries(headers.map(header => {
+        const cell = rows.filter(row => String(row[columns]) === String(header));
+        return [`${prefix}${header}${suffix}`, cell.length ? roundTo(aggregate(cell), round) : ''];
+      }))
+    }));
+  },
+
+  validate(step, input, context) {
+    const rulesFile = path.resolve(__dirname, step.validate);
+    const result = validateRows(input, loadRules(rulesFile));
+    context.validations.push(result);
+    if (step.issuesAs) context.tables.set(step.issuesAs, issueRows(result));
+    if (step.html) {
+      const file = path.resolve(context.outputDir, step.html);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, renderHtmlReport(result, { source: context.from }), 'utf-8');
+      context.outputs.push(file);
+    }
+    context.log(`  ${summarize(result)}`);
+    return input;
+  },
+
+  async write(step, input, context) {
+    const file = path.resolve(context.outputDir, step.write);
+    const sheets = step.sheets === undefined
+      ? { [context.from]: context.from }
+      : Array.isArray(step.sheets) ? Object.fromEntries(step.sheets.map(name => [name, name])) : step.sheets;
+    const workbook = createWorkbook();
+    Object.entries(sheets).forEach(([sheetName, tableName]) => {
+      const rows = context.table(tableName);
+      addStyledSheet(workbook, sheetName, rows, {
+        columns: columnsOf(rows),
+        formats: step.formats,
+        freezeColumns: step.freezeColumns,
+        highlight: step.highlight
+      });
+    });
+    await saveWorkbook(workbook, file);
+    context.outputs.push(file);
+    context.log(`  写出 ${file}（${Object.keys(sheets).join('、')}）`);
+    return input;
+  }
+};
+
+/**
+ * 读取流水线配置（YAML或JSON）
+ * @param {string} file
+ * @returns {Object} { name, columnMap, steps }
+ */
+export function loadPipeline(file) {
+  const spec = YAML.parse(fs.readFileSync(file, 'utf-8'));
+  if (!spec || !Array.isArray(spec.steps) || !spec.steps.length) throw new Error(`${file} 中没有steps`);
+  return spec;
+}
+
+/**
+ * 找出步骤的类型（配置中唯一的步骤关键字）
+ * @param {Object} step
+ * @param {number} index - 从0开始
+ * @returns {string}
+ */
+function stepTypeOf(step, index) {
+  const types = STEP_TYPES.filter(type => step && type in step);
+  if (types.length !== 1) {
+    throw new Error(`第${index + 1}步需要且只能有一个步骤关键字（${STEP_TYPES.join('、')}），实际: ${types.join('、') || JSON.stringify(step)}`);
+  }
+  return types[0];
+}
+
+/**
+ * 执行流水线
+ * @param {Object} spec - loadPipeline的结果
+ * @param {Object} [options]
+ * @param {string} [options.inputDir=input/] - load的相对路径基准
+ * @param {string} [options.outputDir=output/] - write的相对路径基准
+ * @param {Function} [options.log=console.log]
+ * @returns {Promise<{tables: Map<string, Array<Object>>, outputs: string[], validations: Array<Object>}>} 全部命名表、写出的文件和各validate步骤的结果
+ */
+export async function runPipeline(spec, {
+  inputDir = path.join(__dirname, 'input'),
+  outputDir = path.join(__dirname, 'output'),
+  log = console.log
+} = {}) {
+  const tables = new Map();
+  const context = {
+    inputDir,
+    outputDir,
+    log,
+    tables,
+    outputs: [],
+    validations: [],
+    columnMap: loadColumnMap(path.resolve(__dirname, spec.columnMap || 'columnMap.json')),
+    from: null,
+    table(name) {
+      if (!tables.has(name)) throw new Error(`表不存在: ${name}，已有: ${[...tables.keys()].join('、') || '无'}`);
+      return tables.get(name);
+    }
+  };
+  let current = null;
+
+  for (const [index, step] of spec.steps.entries()) {
+    const type = stepTypeOf(step, index);
+    const from = type === 'load' ? null : step.from || current;
+    if (type !== 'load' && !from) throw new Error(`第${index + 1}步（${type}）之前没有可处理的表，请先load`);
+    const loadFile = type === 'load' ? String(toList(step.load)[0]).split('#')[0] : '';
+    const defaultName = type === 'load' ? path.basename(loadFile, path.extname(loadFile)).replace(/[*?]/g, '') : from;
+    const name = step.as || defaultName;
+    const label = Array.isArray(step[type]) ? ` ${step[type].join(', ')}` : typeof step[type] === 'object' ? '' : ` ${step[type]}`;
+    context.from = from;
+    log(`[${index + 1}/${spec.steps.length}] ${type}${label}`);
+
+    let rows;
+    try {
+      rows = await STEPS[type](step, from ? context.table(from) : null, context);
+    } catch (err) {
+      err.message = `第${index + 1}步（${type}${label}）失败: ${err.message}`;
+      throw err;
+    }
+    tables.set(name, rows);
+    current = name;
+    log(`  → ${name}（${rows.length}行）`);
+  }
+
+  return { tables, outputs: context.outputs, validations: context.validations };
+}
+
+async function main() {
+  const file = process.argv[2];
+  if (!file || !fs.existsSync(file)) {
+    console.error('用法: node pipeline.js <配置文件.yaml|.json>');
+    process.exitCode = 1;
+    return;
+  }
+  const spec = loadPipeline(file);
+  console.log(`流水线: ${spec.name || path.basename(file)}`);
+  const { outputs, validations } = await runPipeline(spec);
+  console.log('完成，输出文件：', outputs.join('、') || '无（没有write步骤）');
+  if (validations.some(result => !result.passed)) {
+    console.log('校验不通过，请查看问题清单');
+    process.exitCode = VALIDATION_FAILED_EXIT_CODE;
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error('流水线执行出错:', err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import xlsx from 'xlsx';
+import { runPipeline, compileAggregate } from './pipeline.js';
+
+const ROWS = [
+  { 员工ID: 'E1', 部门: '财务部', '入职 日期': '2020-01-01', '绩效 评分': 4 },
+  { 员工ID: 'E2', 部门: '财务部', '入职 日期': '2022-06-01', '绩效 评分': 2 },
+  { 员工ID: 'E3', 部门: '销售部', '入职 日期': '2021-03-01', '绩效 评分': 5 }
+];
+
+/**
+ * 在临时input目录写一个员工表后执行流水线（不含write步骤）
+ */
+async function run(steps) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(ROWS), 'Sheet1');
+  xlsx.writeFile(workbook, path.join(dir, '员工.xls'));
+  try {
+    return await runPipeline({ steps: [{ load: '员工.xls' }, ...steps] }, { inputDir: dir, outputDir: dir, log: () => {} });
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test('compileAggregate 跳过空值，count() 统计行数', () => {
+  const rows = [{ 分数: 3 }, { 分数: '' }, { 分数: 5 }];
+  assert.equal(compileAggregate('avg(分数)')(rows), 4);
+  assert.equal(compileAggregate('count(分数)')(rows), 2);
+  assert.equal(compileAggregate('count()')(rows), 3);
+  assert.throws(() => compileAggregate('median(分数)'), /无法识别的聚合/);
+});
+
+test('load 的表名缺省为去掉扩展名的文件名', async () => {
+  const { tables } = await run([]);
+  assert.deepEqual([...tables.keys()], ['员工']);
+});
+
+test('sort 支持方括号列名', async () => {
+  const { tables } = await run([{ sort: '[入职 日期] desc' }, { select: ['员工ID'] }]);
+  assert.deepEqual(tables.get('员工').map(row => row.员工ID), ['E2', 'E3', 'E1']);
+  await assert.rejects(run([{ sort: '[入职 日期] down' }]), /排序写法应为/);
+});
+
+test('pivot 的 values 可以是含空格的列名', async () => {
+  const { tables } = await run([{ pivot: { index: '部门', columns: '员工ID', values: '绩效 评分', agg: 'max' }, as: '透视' }]);
+  assert.deepEqual(tables.get('透视'), [
+    { 部门: '财务部', E1: 4, E2: 2, E3: '' },
+    { 部门: '销售部', E1: '', E2: '', E3: 5 }
+  ]);
+});
+
+test('filter、derive 和 groupBy', async () => {
+  const { tables } = await run([
+    { filter: '[绩效 评分] >= 3' },
+    { derive: { 入职年份: 'year([入职 日期])' } },
+    { groupBy: '部门', aggregate: { 人数: 'count()', 最早入职: 'min(入职年份)' }, as: '汇总' }
+  ]);
+  assert.deepEqual(tables.get('汇总'), [{ 部门: '财务部', 人数: 1, 最早入职: 2020 }, { 部门: '销售部', 人数: 1, 最早入职: 2021 }]);
+});
@@ -0,0 +1,255 @@
+/**
+ * 带格式的Excel输出
+ * xlsx（SheetJS社区版）写不出样式，这里用 exceljs 写出给管理层看的报表
+ *
+ * 关键说明：
+ * - 表头加粗、深色底白字，冻结首行（可再冻结左侧若干列），开启筛选
+ * - 列宽按内容自动计算（中文按两个字符宽）
+ * - 数字格式按列名匹配 NUMBER_FORMATS（如含「薪」「工资」的列为 #,##0.00，含「评分」「得分」的列为 0.00），可用 formats 覆盖
+ * - highlight 用条件格式标出整行（如绩效评分低于3.5的员工），改动单元格后Excel会自动重新判断
+ * - 汇总工作表的各项指标是引用明细工作表的公式（COUNTIFS、SUMIFS、AVERAGEIFS），同时写入计算结果，不重算的查看器也能显示
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+// 薪资、金额类列名，这类列按千分位两位小数显示，合并时还会汇总合计
+export const SALARY_PATTERN = /薪|工资|奖金|金额|费用/;
+
+// 按列名匹配的数字格式，先匹配的优先
+export const NUMBER_FORMATS = [
+  { pattern: SALARY_PATTERN, format: '#,##0.00' },
+  { pattern: /评分|得分|平均/, format: '0.00' },
+  { pattern: /人数|数量|记录数/, format: '0' }
+];
+
+const HEADER_STYLE = {
+  font: { bold: true, color: { argb: 'FFFFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF305496' } },
+  alignment: { vertical: 'middle', horizontal: 'center' },
+  border: { bottom: { style: 'thin', color: { argb: 'FF1F3864' } } }
+};
+
+// 条件格式的填充使用bgColor
+const HIGHLIGHT_STYLE = {
+  fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFC7CE' } },
+  font: { color: { argb: 'FF9C0006' } }
+};
+
+const isEmpty = value => value === '' || value === null || value === undefined;
+
+/**
+ * 文本的显示宽度（中文等全角字符按2计）
+ * @param {*} value
+ * @returns {number}
+ */
+export function displayWidth(value) {
+  return [...String(value ?? '')].reduce((width, ch) => width + (/[\u1100-\uFFFF]/.test(ch) ? 2 : 1), 0);
+}
+
+/**
+ * 列的数字格式
+ * @param {string} column
+ * @param {Object} [formats] - { 列名: 格式 }，优先于 NUMBER_FORMATS
+ * @returns {string|undefined}
+ */
+export function numberFormatOf(column, formats = {}) {
+  return formats[column] ?? NUMBER_FORMATS.find(({ pattern }) => pattern.test(column))?.format;
+}
+
+/**
+ * 工作表名在公式中的写法（统一加单引号，兼容中文和空格）
+ * @param {string} name
+ * @returns {string}
+ */
+const sheetRef = name => `'${name.replace(/'/g, "''")}'`;
+
+/**
+ * 设置表头样式、冻结窗格、筛选和列宽
+ * @param {Object} worksheet - exceljs工作表
+ * @param {string[]} columns
+ * @param {Array<Object>} rows
+ * @param {Object} formats - { 列名: 格式 }
+ */
+function decorate(worksheet, columns, rows, formats) {
+  worksheet.getRow(1).eachCell(cell => Object.assign(cell, HEADER_STYLE));
+  worksheet.getRow(1).height = 20;
+  if (columns.length) worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  columns.forEach((column, i) => {
+    const format = numberFormatOf(column, formats);
+    // 数字按格式多留出千分位和小数位
+    const widest = Math.max(displayWidth(column) + 2, ...rows.map(row => displayWidth(row[column]) + (typeof row[column] === 'number' && format ? 3 : 0)));
+    worksheet.getColumn(i + 1).width = Math.min(Math.max(widest + 2, 8), 60);
+  });
+}
+
+/**
+ * 添加带格式的工作表
+ * @param {Object} workbook - exceljs工作簿
+ * @param {string} name - 工作表名
+ * @param {Array<Object>} rows - 行数据
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - 列顺序，缺省从行数据推断
+ * @param {Object} [options.formats] - { 列名: 数字格式 }
+ * @param {number} [options.freezeColumns=0] - 冻结左侧的列数（首行总是冻结）
+ * @param {Object} [options.highlight] - { column, below }：该列小于below的行整行标红
+ * @returns {Object} exceljs工作表
+ */
+export function addStyledSheet(workbook, name, rows, { columns, formats = {}, freezeColumns = 0, highlight } = {}) {
+  const headers = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', xSplit: freezeColumns, ySplit: 1 }] });
+  worksheet.columns = headers.map(column => {
+    const numFmt = numberFormatOf(column, formats);
+    return { header: column, key: column, ...(numFmt ? { style: { numFmt } } : {}) };
+  });
+  rows.forEach(row => worksheet.addRow(Object.fromEntries(headers.map(column => [column, isEmpty(row[column]) ? null : row[column]]))));
+  decorate(worksheet, headers, rows, formats);
+
+  if (highlight && headers.includes(highlight.column) && rows.length) {
+    const letter = worksheet.getColumn(headers.indexOf(highlight.column) + 1).letter;
+    const lastLetter = worksheet.getColumn(headers.length).letter;
+    worksheet.addConditionalFormatting({
+      ref: `A2:${lastLetter}${rows.length + 1}`,
+      rules: [{
+        type: 'expression',
+        formulae: [`AND(ISNUMBER($${letter}2),$${letter}2<${highlight.below})`],
+        style: HIGHLIGHT_STYLE
+      }]
+    });
+  }
+  return worksheet;
+}
+
+/**
+ * 汇总指标：count 记录数；sum、average 需要column；countIf 需要column和criteria（如 "<3.5"）
+ */
+export const MEASURE_TYPES = ['count', 'sum', 'average', 'countIf'];
+
+/**
+ * 按Excel的条件写法判断取值，如 "<3.5"、">=4"、"优秀"
+ * @param {*} value
+ * @param {string} criteria
+ * @returns {boolean}
+ */
+function matchesCriteria(value, criteria) {
+  const [, op = '=', target] = String(criteria).match(/^(<=|>=|<>|<|>|=)?(.*)$/);
+  if (isEmpty(value)) return false;
+  const numericTarget = target !== '' && !Number.isNaN(Number(target));
+  // 与COUNTIFS一致：条件为数字的大小比较只统计数字单元格，文本形式的 "3" 不计入 <3.5
+  if (numericTarget && typeof value !== 'number' && op !== '=' && op !== '<>') return false;
+  const numeric = typeof value === 'number' && numericTarget;
+  const [a, b] = numeric ? [value, Number(target)] : [String(value), target];
+  return { '=': a === b, '<>': a !== b, '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[op];
+}
+
+/**
+ * 添加分组汇总工作表，各指标为引用明细工作表的公式
+ * @param {Object} workbook - exceljs工作簿
+ * @param {string} name - 汇总工作表名
+ * @param {Object} options
+ * @param {string} options.sheet - 明细工作表名（需已用addStyledSheet写入）
+ * @param {Array<Object>} options.rows - 明细行数据
+ * @param {string[]} options.columns - 明细列顺序
+ * @param {string} options.groupBy - 分组列，如 部门
+ * @param {Array<Object>} options.measures - [{ name, type, column, criteria }]，type见 MEASURE_TYPES
+ * @param {Object} [options.formats] - { 列名: 数字格式 }
+ * @returns {Object} exceljs工作表
+ */
+export function addSummarySheet(workbook, name, { sheet, rows, columns, groupBy, measures, formats = {} }) {
+  if (!columns.includes(groupBy)) throw new Error(`汇总的分组列不存在: ${groupBy}`);
+  measures.forEach(measure => {
+    if (!MEASURE_TYPES.includes(measure.type)) throw new Error(`未知的汇总指标: ${measure.type}，可选值: ${MEASURE_TYPES.join(', ')}`);
+    if (measure.type !== 'count' && !columns.includes(measure.column)) throw new Error(`汇总指标「${measure.name}」的列不存在: ${measure.column}`);
+  });
+
+  // 明细中某列的绝对引用，如 'Merged'!$D$2:$D$81
+  const lastRow = Math.max(rows.length + 1, 2);
+  const rangeOf = column => {
+    const letter = workbook.getWorksheet(sheet).getColumn(columns.indexOf(column) + 1).letter;
+    return `${sheetRef(sheet)}!$${letter}$2:$${letter}$${lastRow}`;
+  };
+  const groupRange = rangeOf(groupBy);
+  const numbers = (list, column) => list.map(row => row[column]).filter(value => typeof value === 'number');
+  const compute = (measure, list) => {
+    const values = measure.column ? numbers(list, measure.column) : [];
+    switch (measure.type) {
+      case 'count': return list.length;
+      case 'sum': return values.reduce((a, b) => a + b, 0);
+      case 'average': return values.length ? values.reduce((a, b) => a + b, 0) / values.length : '';
+      default: return list.filter(row => matchesCriteria(row[measure.column], measure.criteria)).length;
+    }
+  };
+  // 各分组的公式，key为分组值所在单元格
+  const groupFormula = (measure, key) => {
+    const criteria = measure.criteria !== undefined ? `,${rangeOf(measure.column)},"${measure.criteria}"` : '';
+    switch (measure.type) {
+      case 'count': return `COUNTIFS(${groupRange},${key})`;
+      case 'sum': return `SUMIFS(${rangeOf(measure.column)},${groupRange},${key})`;
+      case 'average': return `IFERROR(AVERAGEIFS(${rangeOf(measure.column)},${groupRange},${key}),"")`;
+      default: return `COUNTIFS(${groupRange},${key}${criteria})`;
+    }
+  };
+  // 合计行的公式：只统计分组列不为空的明细，与各分组之和以及写入的计算结果一致
+  const totalFormula = measure => {
+    const nonEmpty = `${groupRange},"<>"`;
+    switch (measure.type) {
+      case 'count': return `COUNTIFS(${nonEmpty})`;
+      case 'sum': return `SUMIFS(${rangeOf(measure.column)},${nonEmpty})`;
+      case 'average': return `IFERROR(AVERAGEIFS(${rangeOf(measure.column)},${nonEmpty}),"")`;
+      default: return `COUNTIFS(${nonEmpty},${rangeOf(measure.column)},"${measure.criteria}")`;
+    }
+  };
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row[groupBy];
+    if (isEmpty(key)) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const headers = [groupBy, ...measures.map(measure => measure.name)];
+  const measureFormats = Object.fromEntries(measures.map(measure => [
+    measure.name,
+    formats[measure.name] ?? (['count', 'countIf'].includes(measure.type) ? '0' : numberFormatOf(measure.column, formats) || '0.00')
+  ]));
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+  worksheet.columns = headers.map(column => ({ header: column, key: column, ...(measureFormats[column] ? { style: { numFmt: measureFormats[column] } } : {}) }));
+
+  const summaryRows = [];
+  [...groups].forEach(([key, list], i) => {
+    const rowNumber = i + 2;
+    const values = Object.fromEntries(measures.map(measure => [measure.name, compute(measure, list)]));
+    summaryRows.push({ [groupBy]: key, ...values });
+    worksheet.addRow([key, ...measures.map(measure => ({ formula: groupFormula(measure, `$A${rowNumber}`), result: values[measure.name] }))]);
+  });
+  const totals = Object.fromEntries(measures.map(measure => [measure.name, compute(measure, rows.filter(row => !isEmpty(row[groupBy])))]));
+  const totalRow = worksheet.addRow(['合计', ...measures.map(measure => ({ formula: totalFormula(measure), result: totals[measure.name] }))]);
+  totalRow.font = { bold: true };
+  totalRow.eachCell(cell => { cell.border = { top: { style: 'thin' } }; });
+
+  decorate(worksheet, headers, [...summaryRows, { [groupBy]: '合计', ...totals }], measureFormats);
+  return worksheet;
+}
+
+/**
+ * 新建exceljs工作簿
+ * @returns {Object}
+ */
+export function createWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  return workbook;
+}
+
+/**
+ * 写出工作簿（自动创建目录）
+ * @param {Object} workbook - exceljs工作簿
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+export async function saveWorkbook(workbook, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  await workbook.xlsx.writeFile(file);
+}
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkbook, addStyledSheet, addSummarySheet, numberFormatOf, displayWidth, SALARY_PATTERN } from './styledWorkbook.js';
+
+const rows = [
+  { 员工ID: 1, 部门: '财务部', 月薪: 8000, 绩效评分: 3.2 },
+  { 员工ID: 2, 部门: '财务部', 月薪: 9000, 绩效评分: 4.0 },
+  { 员工ID: 3, 部门: '市场部', 月薪: 7000, 绩效评分: 4.5 },
+  // full join 时只在右表出现的行没有部门
+  { 员工ID: 4, 部门: '', 月薪: 6000, 绩效评分: 2.0 }
+];
+const columns = ['员工ID', '部门', '月薪', '绩效评分'];
+const measures = [
+  { name: '记录数', type: 'count' },
+  { name: '月薪合计', type: 'sum', column: '月薪' },
+  { name: '平均绩效', type: 'average', column: '绩效评分' },
+  { name: '低绩效', type: 'countIf', column: '绩效评分', criteria: '<3.5' }
+];
+
+function buildSummary() {
+  const workbook = createWorkbook();
+  addStyledSheet(workbook, 'Merged', rows, { columns, highlight: { column: '绩效评分', below: 3.5 } });
+  return addSummarySheet(workbook, '部门汇总', { sheet: 'Merged', rows, columns, groupBy: '部门', measures });
+}
+
+test('numberFormatOf 按列名匹配数字格式', () => {
+  assert.equal(numberFormatOf('月薪'), '#,##0.00');
+  assert.equal(numberFormatOf('绩效评分'), '0.00');
+  assert.equal(numberFormatOf('人数'), '0');
+  assert.equal(numberFormatOf('姓名'), undefined);
+  assert.equal(numberFormatOf('姓名', { 姓名: '@' }), '@');
+  assert.equal(displayWidth('ab部门'), 6);
+  assert.ok(['月薪', '年终奖金', '报销金额'].every(column => SALARY_PATTERN.test(column)));
+  assert.ok(!SALARY_PATTERN.test('绩效评分'));
+});
+
+test('addStyledSheet 冻结首行并整行标出低绩效', () => {
+  const workbook = createWorkbook();
+  const sheet = addStyledSheet(workbook, 'Merged', rows, { columns, freezeColumns: 1, highlight: { column: '绩效评分', below: 3.5 } });
+  assert.deepEqual([sheet.views[0].xSplit, sheet.views[0].ySplit], [1, 1]);
+  assert.equal(sheet.getCell('C2').numFmt, '#,##0.00');
+  const [rule] = sheet.conditionalFormattings;
+  assert.equal(rule.ref, 'A2:D5');
+  assert.deepEqual(rule.rules[0].formulae, ['AND(ISNUMBER($D2),$D2<3.5)']);
+});
+
+test('addSummarySheet 各分组为引用明细的公式并写入计算结果', () => {
+  const sheet = buildSummary();
+  assert.deepEqual(sheet.getRow(2).values.slice(1, 2), ['财务部']);
+  assert.equal(sheet.getCell('B2').value.formula, "COUNTIFS('Merged'!$B$2:$B$5,$A2)");
+  assert.deepEqual([2, 17000, 3.6, 1], ['B2', 'C2', 'D2', 'E2'].map(ref => sheet.getCell(ref).value.result));
+});
+
+test('addSummarySheet 合计行的公式和计算结果都只统计有分组的行', () => {
+  const sheet = buildSummary();
+  const total = sheet.getRow(4);
+  assert.equal(total.getCell(1).value, '合计');
+  assert.equal(total.getCell(3).value.formula, `SUMIFS('Merged'!$C$2:$C$5,'Merged'!$B$2:$B$5,"<>")`);
+  assert.equal(total.getCell(5).value.formula, `COUNTIFS('Merged'!$B$2:$B$5,"<>",'Merged'!$D$2:$D$5,"<3.5")`);
+  assert.deepEqual([2, 3, 4, 5].map(i => total.getCell(i).value.result), [3, 24000, (3.2 + 4.0 + 4.5) / 3, 1]);
+});
+
+test('addSummarySheet 分组列或指标列不存在时报错', () => {
+  const workbook = createWorkbook();
+  addStyledSheet(workbook, 'Merged', rows, { columns });
+  assert.throws(() => addSummarySheet(workbook, '汇总', { sheet: 'Merged', rows, columns, groupBy: '岗位', measures }), /分组列不存在/);
+  assert.throws(() => addSummarySheet(workbook, '汇总', {
+    sheet: 'Merged', rows, columns, groupBy: '部门', measures: [{ name: '奖金', type: 'sum', column: '奖金' }]
+  }), /列不存在/);
+});
+
+test('addSummarySheet 条件为数字的大小比较不统计文本形式的数字，与COUNTIFS一致', () => {
+  const textRows = [{ 部门: '财务部', 绩效评分: '3' }, { 部门: '财务部', 绩效评分: 3 }, { 部门: '财务部', 绩效评分: '优秀' }];
+  const workbook = createWorkbook();
+  addStyledSheet(workbook, 'Merged', textRows, { columns: ['部门', '绩效评分'] });
+  const sheet = addSummarySheet(workbook, '部门汇总', {
+    sheet: 'Merged',
+    rows: textRows,
+    columns: ['部门', '绩效评分'],
+    groupBy: '部门',
+    measures: [
+      { name: '低绩效', type: 'countIf', column: '绩效评分', criteria: '<3.5' },
+      { name: '非3分', type: 'countIf', column: '绩效评分', criteria: '<>3' },
+      { name: '优秀', type: 'countIf', column: '绩效评分', criteria: '优秀' }
+    ]
+  });
+  assert.deepEqual(['B2', 'C2', 'D2'].map(ref => sheet.getCell(ref).value.result), [1, 1, 1]);
+});
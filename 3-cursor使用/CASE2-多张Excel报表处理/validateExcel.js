@@ -0,0 +1,85 @@
+/**
+ * 校验Excel表格
+ * 按规则文件检查已生成的表格（缺省为 output/merged.xlsx 的 Merged 工作表），列出不合格的行和原因
+ *
+ * 使用方式：
+ *   node validateExcel.js
+ *   node validateExcel.js output/merged.xlsx --rules validation/merged.yaml --html output/validation.html --write-sheet
+ *
+ * 参数：
+ *   --rules        规则文件，缺省为 validation/merged.yaml，写法见 validateRows.js
+ *   --sheet        要校验的工作表，缺省为第一个
+ *   --html         输出HTML报告
+ *   --write-sheet  把问题清单写入被校验文件的 Validation 工作表（已有则覆盖；用exceljs改写，保留其他工作表的格式和公式）
+ *
+ * 退出码：校验通过为0，有error级别的问题为2，运行出错为1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import xlsx from 'xlsx';
+import ExcelJS from 'exceljs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import {
+  loadRules, validateRows, issueRows, renderHtmlReport, summarize,
+  ISSUE_COLUMNS, VALIDATION_SHEET, VALIDATION_FAILED_EXIT_CODE
+} from './validateRows.js';
+import { addStyledSheet, saveWorkbook } from './styledWorkbook.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      rules: { type: 'string', default: path.join(__dirname, 'validation', 'merged.yaml') },
+      sheet: { type: 'string' },
+      html: { type: 'string' },
+      'write-sheet': { type: 'boolean', default: false }
+    }
+  });
+  const file = positionals[0] || path.join(__dirname, 'output', 'merged.xlsx');
+  if (!fs.existsSync(file)) {
+    console.error(`文件不存在: ${file}`);
+    console.error('用法: node validateExcel.js [表格.xlsx] [--rules 规则.yaml] [--sheet 工作表] [--html 报告.html] [--write-sheet]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const workbook = xlsx.readFile(file);
+  const sheetName = values.sheet || workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) throw new Error(`${file} 中不存在工作表: ${sheetName}`);
+  const [header = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+  const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+
+  const result = validateRows(rows, loadRules(values.rules), { columns: header.map(String) });
+  console.log(summarize(result));
+  result.summary.byRule.filter(item => item.issues).forEach(item => console.log(`  ${item.rule}: ${item.issues}`));
+
+  if (values.html) {
+    fs.mkdirSync(path.dirname(path.resolve(values.html)), { recursive: true });
+    fs.writeFileSync(values.html, renderHtmlReport(result, { source: `${path.basename(file)}[${sheetName}]` }), 'utf-8');
+    console.log('HTML报告：', values.html);
+  }
+  if (values['write-sheet']) {
+    // SheetJS社区版写回会丢掉样式，改用exceljs读写
+    const styled = new ExcelJS.Workbook();
+    await styled.xlsx.readFile(file);
+    const existing = styled.getWorksheet(VALIDATION_SHEET);
+    if (existing) styled.removeWorksheet(existing.id);
+    addStyledSheet(styled, VALIDATION_SHEET, issueRows(result), { columns: ISSUE_COLUMNS });
+    await saveWorkbook(styled, file);
+    console.log(`问题清单已写入 ${file} 的 ${VALIDATION_SHEET} 工作表`);
+  }
+  if (!result.passed) process.exitCode = VALIDATION_FAILED_EXIT_CODE;
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error('校验出错:', err.message);
+    process.exitCode = 1;
+  });
+}
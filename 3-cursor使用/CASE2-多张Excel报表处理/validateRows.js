@@ -0,0 +1,387 @@
+/**
+ * 表格数据校验
+ * 按规则文件（YAML/JSON）检查合并后的表格，列出不合格的行和原因，可输出为工作表或HTML报告
+ *
+ * 规则文件示例：
+ *   name: 员工绩效合并表
+ *   rules:
+ *     - required: [员工ID, 姓名, 绩效评分]
+ *     - unique: [员工ID, 年度, 季度]
+ *     - range: 绩效评分
+ *       min: 1
+ *       max: 5
+ *     - enum: 性别
+ *       values: [男, 女]
+ *     - date: 入职日期
+ *       format: YYYY-MM-DD
+ *     - duplicateAcrossSources: [员工ID, 年度, 季度]
+ *       level: warning
+ *     - check: 年度 >= year(入职日期)
+ *       message: 绩效年度早于入职年度
+ *
+ * 规则（每条只写一种）：
+ *   required               列必须存在且不能为空
+ *   unique                 列（组合）的取值不能重复
+ *   range                  数值范围，可选 min、max，非数字也算不合格
+ *   enum                   取值必须在 values 中
+ *   date                   日期格式，format 支持 YYYY、MM、DD、M、D（缺省 YYYY-MM-DD），并检查日期是否真实存在
+ *   duplicateAcrossSources 同一键出现在不同的来源文件/工作表中（依据「数据来源」列）
+ *   check                  自定义条件，表达式为假时不合格，语法见 expression.js；引用的列有空值的行跳过
+ *
+ * 关键说明：
+ * - 每条规则可设置 level（error 默认，或 warning）和 message（覆盖默认原因）；有error即视为校验不通过
+ * - 空单元格只由 required 检查，其他规则跳过空值
+ * - 行号为表格中的Excel行号（表头占第1行）
+ */
+
+import fs from 'fs';
+import YAML from 'yaml';
+import { compileExpression, toDate } from './expression.js';
+import { columnsOf } from './joinTables.js';
+import { SOURCE_COLUMN } from './loadSources.js';
+
+export const RULE_TYPES = ['required', 'unique', 'range', 'enum', 'date', 'duplicateAcrossSources', 'check'];
+export const LEVELS = ['error', 'warning'];
+export const ISSUE_COLUMNS = ['级别', '行号', SOURCE_COLUMN, '规则', '列', '值', '原因'];
+export const VALIDATION_SHEET = 'Validation';
+
+// 校验不通过（有error）时的进程退出码，与运行出错的1区分
+export const VALIDATION_FAILED_EXIT_CODE = 2;
+
+const LEVEL_LABELS = { error: '错误', warning: '警告' };
+
+// 规则值为列名（或列名列表）的规则
+const KEY_RULES = ['unique', 'range', 'enum', 'date', 'duplicateAcrossSources'];
+
+const isEmpty = value => value === '' || value === null || value === undefined;
+const toList = value => value === undefined ? [] : [].concat(value);
+
+/**
+ * 读取规则文件（YAML或JSON）
+ * @param {string} file
+ * @returns {Object} { name, rules }
+ */
+export function loadRules(file) {
+  const spec = YAML.parse(fs.readFileSync(file, 'utf-8'));
+  if (!spec || !Array.isArray(spec.rules) || !spec.rules.length) throw new Error(`${file} 中没有rules`);
+  spec.rules.forEach((rule, index) => ruleTypeOf(rule, index));
+  return spec;
+}
+
+/**
+ * 找出规则的类型（规则中唯一的类型关键字），同时检查level
+ * @param {Object} rule
+ * @param {number} index - 从0开始
+ * @returns {string}
+ */
+function ruleTypeOf(rule, index) {
+  const types = RULE_TYPES.filter(type => rule && type in rule);
+  if (types.length !== 1) {
+    throw new Error(`第${index + 1}条规则需要且只能有一个类型关键字（${RULE_TYPES.join('、')}），实际: ${types.join('、') || JSON.stringify(rule)}`);
+  }
+  if (rule.level && !LEVELS.includes(rule.level)) throw new Error(`第${index + 1}条规则的level只能是 ${LEVELS.join('、')}`);
+  return types[0];
+}
+
+/**
+ * 日期格式转正则，如 YYYY-MM-DD → /^(\d{4})-(\d{2})-(\d{2})$/
+ * @param {string} format
+ * @returns {{regexp: RegExp, order: string[]}} order为各分组对应的 Y/M/D
+ */
+function dateFormatToRegExp(format) {
+  const order = [];
+  const source = format.replace(/YYYY|MM|DD|M|D|[.*+?^${}()|[\]\\]/g, token => {
+    const groups = { YYYY: '(\\d{4})', MM: '(\\d{2})', DD: '(\\d{2})', M: '(\\d{1,2})', D: '(\\d{1,2})' };
+    if (!groups[token]) return `\\${token}`;
+    order.push(token[0]);
+    return groups[token];
+  });
+  return { regexp: new RegExp(`^${source}$`), order };
+}
+
+/**
+ * 检查日期文本是否符合格式且真实存在
+ * @param {*} value
+ * @param {string} format
+ * @returns {string|null} 不合格原因
+ */
+function checkDate(value, format) {
+  // 单元格为Excel日期时读出的是日期序号
+  if (typeof value === 'number' || value instanceof Date) return toDate(value) ? null : `不是有效的日期`;
+  const { regexp, order } = dateFormatToRegExp(format);
+  const match = String(value).trim().match(regexp);
+  if (!match) return `日期格式应为 ${format}`;
+  const parts = Object.fromEntries(order.map((key, i) => [key, Number(match[i + 1])]));
+  const date = new Date(Date.UTC(parts.Y, parts.M - 1, parts.D));
+  if (date.getUTCFullYear() !== parts.Y || date.getUTCMonth() !== parts.M - 1 || date.getUTCDate() !== parts.D) return '日期不存在';
+  return null;
+}
+
+/**
+ * 去掉数据来源中的行号，得到来源文件和工作表，如 "A.xlsx[Sheet1]第2行 + B.xlsx[Sheet1]第5行" → ["A.xlsx[Sheet1]", "B.xlsx[Sheet1]"]
+ * @param {string} source
+ * @returns {string[]}
+ */
+function sourceLabels(source) {
+  return String(source || '').split(' + ').map(part => part.replace(/第\d+行$/, '').trim()).filter(Boolean);
+}
+
+/**
+ * 按列组合分组，跳过任一列为空的行
+ * @param {Array<Object>} rows
+ * @param {string[]} columns
+ * @returns {Map<string, number[]>} 键 → 行下标
+ */
+function groupByKey(rows, columns) {
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const values = columns.map(column => String(row[column] ?? '').trim());
+    if (values.some(value => value === '')) return;
+    const key = values.join('\u0001');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return groups;
+}
+
+const describeKey = (row, columns) => columns.map(column => `${column}=${row[column]}`).join(', ');
+
+/**
+ * 各规则的检查：(rule, rows, report, columns) => void；report(index, { column, value, reason })，index为null时为整张表的问题
+ */
+const CHECKS = {
+  required(rule, rows, report, columns) {
+    toList(rule.required).forEach(column => {
+      if (!columns.includes(column)) {
+        report(null, { column, reason: '缺少该列' });
+        return;
+      }
+      rows.forEach((row, index) => {
+        if (String(row[column] ?? '').trim() === '') report(index, { column, value: '', reason: '不能为空' });
+      });
+    });
+  },
+
+  unique(rule, rows, report) {
+    const keyColumns = toList(rule.unique);
+    groupByKey(rows, keyColumns).forEach(indexes => {
+      if (indexes.length < 2) return;
+      indexes.forEach(index => {
+        const others = indexes.filter(i => i !== index).map(i => i + 2);
+        report(index, {
+          column: keyColumns.join('+'),
+          value: describeKey(rows[index], keyColumns),
+          reason: `与第${others.join('、')}行重复`
+        });
+      });
+    });
+  },
+
+  range(rule, rows, report) {
+    const column = rule.range;
+    rows.forEach((row, index) => {
+      const value = row[column];
+      if (isEmpty(value)) return;
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        report(index, { column, value, reason: '不是数字' });
+      } else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        report(index, { column, value, reason: `超出范围 ${rule.min ?? '-∞'} ~ ${rule.max ?? '+∞'}` });
+      }
+    });
+  },
+
+  enum(rule, rows, report) {
+    const column = rule.enum;
+    const allowed = toList(rule.values).map(String);
+    if (!allowed.length) throw new Error(`enum规则（${column}）缺少values`);
+    rows.forEach((row, index) => {
+      const value = row[column];
+      if (!isEmpty(value) && !allowed.includes(String(value).trim())) {
+        report(index, { column, value, reason: `不在允许的取值中（${allowed.join('、')}）` });
+      }
+    });
+  },
+
+  date(rule, rows, report) {
+    const column = rule.date;
+    const format = rule.format || 'YYYY-MM-DD';
+    rows.forEach((row, index) => {
+      const value = row[column];
+      if (isEmpty(value)) return;
+      const reason = checkDate(value, format);
+      if (reason) report(index, { column, value, reason });
+    });
+  },
+
+  duplicateAcrossSources(rule, rows, report, columns) {
+    if (!columns.includes(SOURCE_COLUMN)) {
+      report(null, { column: SOURCE_COLUMN, reason: `缺少「${SOURCE_COLUMN}」列，无法检测跨来源重复` });
+      return;
+    }
+    const keyColumns = toList(rule.duplicateAcrossSources);
+    const compared = columns.filter(column => column !== SOURCE_COLUMN && !keyColumns.includes(column));
+    groupByKey(rows, keyColumns).forEach(indexes => {
+      if (indexes.length < 2) return;
+      indexes.forEach(index => {
+        const own = sourceLabels(rows[index][SOURCE_COLUMN]).join(' + ');
+        const others = indexes.filter(i => i !== index && sourceLabels(rows[i][SOURCE_COLUMN]).join(' + ') !== own);
+        if (!others.length) return;
+        const conflicts = compared.filter(column => others.some(i => String(rows[i][column]) !== String(rows[index][column])));
+        report(index, {
+          column: keyColumns.join('+'),
+          value: describeKey(rows[index], keyColumns),
+          reason: `在其他来源中重复（第${others.map(i => i + 2).join('、')}行）`
+            + (conflicts.length ? `，取值不同的列: ${conflicts.join('、')}` : '')
+        });
+      });
+    });
+  },
+
+  check(rule, rows, report) {
+    const predicate = compileExpression(rule.check);
+    for (let index = 0; index < rows.length; index++) {
+      if (predicate.columns.some(column => column in rows[index] && isEmpty(rows[index][column]))) continue;
+      let passed;
+      try {
+        passed = predicate(rows[index]);
+      } catch (err) {
+        // 列不存在等问题对每一行都一样，只报告一次
+        report(null, { reason: `规则无法执行: ${err.message}` });
+        return;
+      }
+      if (!passed) report(index, { value: '', reason: `不满足条件 ${rule.check}` });
+    }
+  }
+};
+
+/**
+ * 校验表格
+ * @param {Array<Object>} rows - 行数据
+ * @param {Object} spec - loadRules的结果 { name, rules }
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - 表头，缺省从行数据推断（行数据为空时无法检查缺列）
+ * @returns {Object} { name, issues, summary: { rows, failedRows, errors, warnings, byRule }, passed }
+ *   issues为 [{ 级别, 行号, 数据来源, 规则, 列, 值, 原因, level }]，按行号排序
+ */
+export function validateRows(rows, spec, { columns = columnsOf(rows) } = {}) {
+  const issues = [];
+  const byRule = [];
+  spec.rules.forEach((rule, index) => {
+    const type = ruleTypeOf(rule, index);
+    const level = rule.level || 'error';
+    const label = `${type}: ${Array.isArray(rule[type]) ? rule[type].join(', ') : rule[type]}`;
+    let count = 0;
+    const report = (rowIndex, { column = '', value = '', reason }) => {
+      count++;
+      const row = rowIndex === null ? {} : rows[rowIndex];
+      issues.push({
+        级别: LEVEL_LABELS[level],
+        行号: rowIndex === null ? '' : rowIndex + 2,
+        [SOURCE_COLUMN]: row[SOURCE_COLUMN] ?? '',
+        规则: label,
+        列: column,
+        值: value,
+        原因: rule.message ? `${rule.message}（${reason}）` : reason,
+        level
+      });
+    };
+    // 规则引用的列不存在时只报告缺列，不再逐行检查
+    const missing = KEY_RULES.includes(type) ? toList(rule[type]).filter(column => !columns.includes(column)) : [];
+    if (missing.length) {
+      missing.forEach(column => report(null, { column, reason: '缺少该列' }));
+    } else {
+      CHECKS[type](rule, rows, report, columns);
+    }
+    byRule.push({ rule: label, level, issues: count });
+  });
+
+  issues.sort((a, b) => (a.行号 || 0) - (b.行号 || 0));
+  const errors = issues.filter(issue => issue.level === 'error').length;
+  return {
+    name: spec.name || '',
+    issues,
+    summary: {
+      rows: rows.length,
+      failedRows: new Set(issues.filter(issue => issue.行号 !== '').map(issue => issue.行号)).size,
+      errors,
+      warnings: issues.length - errors,
+      byRule
+    },
+    passed: errors === 0
+  };
+}
+
+/**
+ * 校验结果转为工作表行（去掉内部字段）
+ * @param {Object} result - validateRows的结果
+ * @returns {Array<Object>}
+ */
+export function issueRows(result) {
+  return result.issues.map(({ level, ...issue }) => issue);
+}
+
+/**
+ * 一行文字的校验摘要，用于控制台输出
+ * @param {Object} result - validateRows的结果
+ * @returns {string}
+ */
+export function summarize(result) {
+  const { summary } = result;
+  return `校验${result.passed ? '通过' : '不通过'}${result.name ? `（${result.name}）` : ''}：`
+    + `共 ${summary.rows} 行，${summary.failedRows} 行有问题，错误 ${summary.errors} 个，警告 ${summary.warnings} 个`;
+}
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+/**
+ * 生成HTML校验报告
+ * @param {Object} result - validateRows的结果
+ * @param {Object} [options]
+ * @param {string} [options.title='数据校验报告']
+ * @param {string} [options.source] - 被校验的文件
+ * @returns {string} HTML
+ */
+export function renderHtmlReport(result, { title = '数据校验报告', source = '' } = {}) {
+  const { summary } = result;
+  const status = result.passed
+    ? `<span class="pass">通过</span>`
+    : `<span class="fail">不通过</span>`;
+  const ruleRows = summary.byRule.map(item => `
+      <tr><td>${escapeHtml(item.rule)}</td><td>${LEVEL_LABELS[item.level]}</td><td class="${item.issues ? item.level : 'pass'}">${item.issues}</td></tr>`).join('');
+  const issueRows = result.issues.map(issue => `
+      <tr class="${issue.level}">${ISSUE_COLUMNS.map(column => `<td>${escapeHtml(issue[column])}</td>`).join('')}</tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Microsoft YaHei", sans-serif; margin: 24px; color: #333; }
+    table { border-collapse: collapse; margin: 12px 0 24px; }
+    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; font-size: 14px; }
+    th { background: #f5f5f5; }
+    .pass { color: #2e7d32; font-weight: bold; }
+    .fail, td.error { color: #c62828; font-weight: bold; }
+    td.warning { color: #ef6c00; font-weight: bold; }
+    tr.error td:first-child { color: #c62828; }
+    tr.warning td:first-child { color: #ef6c00; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}${result.name ? ` - ${escapeHtml(result.name)}` : ''}</h1>
+  <p>${source ? `文件：${escapeHtml(source)}，` : ''}共 ${summary.rows} 行，${summary.failedRows} 行有问题；错误 ${summary.errors} 个，警告 ${summary.warnings} 个。结果：${status}</p>
+  <p>生成时间：${escapeHtml(new Date().toLocaleString())}</p>
+  <h2>规则</h2>
+  <table>
+    <tr><th>规则</th><th>级别</th><th>问题数</th></tr>${ruleRows}
+  </table>
+  <h2>问题明细</h2>
+  ${result.issues.length ? `<table>
+    <tr>${ISSUE_COLUMNS.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>${issueRows}
+  </table>` : '<p>没有发现问题。</p>'}
+</body>
+</html>
+`;
+}
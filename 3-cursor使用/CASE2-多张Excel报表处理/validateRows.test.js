@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRows, issueRows, summarize } from './validateRows.js';
+
+const rows = [
+  { 员工ID: 'E1', 性别: '男', 绩效评分: 4, 入职日期: '2020-02-29', 年度: 2024, 数据来源: 'A.xlsx[Sheet1]第2行' },
+  { 员工ID: 'E1', 性别: '未知', 绩效评分: 7, 入职日期: '2021-02-29', 年度: 2024, 数据来源: 'B.xlsx[Sheet1]第2行' },
+  { 员工ID: '', 性别: '女', 绩效评分: 'A', 入职日期: '2025/01/01', 年度: 2024, 数据来源: 'A.xlsx[Sheet1]第3行' },
+  { 员工ID: 'E2', 性别: '', 绩效评分: '', 入职日期: '', 年度: 2024, 数据来源: 'A.xlsx[Sheet1]第4行' }
+];
+
+// 只保留 [行号, 列, 原因]，便于比较
+const brief = (spec, data = rows) => validateRows(data, { rules: [spec] }).issues.map(issue => [issue.行号, issue.列, issue.原因]);
+
+test('required、unique 和 range', () => {
+  assert.deepEqual(brief({ required: ['员工ID', '部门'] }), [['', '部门', '缺少该列'], [4, '员工ID', '不能为空']]);
+  assert.deepEqual(brief({ unique: '员工ID' }), [[2, '员工ID', '与第3行重复'], [3, '员工ID', '与第2行重复']]);
+  assert.deepEqual(brief({ range: '绩效评分', min: 1, max: 5 }), [[3, '绩效评分', '超出范围 1 ~ 5'], [4, '绩效评分', '不是数字']]);
+});
+
+test('enum 和 date 跳过空值，date检查日期是否存在', () => {
+  assert.deepEqual(brief({ enum: '性别', values: ['男', '女'] }), [[3, '性别', '不在允许的取值中（男、女）']]);
+  assert.deepEqual(brief({ date: '入职日期' }), [[3, '入职日期', '日期不存在'], [4, '入职日期', '日期格式应为 YYYY-MM-DD']]);
+  assert.deepEqual(brief({ date: '入职日期', format: 'YYYY/MM/DD' }).map(issue => issue[0]), [2, 3]);
+});
+
+test('duplicateAcrossSources 只报告不同来源间的重复', () => {
+  assert.deepEqual(brief({ duplicateAcrossSources: '员工ID' }), [
+    [2, '员工ID', '在其他来源中重复（第3行），取值不同的列: 性别、绩效评分、入职日期'],
+    [3, '员工ID', '在其他来源中重复（第2行），取值不同的列: 性别、绩效评分、入职日期']
+  ]);
+  const sameSource = rows.slice(0, 2).map(row => ({ ...row, 数据来源: 'A.xlsx[Sheet1]第2行' }));
+  assert.deepEqual(brief({ duplicateAcrossSources: '员工ID' }, sameSource), []);
+});
+
+test('check 跳过引用列为空的行，列不存在时只报告一次', () => {
+  assert.deepEqual(brief({ check: '年度 >= year(入职日期)', message: '绩效年度早于入职年度' }),
+    [[4, '', '绩效年度早于入职年度（不满足条件 年度 >= year(入职日期)）']]);
+  assert.equal(brief({ check: '工龄 > 1' }).length, 1);
+});
+
+test('level 和汇总', () => {
+  const result = validateRows(rows, { name: '员工', rules: [{ required: '员工ID' }, { enum: '性别', values: ['男', '女'], level: 'warning' }] });
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.summary, {
+    rows: 4,
+    failedRows: 2,
+    errors: 1,
+    warnings: 1,
+    byRule: [{ rule: 'required: 员工ID', level: 'error', issues: 1 }, { rule: 'enum: 性别', level: 'warning', issues: 1 }]
+  });
+  assert.equal(summarize(result), '校验不通过（员工）：共 4 行，2 行有问题，错误 1 个，警告 1 个');
+  assert.ok(!('level' in issueRows(result)[0]));
+  assert.throws(() => validateRows(rows, { rules: [{ required: 'a', unique: 'a' }] }), /只能有一个类型关键字/);
+});